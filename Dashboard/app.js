@@ -0,0 +1,382 @@
+/**
+ * Dashboard de operação da integração.
+ *
+ * Usa as rotas administrativas (/orders, /admin, /webhook/inbox) autenticadas pelo cookie de
+ * sessão criado em /dashboard/login.
+ */
+(function () {
+  const state = {
+    view: 'orders',
+    ordersCursor: null
+  };
+
+  const $ = selector => document.querySelector(selector);
+
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;'
+    }[char]));
+  }
+
+  function formatDate(value) {
+    if (!value) return '';
+    const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+    return isNaN(date.getTime()) ? value : date.toLocaleString('pt-BR');
+  }
+
+  function showMessage(text, isError = false) {
+    const message = $('#message');
+    message.textContent = text;
+    message.classList.toggle('error-message', isError);
+    message.hidden = false;
+    clearTimeout(showMessage.timer);
+    showMessage.timer = setTimeout(() => { message.hidden = true; }, 6000);
+  }
+
+  /**
+   * Chamada às rotas da integração. Em 401 volta para a tela de login.
+   */
+  async function api(path, { method = 'GET', body } = {}) {
+    const response = await fetch(path, {
+      method,
+      credentials: 'same-origin',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Requested-With': 'dashboard'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 401) {
+      showLogin();
+      throw new Error('Sessão expirada');
+    }
+    if (response.status === 204) return null;
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `Erro ${response.status}`);
+    }
+    return data;
+  }
+
+  function queryString(form, extra = {}, exclude = []) {
+    const params = new URLSearchParams();
+    for (const [key, value] of new FormData(form).entries()) {
+      if (value !== '' && !exclude.includes(key)) params.set(key, value);
+    }
+    for (const [key, value] of Object.entries(extra)) {
+      if (value !== null && value !== undefined) params.set(key, value);
+    }
+    return params.toString();
+  }
+
+  function showLogin() {
+    $('#app').hidden = true;
+    $('#login').hidden = false;
+  }
+
+  async function start() {
+    try {
+      const session = await api('/dashboard/session');
+      $('#user-name').textContent = session.user || '';
+      // O filtro de loja só aparece quando há mais de uma loja cadastrada
+      document.querySelectorAll('.store-filter').forEach(select => {
+        select.length = 1;
+        select.insertAdjacentHTML('beforeend', (session.stores || []).map(store =>
+          `<option value="${escapeHtml(store.id)}">${escapeHtml(store.name)}</option>`
+        ).join(''));
+        select.hidden = (session.stores || []).length < 2;
+      });
+      $('#login').hidden = true;
+      $('#app').hidden = false;
+      showView(state.view);
+    } catch (error) {
+      showLogin();
+    }
+  }
+
+  function showView(view) {
+    state.view = view;
+    document.querySelectorAll('.view').forEach(element => { element.hidden = true; });
+    document.querySelectorAll('nav button').forEach(button => {
+      button.classList.toggle('active', button.dataset.view === view);
+    });
+    $(`#view-${view}`).hidden = false;
+
+    const loaders = {
+      orders: () => loadOrders(),
+      webhooks: loadWebhooks,
+      queue: loadQueue,
+      'dead-letters': loadDeadLetters
+    };
+    if (loaders[view]) {
+      loaders[view]().catch(error => showMessage(error.message, true));
+    }
+  }
+
+  // Pedidos
+
+  async function loadOrders(append = false) {
+    const form = $('#orders-filter');
+    const appmaxId = form.elements.appmax_id.value.trim();
+    if (appmaxId && !append) {
+      return openOrder(appmaxId);
+    }
+
+    const query = queryString(form, { limit: 50, cursor: append ? state.ordersCursor : null }, ['appmax_id']);
+    const data = await api(`/orders?${query}`);
+    state.ordersCursor = data.next_cursor;
+
+    const rows = data.orders.map(order => `
+      <tr class="clickable" data-appmax-id="${escapeHtml(order.appmax_id)}">
+        <td>${escapeHtml(order.appmax_id)}</td>
+        <td>${escapeHtml(order.shopify_id)}</td>
+        <td>${escapeHtml(order.woocommerce_id)}</td>
+        <td>${escapeHtml(order.status)}</td>
+        <td>${escapeHtml(order.metadata?.event)}</td>
+        <td>${escapeHtml(order.metadata?.customer?.name)}<br><small>${escapeHtml(order.metadata?.customer?.email)}</small></td>
+        <td>${formatDate(order.created_at)}</td>
+      </tr>
+    `).join('');
+
+    const tbody = $('#orders-rows');
+    tbody.innerHTML = append ? tbody.innerHTML + rows : rows || '<tr><td colspan="7">Nenhum pedido encontrado</td></tr>';
+    $('#orders-more').hidden = !data.has_more;
+  }
+
+  // Webhooks
+
+  async function loadWebhooks() {
+    const data = await api(`/webhook/inbox?${queryString($('#webhooks-filter'), { limit: 100 })}`);
+    $('#webhooks-rows').innerHTML = data.deliveries.map(delivery => `
+      <tr class="clickable" data-appmax-id="${escapeHtml(delivery.appmax_id)}">
+        <td>${delivery.id}</td>
+        <td>${escapeHtml(delivery.event)}</td>
+        <td>${escapeHtml(delivery.appmax_id)}</td>
+        <td>${escapeHtml(delivery.status)}</td>
+        <td>${escapeHtml(delivery.attempts)}</td>
+        <td>${formatDate(delivery.received_at)}</td>
+        <td class="error">${escapeHtml(delivery.error)}</td>
+      </tr>
+    `).join('') || '<tr><td colspan="7">Nenhum webhook encontrado</td></tr>';
+  }
+
+  // Fila
+
+  function queueRows(requests) {
+    return requests.map(request => `
+      <tr class="clickable" data-appmax-id="${escapeHtml(request.appmax_id)}">
+        <td>${request.id}</td>
+        <td>${escapeHtml(request.appmax_id)}</td>
+        <td>${escapeHtml(request.event_type)}</td>
+        <td>${escapeHtml(request.status)} / ${escapeHtml(request.financial_status)}</td>
+        <td>${escapeHtml(request.attempts)}</td>
+        <td>${formatDate(request.next_attempt_at)}</td>
+        <td>${formatDate(request.processed_at)}</td>
+        <td class="error">${escapeHtml(request.error)}</td>
+      </tr>
+    `).join('');
+  }
+
+  async function loadQueue() {
+    const data = await api(`/admin/queue?${queryString($('#queue-filter'), { limit: 100 })}`);
+    const labels = { pending: 'Pendentes', retrying: 'Aguardando retentativa', failed: 'Com falha', done: 'Concluídas' };
+    $('#queue-summary').innerHTML = Object.entries(labels)
+      .map(([key, label]) => `<div><strong>${data.summary[key]}</strong>${label}</div>`)
+      .join('');
+    $('#queue-rows').innerHTML = queueRows(data.requests) || '<tr><td colspan="8">Nenhuma requisição encontrada</td></tr>';
+  }
+
+  // Dead-letter queue
+
+  function deadLetterRows(deadLetters, { selectable = true } = {}) {
+    return deadLetters.map(item => `
+      <tr>
+        <td>${selectable && item.state === 'pending' ? `<input type="checkbox" value="${item.id}">` : ''}</td>
+        <td>${item.id}</td>
+        <td><button class="link" data-appmax-id="${escapeHtml(item.appmax_id)}">${escapeHtml(item.appmax_id)}</button></td>
+        <td>${escapeHtml(item.event_type)}</td>
+        <td>${escapeHtml(item.error_class)}</td>
+        <td class="error">${escapeHtml(item.error)}</td>
+        <td>${escapeHtml(item.state)}</td>
+        <td>${formatDate(item.created_at)}</td>
+        <td>${item.state === 'pending' ? `<button class="secondary" data-replay="${item.id}">Reprocessar</button>` : ''}</td>
+      </tr>
+    `).join('');
+  }
+
+  async function loadDeadLetters() {
+    const data = await api(`/admin/dead-letters?${queryString($('#dead-letters-filter'), { limit: 100 })}`);
+    $('#dead-letters-rows').innerHTML = deadLetterRows(data.dead_letters) ||
+      '<tr><td colspan="9">Nenhum item na dead-letter queue</td></tr>';
+  }
+
+  async function replayDeadLetters(ids) {
+    const data = await api('/admin/dead-letters/replay', { method: 'POST', body: { ids } });
+    showMessage(`${data.replayed} item(ns) recolocado(s) na fila`);
+  }
+
+  // Detalhe do pedido
+
+  async function openOrder(appmaxId) {
+    const data = await api(`/admin/orders/${encodeURIComponent(appmaxId)}/overview`);
+    const { order, links } = data;
+    const customer = order.metadata?.customer || {};
+
+    document.querySelectorAll('.view').forEach(element => { element.hidden = true; });
+    $('#view-order').hidden = false;
+    $('#order-detail').innerHTML = `
+      <h2>Pedido Appmax #${escapeHtml(order.appmax_id)}</h2>
+      <div class="details">
+        <span>Status</span><span>${escapeHtml(order.status)} (${escapeHtml(order.metadata?.financial_status)})</span>
+        <span>Último evento</span><span>${escapeHtml(order.metadata?.event)}</span>
+        <span>Loja</span><span>${escapeHtml(order.store_id) || '-'}</span>
+        <span>Shopify</span><span>${links.shopify ? `<a href="${escapeHtml(links.shopify)}" target="_blank" rel="noopener">#${escapeHtml(order.shopify_id)}</a>` : 'Não enviado'}</span>
+        <span>WooCommerce</span><span>${escapeHtml(order.woocommerce_id) || '-'}</span>
+        <span>Appmax</span><span><a href="${escapeHtml(links.appmax)}" target="_blank" rel="noopener">Abrir na Appmax</a></span>
+        <span>Cliente</span><span>${escapeHtml(customer.name)} &lt;${escapeHtml(customer.email)}&gt; ${escapeHtml(customer.phone)}</span>
+        <span>Rastreio</span><span>${escapeHtml(order.tracking_code) || '-'} ${escapeHtml(order.tracking_sync_status)}</span>
+        <span>Criado em</span><span>${formatDate(order.created_at)}</span>
+        <span>Atualizado em</span><span>${formatDate(order.updated_at)}</span>
+      </div>
+      <div class="actions">
+        <button data-resync="${escapeHtml(order.appmax_id)}">Reenviar para a Shopify</button>
+      </div>
+
+      <h2>Linha do tempo</h2>
+      <table>
+        <thead><tr><th>Data</th><th>Origem</th><th>Evento</th><th>Status</th><th>Ação</th><th>Resultado</th><th>Erro</th></tr></thead>
+        <tbody>${data.timeline.map(item => `
+          <tr>
+            <td>${formatDate(item.created_at)}</td>
+            <td>${escapeHtml(item.source)}</td>
+            <td>${escapeHtml(item.event)}</td>
+            <td>${escapeHtml(item.status)} / ${escapeHtml(item.financial_status)}${item.applied ? '' : ` (ignorado: ${escapeHtml(item.reason)})`}</td>
+            <td>${escapeHtml(item.action)} ${item.request_id ? `#${item.request_id}` : ''}</td>
+            <td>${escapeHtml(item.action_status)}</td>
+            <td class="error">${escapeHtml(item.error)}</td>
+          </tr>
+        `).join('') || '<tr><td colspan="7">Nenhum evento</td></tr>'}</tbody>
+      </table>
+
+      <h2>Fila</h2>
+      <table>
+        <thead><tr><th>#</th><th>Appmax</th><th>Evento</th><th>Status</th><th>Tentativas</th><th>Próxima tentativa</th><th>Processado em</th><th>Erro</th></tr></thead>
+        <tbody>${queueRows(data.queue) || '<tr><td colspan="8">Nenhuma requisição</td></tr>'}</tbody>
+      </table>
+
+      <h2>Dead-letter</h2>
+      <table>
+        <thead><tr><th></th><th>#</th><th>Appmax</th><th>Evento</th><th>Classe</th><th>Erro</th><th>Estado</th><th>Criado em</th><th></th></tr></thead>
+        <tbody>${deadLetterRows(data.dead_letters, { selectable: false }) || '<tr><td colspan="9">Nenhum item</td></tr>'}</tbody>
+      </table>
+
+      <h2>Webhooks recebidos</h2>
+      <table>
+        <thead><tr><th>#</th><th>Evento</th><th>Status</th><th>Tentativas</th><th>Recebido em</th><th>Erro</th></tr></thead>
+        <tbody>${data.webhooks.map(delivery => `
+          <tr>
+            <td>${delivery.id}</td>
+            <td>${escapeHtml(delivery.event)}</td>
+            <td>${escapeHtml(delivery.status)}</td>
+            <td>${escapeHtml(delivery.attempts)}</td>
+            <td>${formatDate(delivery.received_at)}</td>
+            <td class="error">${escapeHtml(delivery.error)}</td>
+          </tr>
+        `).join('') || '<tr><td colspan="6">Nenhum webhook</td></tr>'}</tbody>
+      </table>
+
+      <h2>Dados da Appmax</h2>
+      <details>
+        <summary>raw_data</summary>
+        <pre>${escapeHtml(JSON.stringify(order.metadata?.raw_data, null, 2))}</pre>
+      </details>
+    `;
+  }
+
+  // Eventos
+
+  $('#login-form').addEventListener('submit', async event => {
+    event.preventDefault();
+    const form = event.target;
+    $('#login-error').textContent = '';
+    try {
+      await api('/dashboard/login', {
+        method: 'POST',
+        body: { username: form.elements.username.value, password: form.elements.password.value }
+      });
+      form.reset();
+      start();
+    } catch (error) {
+      $('#login-error').textContent = error.message;
+    }
+  });
+
+  $('#logout').addEventListener('click', async () => {
+    await api('/dashboard/logout', { method: 'POST' }).catch(() => null);
+    showLogin();
+  });
+
+  document.querySelectorAll('nav button').forEach(button => {
+    button.addEventListener('click', () => showView(button.dataset.view));
+  });
+
+  ['orders', 'webhooks', 'queue', 'dead-letters'].forEach(view => {
+    $(`#${view}-filter`).addEventListener('submit', event => {
+      event.preventDefault();
+      showView(view);
+    });
+  });
+
+  $('#orders-more').addEventListener('click', () => {
+    loadOrders(true).catch(error => showMessage(error.message, true));
+  });
+
+  $('#order-back').addEventListener('click', () => showView(state.view));
+
+  $('#dead-letters-replay').addEventListener('click', () => {
+    const ids = [...document.querySelectorAll('#dead-letters-rows input:checked')].map(input => Number(input.value));
+    if (ids.length === 0) {
+      showMessage('Selecione ao menos um item', true);
+      return;
+    }
+    replayDeadLetters(ids)
+      .then(loadDeadLetters)
+      .catch(error => showMessage(error.message, true));
+  });
+
+  // Ações nas tabelas e no detalhe do pedido
+  document.addEventListener('click', event => {
+    const replay = event.target.closest('[data-replay]');
+    if (replay) {
+      replayDeadLetters([Number(replay.dataset.replay)])
+        .then(() => ($('#view-order').hidden ? loadDeadLetters() : null))
+        .catch(error => showMessage(error.message, true));
+      return;
+    }
+
+    const resync = event.target.closest('[data-resync]');
+    if (resync) {
+      if (!confirm('Recolocar o pedido na fila da Shopify?')) return;
+      api(`/admin/orders/${encodeURIComponent(resync.dataset.resync)}/resync`, { method: 'POST' })
+        .then(data => {
+          showMessage(`Pedido recolocado na fila (requisição #${data.request_id})`);
+          return openOrder(resync.dataset.resync);
+        })
+        .catch(error => showMessage(error.message, true));
+      return;
+    }
+
+    const row = event.target.closest('[data-appmax-id]');
+    if (row && row.dataset.appmaxId && event.target.type !== 'checkbox') {
+      openOrder(row.dataset.appmaxId).catch(error => showMessage(error.message, true));
+    }
+  });
+
+  start();
+})();
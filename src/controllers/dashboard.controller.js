@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+const dashboardSession = require('../utils/dashboardSession');
+const storeRegistry = require('../services/storeRegistry.service');
+
+class DashboardController {
+  /**
+   * Compara usuário e senha com DASHBOARD_USER e DASHBOARD_PASSWORD em tempo constante
+   */
+  checkCredentials(username, password) {
+    const expected = `${process.env.DASHBOARD_USER || 'admin'}:${process.env.DASHBOARD_PASSWORD}`;
+    const received = `${username}:${password}`;
+    const a = crypto.createHash('sha256').update(received).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+  }
+
+  async login(req, res, next) {
+    try {
+      if (!process.env.DASHBOARD_PASSWORD || !dashboardSession.getSecret()) {
+        throw new AppError('Login do dashboard não configurado', 503);
+      }
+
+      const { username, password } = req.body || {};
+      if (!username || !password || !this.checkCredentials(username, password)) {
+        logger.warn('Login no dashboard negado:', { username, ip: req.ip });
+        throw new AppError('Usuário ou senha inválidos', 401);
+      }
+
+      res.cookie(dashboardSession.cookieName, dashboardSession.create(username), {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        maxAge: dashboardSession.getTtl(),
+        path: '/'
+      });
+
+      logger.info(`Login no dashboard: ${username}`);
+      res.json({ user: username });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async logout(req, res) {
+    res.clearCookie(dashboardSession.cookieName, { path: '/' });
+    res.status(204).send();
+  }
+
+  /**
+   * Usuário logado e configurações usadas pela interface
+   */
+  async getSession(req, res) {
+    res.json({
+      user: req.adminUser || null,
+      shopifyStoreDomain: storeRegistry.getDefault().shopDomain,
+      stores: storeRegistry.list().map(store => ({ id: store.id, name: store.name, shop_domain: store.shop_domain }))
+    });
+  }
+}
+
+module.exports = new DashboardController();
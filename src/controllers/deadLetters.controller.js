@@ -0,0 +1,159 @@
+const AppError = require('../utils/AppError');
+const db = require('../database/db');
+const deadLetterService = require('../services/deadLetter.service');
+
+class DeadLettersController {
+  states = ['pending', 'replayed'];
+
+  /**
+   * Identificação de quem executou a ação, registrada no log de auditoria: o usuário da sessão
+   * do dashboard ou `api-token` para o ADMIN_API_TOKEN. Headers do cliente não são usados, pois
+   * poderiam ser forjados.
+   */
+  getActor(req) {
+    return req.adminUser || 'api-token';
+  }
+
+  /**
+   * Valida a lista de IDs enviada nas ações em lote
+   */
+  parseIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new AppError('Informe os IDs em ids', 400);
+    }
+
+    return ids.map(id => {
+      const parsed = parseInt(id, 10);
+      if (isNaN(parsed)) {
+        throw new AppError(`ID inválido: ${id}`, 400);
+      }
+      return parsed;
+    });
+  }
+
+  parseDate(value, field) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new AppError(`${field} deve ser uma data válida`, 400);
+    }
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  async listDeadLetters(req, res, next) {
+    try {
+      const { appmax_id: appmaxId, event, error_class: errorClass, state, from, to } = req.query;
+      if (state && !this.states.includes(state)) {
+        throw new AppError(`state inválido. Use: ${this.states.join(', ')}`, 400);
+      }
+
+      const deadLetters = await db.listDeadLetters({
+        appmaxId,
+        event,
+        errorClass,
+        state,
+        from: this.parseDate(from, 'from'),
+        to: this.parseDate(to, 'to'),
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+      });
+
+      res.json({
+        total: deadLetters.length,
+        dead_letters: deadLetters
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getDeadLetter(req, res, next) {
+    try {
+      const deadLetter = await db.getDeadLetter(req.params.id);
+      if (!deadLetter) {
+        throw new AppError('Item da dead-letter queue não encontrado', 404);
+      }
+      res.json(deadLetter);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateDeadLetter(req, res, next) {
+    try {
+      const deadLetter = await deadLetterService.updateRequestData(
+        req.params.id,
+        req.body?.request_data,
+        { actor: this.getActor(req) }
+      );
+      res.json(deadLetter);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async replayDeadLetter(req, res, next) {
+    try {
+      await deadLetterService.getPending(req.params.id);
+      const [result] = await deadLetterService.replay([parseInt(req.params.id, 10)], { actor: this.getActor(req) });
+      res.status(202).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async replayDeadLetters(req, res, next) {
+    try {
+      const ids = this.parseIds(req.body?.ids);
+      const results = await deadLetterService.replay(ids, { actor: this.getActor(req) });
+      res.status(202).json({
+        replayed: results.filter(item => item.result === 'replayed').length,
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteDeadLetter(req, res, next) {
+    try {
+      const removed = await deadLetterService.purge([parseInt(req.params.id, 10)], { actor: this.getActor(req) });
+      if (!removed) {
+        throw new AppError('Item da dead-letter queue não encontrado', 404);
+      }
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async purgeDeadLetters(req, res, next) {
+    try {
+      const ids = this.parseIds(req.body?.ids);
+      const removed = await deadLetterService.purge(ids, { actor: this.getActor(req) });
+      res.json({ removed });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listAuditLog(req, res, next) {
+    try {
+      const { entity_type: entityType, entity_id: entityId, action } = req.query;
+      const entries = await db.listAuditLog({
+        entityType,
+        entityId,
+        action,
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+      });
+
+      res.json({
+        total: entries.length,
+        entries
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new DeadLettersController();
@@ -0,0 +1,67 @@
+const AppError = require('../utils/AppError');
+const db = require('../database/db');
+const importService = require('../services/import.service');
+
+class ImportController {
+  /**
+   * Inicia a importação de uma exportação da Appmax.
+   * Aceita JSON (`{format, content}` ou `{orders: [...]}`) ou o CSV no corpo com Content-Type text/csv.
+   */
+  async startImport(req, res, next) {
+    try {
+      const isText = typeof req.body === 'string';
+      const options = isText ? req.query : { ...req.query, ...req.body };
+      const format = isText ? (options.format || 'csv') : (options.format || 'json');
+      const content = isText ? req.body : (options.content ?? options.orders);
+
+      if (!content || (typeof content === 'string' && !content.trim())) {
+        throw new AppError('Informe o conteúdo da exportação em content ou orders', 400);
+      }
+
+      const ratePerMinute = options.ratePerMinute !== undefined ? parseInt(options.ratePerMinute, 10) : undefined;
+      if (ratePerMinute !== undefined && (isNaN(ratePerMinute) || ratePerMinute < 0)) {
+        throw new AppError('ratePerMinute deve ser um número positivo', 400);
+      }
+
+      const job = await importService.start({
+        content,
+        format,
+        source: 'api',
+        ratePerMinute,
+        dryRun: options.dryRun === true || options.dryRun === 'true',
+        storeId: options.store || null
+      });
+
+      res.status(202).json(job);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listImports(req, res, next) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const jobs = await db.listImportJobs(limit);
+      res.json({
+        total: jobs.length,
+        imports: jobs
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getImport(req, res, next) {
+    try {
+      const job = await db.getImportJob(req.params.id);
+      if (!job) {
+        throw new AppError('Importação não encontrada', 404);
+      }
+      res.json(job);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ImportController();
@@ -0,0 +1,133 @@
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+const db = require('../database/db');
+const storeRegistry = require('../services/storeRegistry.service');
+const reconciliationService = require('../services/reconciliation.service');
+
+class OperationsController {
+  queueStates = ['pending', 'retrying', 'failed', 'done'];
+
+  async findAppmaxOrder(appmaxId) {
+    const order = await db.findOrderById(appmaxId, 'appmax');
+    if (!order) {
+      throw new AppError('Pedido não encontrado', 404);
+    }
+    return order;
+  }
+
+  /**
+   * Estado da fila da Shopify: totais por estado e as requisições mais recentes
+   */
+  async getQueue(req, res, next) {
+    try {
+      const { appmax_id: appmaxId, state, store: storeId } = req.query;
+      if (state && !this.queueStates.includes(state)) {
+        throw new AppError(`state inválido. Use: ${this.queueStates.join(', ')}`, 400);
+      }
+      if (storeId) {
+        storeRegistry.get(storeId);
+      }
+
+      const [summary, requests] = await Promise.all([
+        db.getQueueSummary({ storeId }),
+        db.listQueueRequests({
+          appmaxId,
+          storeId,
+          state,
+          limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+        })
+      ]);
+
+      res.json({
+        summary,
+        total: requests.length,
+        requests
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Visão completa de um pedido: dados locais, links, requisições da fila,
+   * itens na dead-letter queue e webhooks recebidos
+   */
+  async getOrderOverview(req, res, next) {
+    try {
+      const order = await this.findAppmaxOrder(req.params.id);
+      const shopifyService = storeRegistry.getShopify(order.store_id);
+
+      const [timeline, requests, deadLetters, webhooks] = await Promise.all([
+        db.getOrderEvents(order.appmax_id),
+        db.listQueueRequests({ appmaxId: order.appmax_id, limit: 100 }),
+        db.listDeadLetters({ appmaxId: order.appmax_id, limit: 100 }),
+        db.listInboxDeliveries({ appmaxId: order.appmax_id, limit: 100 })
+      ]);
+
+      res.json({
+        order,
+        links: {
+          appmax: shopifyService.getAppmaxUrl(order.appmax_id),
+          shopify: order.shopify_id ? shopifyService.getShopifyAdminUrl(order.shopify_id) : null
+        },
+        timeline,
+        queue: requests,
+        dead_letters: deadLetters,
+        webhooks
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lojas cadastradas (sem credenciais), com o estado da fila de cada uma
+   */
+  async listStores(req, res, next) {
+    try {
+      const stores = await Promise.all(storeRegistry.list().map(async store => {
+        const service = storeRegistry.getShopify(store.id);
+        return {
+          ...store,
+          queue: {
+            ...(await db.getQueueSummary({ storeId: store.id })),
+            paused_until: service.pausedUntil > Date.now() ? new Date(service.pausedUntil).toISOString() : null
+          }
+        };
+      }));
+
+      res.json({
+        total: stores.length,
+        stores
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Recoloca o pedido na fila da Shopify a partir do raw_data salvo
+   */
+  async resyncOrder(req, res, next) {
+    try {
+      const order = await this.findAppmaxOrder(req.params.id);
+      const requestId = await reconciliationService.heal(order, { event: 'ManualResync' });
+      const actor = req.adminUser || 'api-token';
+
+      await db.saveAuditLog({
+        action: 'order.resync',
+        entityType: 'order',
+        entityId: order.appmax_id,
+        actor,
+        details: { request_id: requestId }
+      });
+
+      logger.info(`Pedido Appmax #${order.appmax_id} recolocado na fila por ${actor} (requisição #${requestId})`);
+      res.status(202).json({ request_id: requestId });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new OperationsController();
@@ -3,6 +3,52 @@ const AppError = require('../utils/AppError');
 const db = require('../database/db');
 
 class OrdersController {
+  sortFields = ['created_at', 'updated_at', 'appmax_id', 'id'];
+
+  /**
+   * Remove o raw_data dos metadados, exceto com `include_raw=true`
+   */
+  serializeOrder(order, includeRaw = false) {
+    const { sort_value: sortValue, ...serialized } = order;
+    if (!includeRaw && serialized.metadata?.raw_data) {
+      const { raw_data: rawData, ...metadata } = serialized.metadata;
+      serialized.metadata = metadata;
+    }
+    return serialized;
+  }
+
+  encodeCursor(order) {
+    return Buffer.from(JSON.stringify({ value: order.sort_value, id: order.id })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (decoded && decoded.id !== undefined && decoded.value !== undefined) {
+        return decoded;
+      }
+    } catch (error) {
+      // tratado abaixo
+    }
+    throw new AppError('cursor inválido', 400);
+  }
+
+  /**
+   * Converte uma data da query string para o formato do SQLite (UTC).
+   * Uma data final sem horário inclui o dia inteiro.
+   */
+  parseDate(value, field, { endOfDay = false } = {}) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new AppError(`${field} deve ser uma data válida`, 400);
+    }
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
   async findOrder(req, res, next) {
     try {
       const { id, type = 'appmax' } = req.params;
@@ -12,29 +58,99 @@ class OrdersController {
         throw new AppError('Pedido não encontrado', 404);
       }
 
-      res.json(order);
+      res.json(this.serializeOrder(order, req.query.include_raw === 'true'));
     } catch (error) {
       next(error);
     }
   }
+  async getOrderRefunds(req, res, next) {
+    try {
+      const { id, type = 'appmax' } = req.params;
+
+      const order = await db.findOrderById(id, type);
+      if (!order) {
+        throw new AppError('Pedido não encontrado', 404);
+      }
 
-  async getOrdersByDate(req, res, next) {
+      const refunds = await db.getOrderRefunds(order.appmax_id);
+      res.json({
+        total: refunds.length,
+        refunds
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Linha do tempo do pedido: eventos recebidos, status derivado e ação executada na Shopify
+   */
+  async getOrderTimeline(req, res, next) {
+    try {
+      const { id, type = 'appmax' } = req.params;
+
+      const order = await db.findOrderById(id, type);
+      if (!order) {
+        throw new AppError('Pedido não encontrado', 404);
+      }
+
+      const events = await db.getOrderEvents(order.appmax_id);
+      res.json({
+        total: events.length,
+        events
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lista pedidos com filtros, ordenação e paginação por cursor.
+   * O `next_cursor` da resposta deve ser enviado em `cursor` para buscar a próxima página.
+   */
+  async listOrders(req, res, next) {
     try {
-      const { startDate, endDate, platform } = req.query;
+      const query = req.query;
+      const [sortField, sortDirection] = [query.sort || 'created_at', query.order || 'desc'];
 
-      if (!startDate || !endDate) {
-        throw new AppError('Data inicial e final são obrigatórias', 400);
+      if (!this.sortFields.includes(sortField)) {
+        throw new AppError(`sort inválido. Use: ${this.sortFields.join(', ')}`, 400);
+      }
+      if (!['asc', 'desc'].includes(sortDirection)) {
+        throw new AppError('order inválido. Use: asc, desc', 400);
       }
+      if (query.has_shopify && !['true', 'false'].includes(query.has_shopify)) {
+        throw new AppError('has_shopify deve ser true ou false', 400);
+      }
+
+      const limit = Math.min(parseInt(query.limit, 10) || 50, 200);
+      const orders = await db.listOrders({
+        filters: {
+          status: query.status,
+          platform: query.platform,
+          storeId: query.store,
+          event: query.event,
+          paymentType: query.payment_type,
+          email: query.email,
+          cpf: query.cpf ? String(query.cpf).replace(/\D/g, '') : null,
+          hasShopify: query.has_shopify ? query.has_shopify === 'true' : null,
+          startDate: this.parseDate(query.startDate, 'startDate'),
+          endDate: this.parseDate(query.endDate, 'endDate', { endOfDay: true })
+        },
+        sortField,
+        sortDirection,
+        after: query.cursor ? this.decodeCursor(query.cursor) : null,
+        limit: limit + 1
+      });
 
-      const orders = await db.getOrdersByDateRange(
-        new Date(startDate),
-        new Date(endDate),
-        platform
-      );
+      const hasMore = orders.length > limit;
+      const page = orders.slice(0, limit);
 
       res.json({
-        total: orders.length,
-        orders
+        total: page.length,
+        has_more: hasMore,
+        next_cursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null,
+        orders: page.map(order => this.serializeOrder(order, query.include_raw === 'true'))
       });
     } catch (error) {
       next(error);
@@ -53,7 +169,7 @@ class OrdersController {
       await db.updateOrderStatus(id, status, metadata);
       const updatedOrder = await db.findOrderById(id);
 
-      res.json(updatedOrder);
+      res.json(this.serializeOrder(updatedOrder, req.query.include_raw === 'true'));
     } catch (error) {
       next(error);
     }
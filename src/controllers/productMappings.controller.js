@@ -0,0 +1,139 @@
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+const db = require('../database/db');
+const storeRegistry = require('../services/storeRegistry.service');
+
+class ProductMappingsController {
+  sourceTypes = ['product', 'bundle'];
+
+  /**
+   * Valida e normaliza o corpo de um mapeamento.
+   * Cada variante deve ter `variant_id` (numérico ou GID) e um `multiplier` inteiro positivo (padrão: 1).
+   * As variantes pertencem à loja informada em `store` (padrão: loja padrão).
+   */
+  validateMapping(body) {
+    const { store, source_type: sourceType, appmax_id: appmaxId, name, variants } = body || {};
+    const storeId = store ? storeRegistry.get(store).id : storeRegistry.getDefault().id;
+
+    if (!this.sourceTypes.includes(sourceType)) {
+      throw new AppError(`source_type inválido. Use: ${this.sourceTypes.join(', ')}`, 400);
+    }
+
+    if (appmaxId === undefined || appmaxId === null || appmaxId === '') {
+      throw new AppError('appmax_id é obrigatório', 400);
+    }
+
+    if (!Array.isArray(variants) || variants.length === 0) {
+      throw new AppError('Informe ao menos uma variante em variants', 400);
+    }
+
+    const normalizedVariants = variants.map((variant, index) => {
+      const variantId = String(variant?.variant_id || '').split('/').pop();
+      if (!/^\d+$/.test(variantId)) {
+        throw new AppError(`variants[${index}].variant_id inválido`, 400);
+      }
+
+      const multiplier = variant.multiplier === undefined ? 1 : Number(variant.multiplier);
+      if (!Number.isInteger(multiplier) || multiplier < 1) {
+        throw new AppError(`variants[${index}].multiplier deve ser um inteiro positivo`, 400);
+      }
+
+      return { variant_id: variantId, multiplier };
+    });
+
+    return {
+      storeId,
+      sourceType,
+      appmaxId: String(appmaxId),
+      name: name || null,
+      variants: normalizedVariants
+    };
+  }
+
+  async listMappings(req, res, next) {
+    try {
+      const { store, source_type: sourceType } = req.query;
+      if (sourceType && !this.sourceTypes.includes(sourceType)) {
+        throw new AppError(`source_type inválido. Use: ${this.sourceTypes.join(', ')}`, 400);
+      }
+
+      const mappings = await db.listProductMappings({
+        storeId: store ? storeRegistry.get(store).id : null,
+        sourceType
+      });
+      res.json({
+        total: mappings.length,
+        mappings
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getMapping(req, res, next) {
+    try {
+      const mapping = await db.getProductMapping(req.params.id);
+      if (!mapping) {
+        throw new AppError('Mapeamento não encontrado', 404);
+      }
+
+      res.json(mapping);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createMapping(req, res, next) {
+    try {
+      const mapping = this.validateMapping(req.body);
+
+      const existing = await db.findProductMapping(mapping.storeId, mapping.sourceType, mapping.appmaxId);
+      if (existing) {
+        throw new AppError(`Já existe um mapeamento para ${mapping.sourceType} #${mapping.appmaxId} na loja ${mapping.storeId} (ID ${existing.id})`, 409);
+      }
+
+      const mappingId = await db.saveProductMapping(mapping);
+      res.status(201).json(await db.getProductMapping(mappingId));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateMapping(req, res, next) {
+    try {
+      const { id } = req.params;
+      const mapping = this.validateMapping(req.body);
+
+      const existing = await db.findProductMapping(mapping.storeId, mapping.sourceType, mapping.appmaxId);
+      if (existing && String(existing.id) !== String(id)) {
+        throw new AppError(`Já existe um mapeamento para ${mapping.sourceType} #${mapping.appmaxId} na loja ${mapping.storeId} (ID ${existing.id})`, 409);
+      }
+
+      const changes = await db.updateProductMapping(id, mapping);
+      if (!changes) {
+        throw new AppError('Mapeamento não encontrado', 404);
+      }
+
+      logger.info(`Mapeamento de produto #${id} atualizado`);
+      res.json(await db.getProductMapping(id));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteMapping(req, res, next) {
+    try {
+      const changes = await db.deleteProductMapping(req.params.id);
+      if (!changes) {
+        throw new AppError('Mapeamento não encontrado', 404);
+      }
+
+      logger.info(`Mapeamento de produto #${req.params.id} removido`);
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ProductMappingsController();
@@ -0,0 +1,98 @@
+const AppError = require('../utils/AppError');
+const db = require('../database/db');
+const quarantineService = require('../services/quarantine.service');
+
+class QuarantineController {
+  states = ['pending', 'released', 'discarded'];
+
+  getActor(req) {
+    return req.adminUser || 'api-token';
+  }
+
+  async listQuarantine(req, res, next) {
+    try {
+      const { state, event, appmax_id: appmaxId } = req.query;
+      if (state && !this.states.includes(state)) {
+        throw new AppError(`state inválido. Use: ${this.states.join(', ')}`, 400);
+      }
+
+      const entries = await db.listQuarantine({
+        state,
+        event,
+        appmaxId,
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+      });
+
+      res.json({
+        total: entries.length,
+        entries
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getQuarantine(req, res, next) {
+    try {
+      const entry = await db.getQuarantine(req.params.id);
+      if (!entry) {
+        throw new AppError('Item da quarentena não encontrado', 404);
+      }
+      res.json(entry);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Substitui o corpo do webhook retido. Corpo: `{"payload": {"event": "...", "data": {...}}}`
+   */
+  async updateQuarantine(req, res, next) {
+    try {
+      const entry = await quarantineService.updatePayload(req.params.id, req.body?.payload, {
+        actor: this.getActor(req)
+      });
+      res.json(entry);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Libera o item para processamento; com `payload` no corpo, aplica a correção antes.
+   * Se o corpo continuar inválido, responde 422 com os erros por campo.
+   */
+  async releaseQuarantine(req, res, next) {
+    try {
+      const outcome = await quarantineService.release(req.params.id, {
+        payload: req.body?.payload || null,
+        actor: this.getActor(req)
+      });
+
+      if (!outcome.released) {
+        return res.status(422).json({
+          success: false,
+          message: 'Pedido continua inválido',
+          errors: outcome.errors
+        });
+      }
+      res.status(202).json(outcome);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async discardQuarantine(req, res, next) {
+    try {
+      await quarantineService.discard(req.params.id, {
+        reason: req.body?.reason || null,
+        actor: this.getActor(req)
+      });
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new QuarantineController();
@@ -0,0 +1,62 @@
+const AppError = require('../utils/AppError');
+const db = require('../database/db');
+const reconciliationService = require('../services/reconciliation.service');
+
+class ReconciliationController {
+  /**
+   * Executa uma reconciliação sob demanda e retorna o relatório.
+   * Sem datas, considera os últimos 7 dias.
+   */
+  async runReconciliation(req, res, next) {
+    try {
+      const { startDate, endDate, autoHeal = false, store = null } = req.body || {};
+
+      const end = endDate ? new Date(endDate) : new Date();
+      const start = startDate ? new Date(startDate) : new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        throw new AppError('startDate e endDate devem ser datas válidas', 400);
+      }
+      if (start > end) {
+        throw new AppError('startDate deve ser anterior a endDate', 400);
+      }
+
+      const report = await reconciliationService.reconcile({
+        startDate: start,
+        endDate: end,
+        autoHeal: autoHeal === true || autoHeal === 'true',
+        storeId: store
+      });
+
+      res.json(report);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listRuns(req, res, next) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const runs = await db.listReconciliationRuns(limit);
+      res.json({
+        total: runs.length,
+        runs
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getRun(req, res, next) {
+    try {
+      const run = await db.getReconciliationRun(req.params.id);
+      if (!run) {
+        throw new AppError('Reconciliação não encontrada', 404);
+      }
+      res.json(run);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ReconciliationController();
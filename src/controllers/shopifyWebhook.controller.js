@@ -0,0 +1,64 @@
+const logger = require('../utils/logger');
+const trackingService = require('../services/tracking.service');
+const refundSyncService = require('../services/refundSync.service');
+const db = require('../database/db');
+
+class ShopifyWebhookController {
+  /**
+   * Recebe os webhooks da Shopify (assinatura validada pelo shopifyWebhookAuth).
+   * O tópico vem no header `X-Shopify-Topic`; tópicos sem tratamento são confirmados e ignorados.
+   * A Shopify entrega cada webhook ao menos uma vez: reentregas com o mesmo `X-Shopify-Webhook-Id`
+   * são confirmadas sem novo processamento.
+   */
+  async handleWebhook(req, res, next) {
+    const topic = req.headers['x-shopify-topic'];
+    const webhookId = req.headers['x-shopify-webhook-id'] || null;
+    let claimed = false;
+
+    try {
+      logger.info('Webhook Shopify recebido:', {
+        topic,
+        webhookId,
+        shop: req.headers['x-shopify-shop-domain']
+      });
+
+      if (webhookId) {
+        claimed = await db.claimShopifyWebhook(webhookId, topic || null);
+        if (!claimed) {
+          logger.info(`Webhook Shopify ${webhookId} já recebido, ignorado`);
+          return res.status(200).json({ success: true, topic, duplicate: true });
+        }
+      }
+
+      let result;
+      switch (topic) {
+        case 'fulfillments/create':
+        case 'fulfillments/update':
+          result = await trackingService.queueFulfillment(req.body || {});
+          break;
+        case 'refunds/create':
+          result = await refundSyncService.handleShopifyRefund(req.body || {});
+          break;
+        case 'orders/cancelled':
+          result = await refundSyncService.handleShopifyCancellation(req.body || {});
+          break;
+        default:
+          result = { ignored: true, reason: `Tópico ${topic || 'ausente'} não tratado` };
+      }
+
+      res.status(200).json({
+        success: true,
+        topic,
+        ...result
+      });
+    } catch (error) {
+      // Libera a entrega para que a nova tentativa da Shopify seja processada
+      if (claimed) {
+        await db.releaseShopifyWebhook(webhookId).catch(() => {});
+      }
+      next(error);
+    }
+  }
+}
+
+module.exports = new ShopifyWebhookController();
@@ -1,127 +1,17 @@
-const shopifyService = require('../services/shopify.service');
+const webhookService = require('../services/webhook.service');
+const storeRegistry = require('../services/storeRegistry.service');
+const appmaxEvents = require('../utils/appmaxEvents');
 const logger = require('../utils/logger');
+const redact = require('../utils/redact');
 const AppError = require('../utils/AppError');
 const db = require('../database/db');
 
 class WebhookController {
-  // Lista de eventos que devem ser ignorados
-  ignoredEvents = [
-    'CustomerInterested',
-    'CustomerCreated',
-    'CustomerUpdated',
-    'CustomerDeleted'
-  ];
-
-  /**
-   * Verifica se os dados do pedido estão completos e válidos
-   */
-  validateOrderData(orderData) {
-    // Verifica se há dados básicos do pedido
-    if (!orderData || !orderData.id) {
-      throw new AppError('Dados básicos do pedido ausentes', 400);
-    }
-
-    // Garante que existe a estrutura de cliente
-    if (!orderData.customer) {
-      orderData.customer = {};
-    }
-
-    // Normaliza os campos do cliente
-    orderData.customer = {
-      firstname: orderData.customer.firstName || orderData.customer.firstname || 'N/A',
-      lastname: orderData.customer.lastName || orderData.customer.lastname || '',
-      email: orderData.customer.email || null,
-      telephone: orderData.customer.telephone || orderData.customer.phone || null,
-      document_number: orderData.customer.document_number || '',
-      // Endereço padrão se não existir
-      address_street: orderData.customer.address_street || 'Não informado',
-      address_street_number: orderData.customer.address_street_number || 'S/N',
-      address_street_complement: orderData.customer.address_street_complement || '',
-      address_city: orderData.customer.address_city || 'Não informado',
-      address_state: orderData.customer.address_state || 'SP',
-      postcode: orderData.customer.postcode || '00000-000'
-    };
-
-    // Garante que existe a estrutura de produtos
-    if (!Array.isArray(orderData.bundles)) {
-      orderData.bundles = [{
-        products: [{
-          name: 'Produto não especificado',
-          quantity: 1,
-          price: orderData.total || 0,
-          sku: 'SKU-NAO-INFORMADO'
-        }]
-      }];
-    }
-
-    // Log de validação
-    logger.info('Dados do pedido normalizados:', {
-      orderId: orderData.id,
-      customer: {
-        name: `${orderData.customer.firstname} ${orderData.customer.lastname}`.trim(),
-        email: orderData.customer.email,
-        phone: orderData.customer.telephone
-      },
-      hasProducts: orderData.bundles.length > 0
-    });
-
-    return orderData;
-  }
-
-  /**
-   * Verifica se os dados do pedido estão completos.
-   */
-  hasFullOrderDetails(order) {
-    return order && Array.isArray(order.bundles) && order.customer;
-  }
-
-  /**
-   * Adiciona prefixo ao email para evitar emails transacionais da Shopify
-   */
-  formatEmailForShopify(email) {
-    if (!email) return null;
-    return email.includes('email_') ? email : `email_${email}`;
-  }
-
-  /**
-   * Remove o prefixo do email para armazenamento local
-   */
-  getOriginalEmail(email) {
-    if (!email) return null;
-    return email.replace(/^email_/, '');
-  }
-
-  /**
-   * Normaliza o formato do telefone para o padrão aceito pela Shopify
-   * Remove caracteres especiais e mantém apenas números
-   * Adiciona código do país se necessário
-   */
-  normalizePhoneForShopify(phone) {
-    if (!phone) return null;
-    
-    // Remove todos os caracteres não numéricos
-    let normalized = phone.replace(/\D/g, '');
-    
-    // Se o número já começar com 55, não adiciona novamente
-    if (!normalized.startsWith('55')) {
-      normalized = `55${normalized}`;
-    }
-    
-    // Garante que o número tem pelo menos 8 dígitos (sem contar código do país)
-    if (normalized.length < 10) {
-      logger.warn('Número de telefone muito curto:', { original: phone, normalized });
-      return null;
-    }
-    
-    // Formata como +55XXXXXXXXXX
-    return `+${normalized}`;
-  }
-
   async handleWebhook(req, res, next) {
     try {
-      // Log da requisição completa
+      // Log da requisição completa (credenciais mascaradas)
       logger.info('Webhook recebido - Request completo:', {
-        headers: req.headers,
+        headers: redact.headers(req.headers),
         body: req.body,
         ip: req.ip,
         timestamp: new Date().toISOString()
@@ -135,7 +25,8 @@ class WebhookController {
       }
 
       // Verifica se o evento deve ser ignorado
-      if (this.ignoredEvents.includes(event)) {
+      const parsedEvent = appmaxEvents.parse(event);
+      if (appmaxEvents.isIgnored(parsedEvent)) {
         logger.info(`Ignorando evento ${event}`, {
           orderId: data.id || 'N/A',
           session_id,
@@ -150,169 +41,59 @@ class WebhookController {
         });
       }
 
-      // Caso os dados do pedido estejam aninhados em "order", utiliza-os; caso contrário, usa o objeto data
-      let orderData = data.order || data;
-
-      // Valida e normaliza os dados do pedido
-      orderData = this.validateOrderData(orderData);
+      const orderData = data.order || data;
 
-      // Extrai os nomes do cliente já normalizados
-      const customerName = `${orderData.customer.firstname} ${orderData.customer.lastname}`.trim();
-      const originalEmail = this.getOriginalEmail(orderData.customer.email);
+      // Loja de destino pelo slug da URL (/webhook/appmax/:store) ou pelo site_id do pedido
+      const store = req.params.store
+        ? storeRegistry.get(req.params.store)
+        : storeRegistry.findBySiteId(storeRegistry.getSiteId(data));
+      await this.authorizeStore(req, store, orderData);
 
-      // Log detalhado do pedido
-      logger.info('Processando webhook:', {
+      // Descarta entregas repetidas sem nenhum efeito colateral
+      const delivery = await webhookService.registerDelivery({
         event,
-        orderId: orderData.id,
-        status: orderData.status,
-        customer: {
-          name: customerName,
-          email: originalEmail,
-          phone: orderData.customer.telephone
-        },
-        session_id,
-        platform: orderData.platform || 'unknown',
-        woocommerce_id: orderData.woocommerce_order_id,
-        timestamp: new Date().toISOString(),
-        validatedData: true
+        appmaxId: orderData.id || null,
+        payload: req.body
       });
 
-      // Prepara os metadados do pedido
-      const metadata = {
-        customer: {
-          name: customerName,
-          email: originalEmail,
-          phone: orderData.customer.telephone,
-          document: orderData.customer.document_number,
-          address: {
-            street: orderData.customer.address_street,
-            number: orderData.customer.address_street_number,
-            complement: orderData.customer.address_street_complement,
-            city: orderData.customer.address_city,
-            state: orderData.customer.address_state,
-            postcode: orderData.customer.postcode
-          }
-        },
-        payment: {
-          method: orderData.payment?.method || 'N/A',
-          installments: orderData.payment?.installments || 1
-        },
-        products: orderData.bundles,
-        raw_data: {
-          ...orderData,
-          customer: {
-            ...orderData.customer,
-            email: originalEmail
-          }
-        }
-      };
-
-      // Define o status baseado no evento
-      let status = 'pending';
-      let financialStatus = 'pending';
-
-      switch (event) {
-        case 'OrderApproved':
-        case 'OrderPaid':
-        case 'OrderPaidByPix':
-        case 'OrderIntegrated':
-        case 'ChargebackWon':
-          status = 'paid';
-          financialStatus = 'paid';
-          break;
-
-        case 'PaymentNotAuthorized':
-        case 'PixExpired':
-        case 'BoletoExpired':
-          status = 'cancelled';
-          financialStatus = 'cancelled';
-          break;
-
-        case 'OrderRefund':
-          status = 'refunded';
-          financialStatus = 'refunded';
-          break;
-
-        case 'ChargebackDispute':
-          status = 'under_review';
-          financialStatus = 'pending';
-          break;
-
-        case 'OrderAuthorized':
-        case 'PixGenerated':
-        case 'OrderBilletCreated':
-        case 'OrderPixCreated':
-          status = 'pending';
-          financialStatus = 'pending';
-          break;
-      }
-
-      // Salva ou atualiza o pedido no banco local
-      await db.saveAppmaxOrder(orderData.id, status, {
-        ...metadata,
-        event,
-        financial_status: financialStatus,
-        normalized: true
-      });
-
-      // Modifica o email e normaliza o telefone antes de enviar para Shopify
-      const normalizedPhone = this.normalizePhoneForShopify(orderData.customer.telephone);
-      const shopifyOrderData = {
-        ...orderData,
-        customer: {
-          ...orderData.customer,
-          email: this.formatEmailForShopify(orderData.customer.email),
-          telephone: normalizedPhone,
-          phone: normalizedPhone
-        }
-      };
-
-      // Atualiza também o telefone nos endereços
-      if (shopifyOrderData.shipping_address) {
-        shopifyOrderData.shipping_address.phone = normalizedPhone;
-      }
-      if (shopifyOrderData.billing_address) {
-        shopifyOrderData.billing_address.phone = normalizedPhone;
+      if (delivery.duplicate) {
+        logger.info(`Webhook duplicado ignorado: ${delivery.reason}`, {
+          orderId: orderData.id || 'N/A',
+          session_id
+        });
+        return res.status(200).json({
+          success: true,
+          message: delivery.reason,
+          duplicate: true
+        });
       }
 
-      // Log antes de enviar para Shopify
-      logger.info('Enviando dados para Shopify:', {
-        orderId: orderData.id,
-        email: shopifyOrderData.customer.email,
-        originalPhone: orderData.customer.telephone,
-        normalizedPhone,
-        status,
-        financialStatus
-      });
-
-      // Processa o pedido no Shopify
-      if (status === 'cancelled') {
-        await shopifyService.cancelOrder(shopifyOrderData);
-      } else if (status === 'refunded') {
-        await shopifyService.refundOrder(shopifyOrderData);
-      } else {
-        await shopifyService.createOrUpdateOrder({
-          appmaxOrder: shopifyOrderData,
-          status,
-          financialStatus
+      // Salva o webhook na inbox; a normalização e o envio para a Shopify ocorrem em segundo plano
+      let inboxId;
+      try {
+        inboxId = await db.saveInboxDelivery({
+          event,
+          appmaxId: orderData.id || null,
+          sessionId: session_id || null,
+          payload: req.body,
+          storeId: store?.id || null
         });
+        await db.setWebhookEventInbox(delivery.eventId, inboxId);
+      } catch (error) {
+        // Libera o registro no ledger para que a reentrega da Appmax seja aceita
+        await db.deleteWebhookEvent(delivery.eventId).catch(() => {});
+        throw error;
       }
 
-      // Log de sucesso no final
-      logger.info('Webhook processado com sucesso:', {
-        event,
-        orderId: orderData.id,
-        status,
-        financialStatus,
-        customer: {
-          name: customerName,
-          hasEmail: !!originalEmail,
-          hasPhone: !!orderData.customer.telephone
-        },
-        timestamp: new Date().toISOString()
+      logger.info(`Webhook ${event} salvo na inbox: #${inboxId}`, {
+        orderId: orderData.id || 'N/A',
+        session_id
       });
 
-      res.status(200).json({ success: true });
+      // Antecipa o processamento sem aguardar o resultado
+      setImmediate(() => webhookService.processInbox());
+
+      res.status(200).json({ success: true, inbox_id: inboxId });
     } catch (error) {
       // Log detalhado de erro
       logger.error('Erro ao processar webhook:', {
@@ -323,7 +104,7 @@ class WebhookController {
         },
         request: {
           body: req.body,
-          headers: req.headers,
+          headers: redact.headers(req.headers),
           ip: req.ip
         },
         timestamp: new Date().toISOString()
@@ -336,6 +117,90 @@ class WebhookController {
     }
   }
 
+  /**
+   * Com o segredo de um site, a entrega só pode ser destinada à loja desse site (ou à loja padrão,
+   * se o site não estiver cadastrado em nenhuma loja). A loja de destino considera o slug da URL,
+   * o site_id do payload e a loja em que o pedido já está salvo.
+   */
+  async authorizeStore(req, store, orderData) {
+    const siteId = req.authenticatedSiteId;
+    if (!siteId) return;
+
+    const siteStore = storeRegistry.findBySiteId(siteId) || storeRegistry.getDefault();
+    const existingOrder = orderData.id ? await db.findOrderById(orderData.id, 'appmax') : null;
+    const targetStore = storeRegistry.resolve({
+      storeId: store?.id || null,
+      orderStoreId: existingOrder?.store_id || null
+    });
+
+    if (targetStore.id !== siteStore.id) {
+      logger.warn('Webhook rejeitado: loja de destino não pertence ao site autenticado', {
+        site_id: siteId,
+        site_store: siteStore.id,
+        target_store: targetStore.id,
+        orderId: orderData.id || 'N/A',
+        ip: req.ip
+      });
+      throw new AppError('Acesso negado', 403);
+    }
+  }
+
+  /**
+   * Prévia do processamento de um webhook: pedido normalizado, status derivados, requisição
+   * que seria enviada à Shopify e avisos de validação. Nada é gravado nem enviado.
+   */
+  async previewWebhook(req, res, next) {
+    try {
+      const preview = await webhookService.previewWebhook(req.body || {}, { storeId: req.query.store || null });
+      res.json(preview);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retorna o estado de uma entrega da inbox de webhooks
+   */
+  async getInboxDelivery(req, res, next) {
+    try {
+      const delivery = await db.getInboxDelivery(req.params.id);
+      if (!delivery) {
+        throw new AppError('Webhook não encontrado na inbox', 404);
+      }
+
+      res.json(delivery);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lista as entregas da inbox, com filtro opcional por estado e pedido
+   */
+  async listInboxDeliveries(req, res, next) {
+    try {
+      const { status, appmax_id, limit } = req.query;
+      const validStatuses = ['received', 'processing', 'done', 'failed'];
+
+      if (status && !validStatuses.includes(status)) {
+        throw new AppError(`Status inválido. Use: ${validStatuses.join(', ')}`, 400);
+      }
+
+      const deliveries = await db.listInboxDeliveries({
+        status,
+        appmaxId: appmax_id,
+        limit: Math.min(parseInt(limit, 10) || 50, 500)
+      });
+
+      res.json({
+        total: deliveries.length,
+        deliveries
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Atualiza os IDs relacionados a um pedido Appmax
    */
@@ -390,7 +255,7 @@ class WebhookController {
         },
         request: {
           body: req.body,
-          headers: req.headers,
+          headers: redact.headers(req.headers),
           ip: req.ip
         },
         timestamp: new Date().toISOString()
@@ -0,0 +1,146 @@
+const AppError = require('../utils/AppError');
+const db = require('../database/db');
+const webhookArchiveService = require('../services/webhookArchive.service');
+
+class WebhookArchiveController {
+  outcomes = ['accepted', 'duplicate', 'ignored', 'rejected', 'error'];
+  processingStatuses = ['received', 'processing', 'done', 'failed'];
+
+  getActor(req) {
+    return req.adminUser || 'api-token';
+  }
+
+  parseDate(value, field) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new AppError(`${field} deve ser uma data válida`, 400);
+    }
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  /**
+   * Filtros aceitos na listagem e no reprocessamento em lote
+   */
+  parseFilters(source = {}) {
+    const { event, appmax_id: appmaxId, outcome, response_status: responseStatus, processing_status: processingStatus } = source;
+
+    if (outcome && !this.outcomes.includes(outcome)) {
+      throw new AppError(`outcome inválido. Use: ${this.outcomes.join(', ')}`, 400);
+    }
+    if (processingStatus && !this.processingStatuses.includes(processingStatus)) {
+      throw new AppError(`processing_status inválido. Use: ${this.processingStatuses.join(', ')}`, 400);
+    }
+
+    return {
+      event,
+      appmaxId,
+      outcome,
+      responseStatus: responseStatus ? parseInt(responseStatus, 10) : null,
+      processingStatus,
+      from: this.parseDate(source.from, 'from'),
+      to: this.parseDate(source.to, 'to')
+    };
+  }
+
+  parseDryRun(value) {
+    return value === true || value === 'true';
+  }
+
+  async listArchive(req, res, next) {
+    try {
+      const entries = await db.listWebhookArchive({
+        ...this.parseFilters(req.query),
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+      });
+
+      res.json({
+        total: entries.length,
+        entries
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getArchiveEntry(req, res, next) {
+    try {
+      const entry = await db.getWebhookArchive(req.params.id);
+      if (!entry) {
+        throw new AppError('Webhook não encontrado no arquivo', 404);
+      }
+      res.json(entry);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reprocessa uma entrega arquivada (`dry_run=true` apenas simula). Entregas rejeitadas
+   * na autenticação não são reprocessadas.
+   */
+  async replayEntry(req, res, next) {
+    try {
+      const entry = await db.getWebhookArchive(req.params.id);
+      if (!entry) {
+        throw new AppError('Webhook não encontrado no arquivo', 404);
+      }
+
+      if (entry.outcome === 'rejected') {
+        throw new AppError('Webhook rejeitado na autenticação não pode ser reprocessado', 409);
+      }
+
+      const dryRun = this.parseDryRun(req.body?.dry_run ?? req.query.dry_run);
+      const result = await webhookArchiveService.replayEntry(entry, { dryRun, actor: this.getActor(req) });
+      res.status(dryRun ? 200 : 202).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reprocessa as entregas informadas em `ids` ou selecionadas pelos filtros em `filters`
+   */
+  async replayEntries(req, res, next) {
+    try {
+      const body = req.body || {};
+      let ids = null;
+      if (body.ids !== undefined) {
+        if (!Array.isArray(body.ids) || body.ids.length === 0) {
+          throw new AppError('ids deve ser uma lista de IDs', 400);
+        }
+        ids = body.ids.map(id => {
+          const parsed = parseInt(id, 10);
+          if (isNaN(parsed)) {
+            throw new AppError(`ID inválido: ${id}`, 400);
+          }
+          return parsed;
+        });
+      }
+
+      const dryRun = this.parseDryRun(body.dry_run);
+      const results = await webhookArchiveService.replay(
+        { ids, filters: ids ? null : this.parseFilters(body.filters) },
+        {
+          dryRun,
+          actor: this.getActor(req),
+          limit: parseInt(body.limit, 10) || 100
+        }
+      );
+
+      const count = result => results.filter(item => item.result === result).length;
+      res.status(dryRun ? 200 : 202).json({
+        dry_run: dryRun,
+        total: results.length,
+        replayed: count(dryRun ? 'dry_run' : 'replayed'),
+        failed: count('failed'),
+        rejected: count('rejected'),
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WebhookArchiveController();
@@ -5,8 +5,9 @@ const logger = require('../utils/logger');
 class Database {
   constructor() {
     this.initPromise = new Promise((resolve, reject) => {
+      // DATABASE_PATH permite outro arquivo (ou `:memory:`, usado nos testes)
       this.db = new sqlite3.Database(
-        path.join(__dirname, 'orders.db'),
+        process.env.DATABASE_PATH || path.join(__dirname, 'orders.db'),
         (err) => {
           if (err) {
             logger.error('Erro ao conectar ao banco de dados:', err);
@@ -45,7 +46,13 @@ class Database {
                   status TEXT,
                   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                  metadata TEXT
+                  metadata TEXT,
+                  parent_appmax_id INTEGER,
+                  tracking_code TEXT,
+                  tracking_sync_status TEXT,
+                  tracking_sync_error TEXT,
+                  tracking_synced_at DATETIME,
+                  store_id TEXT
                 )
               `);
             } else {
@@ -55,7 +62,13 @@ class Database {
                 woocommerce_id: 'TEXT',
                 session_id: 'TEXT',
                 platform: 'TEXT',
-                metadata: 'TEXT'
+                metadata: 'TEXT',
+                parent_appmax_id: 'INTEGER',
+                tracking_code: 'TEXT',
+                tracking_sync_status: 'TEXT',
+                tracking_sync_error: 'TEXT',
+                tracking_synced_at: 'DATETIME',
+                store_id: 'TEXT'
               };
 
               for (const [column, type] of Object.entries(missingColumns)) {
@@ -83,88 +96,2055 @@ class Database {
                 processed_at DATETIME,
                 attempts INTEGER DEFAULT 0,
                 error TEXT,
+                next_attempt_at DATETIME,
+                store_id TEXT,
                 FOREIGN KEY (appmax_id) REFERENCES orders(appmax_id)
               )
             `, (err) => {
               if (err) {
                 logger.error('Erro ao criar tabela request_queue:', err);
                 reject(err);
-              } else {
-                logger.info('Tabelas criadas/verificadas com sucesso');
-                resolve();
+                return;
               }
+
+              this.createAuxiliaryTables()
+                .then(() => {
+                  logger.info('Tabelas criadas/verificadas com sucesso');
+                  resolve();
+                })
+                .catch(reject);
             });
           });
         } catch (error) {
           reject(error);
         }
-      });
+      });
+    });
+  }
+
+  // Cria as tabelas auxiliares da integração
+  async createAuxiliaryTables() {
+    // Agendamento das retentativas da fila, adicionado depois da criação da tabela
+    const queueColumns = await this.getTableColumns('request_queue');
+    if (!queueColumns.includes('next_attempt_at')) {
+      await this.addColumn('request_queue', 'next_attempt_at', 'DATETIME');
+    }
+
+    // Inbox durável dos webhooks recebidos (received -> processing -> done/failed)
+    await this.createTable('webhook_inbox', `
+      CREATE TABLE IF NOT EXISTS webhook_inbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        appmax_id INTEGER,
+        session_id TEXT,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'received',
+        attempts INTEGER DEFAULT 0,
+        error TEXT,
+        result TEXT,
+        store_id TEXT,
+        next_attempt_at DATETIME,
+        received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        processed_at DATETIME
+      )
+    `);
+
+    const inboxColumns = await this.getTableColumns('webhook_inbox');
+    if (!inboxColumns.includes('next_attempt_at')) {
+      await this.addColumn('webhook_inbox', 'next_attempt_at', 'DATETIME');
+    }
+
+    // Registro de entregas recebidas, usado para descartar webhooks duplicados
+    await this.createTable('webhook_events', `
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        fingerprint TEXT NOT NULL UNIQUE,
+        event TEXT NOT NULL,
+        base_event TEXT NOT NULL,
+        appmax_id INTEGER,
+        payload_hash TEXT NOT NULL,
+        inbox_id INTEGER,
+        duplicates INTEGER DEFAULT 0,
+        received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await this.createTable('webhook_events_order_index', `
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_order
+      ON webhook_events (appmax_id, base_event, received_at)
+    `);
+
+    // Histórico de transições de status avaliadas pela máquina de estados
+    await this.createTable('order_status_transitions', `
+      CREATE TABLE IF NOT EXISTS order_status_transitions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        appmax_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        applied INTEGER NOT NULL,
+        reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Upsells de um clique aplicados a pedidos existentes na Shopify
+    await this.createTable('order_upsells', `
+      CREATE TABLE IF NOT EXISTS order_upsells (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        appmax_id INTEGER NOT NULL,
+        shopify_id TEXT,
+        previous_total REAL,
+        new_total REAL,
+        difference REAL,
+        appmax_total REAL,
+        items TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Histórico de reembolsos criados na Shopify a partir dos estornos da Appmax
+    await this.createTable('order_refunds', `
+      CREATE TABLE IF NOT EXISTS order_refunds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        appmax_id INTEGER NOT NULL,
+        shopify_id TEXT,
+        shopify_refund_id TEXT,
+        status TEXT NOT NULL,
+        requested_total REAL,
+        previously_refunded REAL,
+        amount REAL,
+        line_items TEXT,
+        restock INTEGER DEFAULT 0,
+        appmax_refunded_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Estornos solicitados à Appmax a partir de reembolsos/cancelamentos feitos na Shopify
+    await this.createTable('appmax_refunds', `
+      CREATE TABLE IF NOT EXISTS appmax_refunds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        appmax_id INTEGER NOT NULL,
+        shopify_id TEXT,
+        shopify_refund_id TEXT,
+        source TEXT NOT NULL,
+        type TEXT NOT NULL,
+        amount REAL,
+        status TEXT DEFAULT 'pending',
+        appmax_refund_id TEXT,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Um reembolso da Shopify gera no máximo um estorno na Appmax
+    await this.createTable('appmax_refunds_shopify_refund_index', `
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_appmax_refunds_shopify_refund
+      ON appmax_refunds (shopify_refund_id)
+    `);
+
+    // Webhooks da Shopify já recebidos (X-Shopify-Webhook-Id), usados para descartar reentregas
+    await this.createTable('shopify_webhook_deliveries', `
+      CREATE TABLE IF NOT EXISTS shopify_webhook_deliveries (
+        webhook_id TEXT PRIMARY KEY,
+        topic TEXT,
+        received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Relatórios das reconciliações entre o banco local e a Shopify
+    await this.createTable('reconciliation_runs', `
+      CREATE TABLE IF NOT EXISTS reconciliation_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trigger TEXT NOT NULL,
+        start_date DATETIME NOT NULL,
+        end_date DATETIME NOT NULL,
+        auto_heal INTEGER DEFAULT 0,
+        summary TEXT,
+        report TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Importações de pedidos históricos da Appmax
+    await this.createTable('import_jobs', `
+      CREATE TABLE IF NOT EXISTS import_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source TEXT NOT NULL,
+        format TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        total INTEGER DEFAULT 0,
+        processed INTEGER DEFAULT 0,
+        queued INTEGER DEFAULT 0,
+        skipped INTEGER DEFAULT 0,
+        failed INTEGER DEFAULT 0,
+        errors TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        finished_at DATETIME
+      )
+    `);
+
+    // Arquivo das requisições brutas recebidas em /webhook/appmax, usado para reprocessamento
+    await this.createTable('webhook_archive', `
+      CREATE TABLE IF NOT EXISTS webhook_archive (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        method TEXT NOT NULL,
+        url TEXT NOT NULL,
+        headers TEXT,
+        body TEXT,
+        body_size INTEGER,
+        body_truncated INTEGER DEFAULT 0,
+        ip TEXT,
+        event TEXT,
+        appmax_id INTEGER,
+        response_status INTEGER,
+        response_body TEXT,
+        outcome TEXT,
+        inbox_id INTEGER,
+        replay_count INTEGER DEFAULT 0,
+        last_replayed_at DATETIME,
+        last_replay_result TEXT,
+        received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        responded_at DATETIME
+      )
+    `);
+
+    const archiveColumns = await this.getTableColumns('webhook_archive');
+    if (!archiveColumns.includes('body_size')) {
+      await this.addColumn('webhook_archive', 'body_size', 'INTEGER');
+    }
+    if (!archiveColumns.includes('body_truncated')) {
+      await this.addColumn('webhook_archive', 'body_truncated', 'INTEGER DEFAULT 0');
+    }
+
+    // Webhooks com pedido inválido retidos no modo de validação strict (pending -> released/discarded)
+    await this.createTable('webhook_quarantine', `
+      CREATE TABLE IF NOT EXISTS webhook_quarantine (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        appmax_id INTEGER,
+        payload TEXT NOT NULL,
+        errors TEXT NOT NULL,
+        template TEXT,
+        source TEXT,
+        store_id TEXT,
+        state TEXT NOT NULL DEFAULT 'pending',
+        result TEXT,
+        resolved_by TEXT,
+        resolved_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Linha do tempo dos pedidos: eventos recebidos e a ação executada na Shopify
+    await this.createTable('order_events', `
+      CREATE TABLE IF NOT EXISTS order_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        appmax_id INTEGER NOT NULL,
+        source TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT,
+        status TEXT,
+        financial_status TEXT,
+        applied INTEGER DEFAULT 1,
+        reason TEXT,
+        action TEXT,
+        action_status TEXT,
+        request_id INTEGER,
+        result TEXT,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Requisições da fila que falharam definitivamente (erro permanente ou tentativas esgotadas)
+    await this.createTable('dead_letters', `
+      CREATE TABLE IF NOT EXISTS dead_letters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_id INTEGER NOT NULL,
+        appmax_id INTEGER,
+        event_type TEXT NOT NULL,
+        status TEXT,
+        financial_status TEXT,
+        request_data TEXT NOT NULL,
+        error TEXT,
+        error_class TEXT,
+        reason TEXT,
+        attempts INTEGER DEFAULT 0,
+        store_id TEXT,
+        state TEXT NOT NULL DEFAULT 'pending',
+        replay_request_id INTEGER,
+        replayed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Registro das ações administrativas
+    await this.createTable('admin_audit_log', `
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        action TEXT NOT NULL,
+        entity_type TEXT NOT NULL,
+        entity_id TEXT,
+        actor TEXT,
+        details TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Vínculos manuais entre produtos/bundles da Appmax e variantes da Shopify, por loja.
+    // A versão anterior, sem store_id, é recriada: o SQLite não altera restrições UNIQUE e os
+    // mapeamentos antigos ficam sem loja até serem vinculados à loja padrão (assignDefaultStore)
+    const mappingColumns = await this.getTableColumns('product_mappings');
+    const legacyMappings = mappingColumns.length > 0 && !mappingColumns.includes('store_id');
+    if (legacyMappings) {
+      await this.createTable('product_mappings_legacy', 'ALTER TABLE product_mappings RENAME TO product_mappings_legacy');
+    }
+    await this.createTable('product_mappings', `
+      CREATE TABLE IF NOT EXISTS product_mappings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        store_id TEXT,
+        source_type TEXT NOT NULL,
+        appmax_id TEXT NOT NULL,
+        name TEXT,
+        variants TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (store_id, source_type, appmax_id)
+      )
+    `);
+    if (legacyMappings) {
+      await this.createTable('product_mappings', `
+        INSERT INTO product_mappings (id, source_type, appmax_id, name, variants, created_at, updated_at)
+        SELECT id, source_type, appmax_id, name, variants, created_at, updated_at FROM product_mappings_legacy
+      `);
+      await this.createTable('product_mappings_legacy', 'DROP TABLE product_mappings_legacy');
+    }
+
+    // Loja Shopify de cada registro (ver storeRegistry), adicionada depois da criação das tabelas
+    for (const tableName of ['request_queue', 'webhook_inbox', 'webhook_quarantine', 'dead_letters']) {
+      const columns = await this.getTableColumns(tableName);
+      if (!columns.includes('store_id')) {
+        await this.addColumn(tableName, 'store_id', 'TEXT');
+      }
+    }
+    await this.createTable('orders_store_index', `
+      CREATE INDEX IF NOT EXISTS idx_orders_store
+      ON orders (store_id)
+    `);
+    await this.createTable('request_queue_store_index', `
+      CREATE INDEX IF NOT EXISTS idx_request_queue_store
+      ON request_queue (store_id, processed_at)
+    `);
+  }
+
+  // Método auxiliar para criar uma tabela
+  async createTable(tableName, sql) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, (err) => {
+        if (err) {
+          logger.error(`Erro ao criar tabela ${tableName}:`, err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Método auxiliar para obter colunas de uma tabela
+  async getTableColumns(tableName) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`PRAGMA table_info(${tableName})`, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => row.name));
+        }
+      });
+    });
+  }
+
+  // Método auxiliar para adicionar coluna
+  async addColumn(tableName, columnName, columnType) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${columnType}`, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async waitForInit() {
+    return this.initPromise;
+  }
+
+  /**
+   * ID do pedido na Shopify; com `storeId`, apenas se o pedido pertencer à loja
+   */
+  async findShopifyOrderId(appmaxId, storeId = null) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT shopify_id FROM orders WHERE appmax_id = ?${storeId ? ' AND (store_id = ? OR store_id IS NULL)' : ''}`,
+        storeId ? [appmaxId, storeId] : [appmaxId],
+        (err, row) => {
+          if (err) {
+            logger.error('Erro ao buscar pedido:', err);
+            reject(err);
+          } else {
+            resolve(row ? row.shopify_id : null);
+          }
+        }
+      );
+    });
+  }
+
+  async saveOrderMapping(appmaxId, shopifyId, storeId = null) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO orders (appmax_id, shopify_id, platform, store_id) 
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(appmax_id) DO UPDATE SET 
+         shopify_id = excluded.shopify_id,
+         platform = excluded.platform,
+         store_id = COALESCE(excluded.store_id, orders.store_id),
+         updated_at = CURRENT_TIMESTAMP`,
+        [appmaxId, shopifyId, 'shopify', storeId],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao salvar mapeamento de pedido:', err);
+            reject(err);
+          } else {
+            logger.info(`Mapeamento salvo: Appmax #${appmaxId} -> Shopify #${shopifyId}`);
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  async saveQueueRequest({ appmaxId, eventType, status, financialStatus, requestData, storeId = null }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO request_queue (
+          appmax_id, event_type, status, financial_status, request_data, store_id
+        ) VALUES (?, ?, ?, ?, ?, ?)`,
+        [appmaxId, eventType, status, financialStatus, JSON.stringify(requestData), storeId],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao salvar requisição na fila:', err);
+            reject(err);
+          } else {
+            logger.info(`Requisição salva na fila: ID ${this.lastID}, Appmax #${appmaxId}`);
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Requisições prontas para processamento; com `storeId`, apenas as da loja
+   */
+  async getUnprocessedRequests({ storeId = null } = {}) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        // Requisições aguardando retentativa seguram as mais novas do mesmo pedido,
+        // para que as atualizações sejam aplicadas na ordem em que chegaram
+        `SELECT * FROM request_queue q
+         WHERE processed_at IS NULL
+         ${storeId ? 'AND store_id = ?' : ''}
+         AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+         AND NOT EXISTS (
+           SELECT 1 FROM request_queue p
+           WHERE p.appmax_id = q.appmax_id
+           AND p.id < q.id
+           AND p.processed_at IS NULL
+           AND p.next_attempt_at > CURRENT_TIMESTAMP
+         )
+         ORDER BY created_at ASC, id ASC`,
+        storeId ? [storeId] : [],
+        (err, rows) => {
+          if (err) {
+            logger.error('Erro ao buscar requisições não processadas:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => ({
+              ...row,
+              request_data: JSON.parse(row.request_data)
+            })));
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Registra uma tentativa de processamento.
+   * Com `retryAt`, a requisição volta para a fila a partir dessa data; sem ela, é finalizada.
+   * @param {number} requestId
+   * @param {string|null} error
+   * @param {Object} [options]
+   * @param {Date} [options.retryAt]
+   */
+  async markRequestAsProcessed(requestId, error = null, { retryAt = null } = {}) {
+    const nextAttemptAt = retryAt ? retryAt.toISOString().replace('T', ' ').slice(0, 19) : null;
+
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE request_queue 
+         SET processed_at = CASE WHEN ? IS NULL THEN CURRENT_TIMESTAMP ELSE NULL END,
+         next_attempt_at = ?,
+         attempts = attempts + 1,
+         error = ?
+         WHERE id = ?`,
+        [nextAttemptAt, nextAttemptAt, error, requestId],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao marcar requisição como processada:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Quantidade de requisições da fila por estado
+   * @returns {Promise<{pending: number, retrying: number, failed: number, done: number}>}
+   */
+  async getQueueSummary({ storeId = null } = {}) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT
+           SUM(CASE WHEN processed_at IS NULL AND next_attempt_at IS NULL THEN 1 ELSE 0 END) AS pending,
+           SUM(CASE WHEN processed_at IS NULL AND next_attempt_at IS NOT NULL THEN 1 ELSE 0 END) AS retrying,
+           SUM(CASE WHEN processed_at IS NOT NULL AND error IS NOT NULL THEN 1 ELSE 0 END) AS failed,
+           SUM(CASE WHEN processed_at IS NOT NULL AND error IS NULL THEN 1 ELSE 0 END) AS done
+         FROM request_queue${storeId ? ' WHERE store_id = ?' : ''}`,
+        storeId ? [storeId] : [],
+        (err, row) => {
+          if (err) {
+            logger.error('Erro ao resumir a fila:', err);
+            reject(err);
+          } else {
+            resolve({
+              pending: row.pending || 0,
+              retrying: row.retrying || 0,
+              failed: row.failed || 0,
+              done: row.done || 0
+            });
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Lista as requisições da fila, sem o request_data
+   * @param {Object} [filters]
+   * @param {string} [filters.state] `pending`, `retrying`, `failed` ou `done`
+   */
+  async listQueueRequests({ appmaxId = null, storeId = null, state = null, limit = 50 } = {}) {
+    const stateConditions = {
+      pending: 'processed_at IS NULL AND next_attempt_at IS NULL',
+      retrying: 'processed_at IS NULL AND next_attempt_at IS NOT NULL',
+      failed: 'processed_at IS NOT NULL AND error IS NOT NULL',
+      done: 'processed_at IS NOT NULL AND error IS NULL'
+    };
+
+    let query = `SELECT id, appmax_id, store_id, event_type, status, financial_status, created_at, processed_at,
+      attempts, error, next_attempt_at FROM request_queue WHERE 1 = 1`;
+    const params = [];
+
+    if (appmaxId) {
+      query += ' AND appmax_id = ?';
+      params.push(appmaxId);
+    }
+    if (storeId) {
+      query += ' AND store_id = ?';
+      params.push(storeId);
+    }
+    if (stateConditions[state]) {
+      query += ` AND ${stateConditions[state]}`;
+    }
+
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          logger.error('Erro ao listar requisições da fila:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Vincula à loja padrão os pedidos e requisições salvos sem loja (anteriores ao cadastro de lojas)
+   * @returns {Promise<number>} Quantidade de registros atualizados
+   */
+  async assignDefaultStore(storeId) {
+    let updated = 0;
+    for (const tableName of ['orders', 'request_queue', 'dead_letters', 'product_mappings']) {
+      updated += await new Promise((resolve, reject) => {
+        this.db.run(
+          `UPDATE ${tableName} SET store_id = ? WHERE store_id IS NULL`,
+          [storeId],
+          function(err) {
+            if (err) {
+              logger.error(`Erro ao vincular ${tableName} à loja padrão:`, err);
+              reject(err);
+            } else {
+              resolve(this.changes);
+            }
+          }
+        );
+      });
+    }
+    return updated;
+  }
+
+  /**
+   * Salva um webhook recebido na inbox para processamento em segundo plano
+   * @returns {Promise<number>} ID da entrega na inbox
+   */
+  async saveInboxDelivery({ event, appmaxId = null, sessionId = null, payload, storeId = null }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO webhook_inbox (event, appmax_id, session_id, payload, store_id)
+         VALUES (?, ?, ?, ?, ?)`,
+        [event, appmaxId, sessionId, JSON.stringify(payload), storeId],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao salvar webhook na inbox:', err);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  async getReceivedInboxDeliveries(limit = 50) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM webhook_inbox
+         WHERE status = 'received'
+         AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+         ORDER BY id ASC
+         LIMIT ?`,
+        [limit],
+        (err, rows) => {
+          if (err) {
+            logger.error('Erro ao buscar webhooks pendentes na inbox:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => this.parseInboxRow(row)));
+          }
+        }
+      );
+    });
+  }
+
+  async getInboxDelivery(deliveryId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM webhook_inbox WHERE id = ?',
+        [deliveryId],
+        (err, row) => {
+          if (err) {
+            logger.error('Erro ao buscar webhook na inbox:', err);
+            reject(err);
+          } else {
+            resolve(row ? this.parseInboxRow(row) : null);
+          }
+        }
+      );
+    });
+  }
+
+  async listInboxDeliveries({ status = null, appmaxId = null, limit = 50 } = {}) {
+    let query = 'SELECT * FROM webhook_inbox WHERE 1 = 1';
+    const params = [];
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+    if (appmaxId) {
+      query += ' AND appmax_id = ?';
+      params.push(appmaxId);
+    }
+
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          logger.error('Erro ao listar webhooks da inbox:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseInboxRow(row)));
+        }
+      });
+    });
+  }
+
+  async markInboxProcessing(deliveryId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE webhook_inbox
+         SET status = 'processing',
+         attempts = attempts + 1,
+         started_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [deliveryId],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao marcar webhook como em processamento:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  async markInboxDone(deliveryId, result = {}) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE webhook_inbox
+         SET status = 'done',
+         result = ?,
+         error = NULL,
+         next_attempt_at = NULL,
+         processed_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [JSON.stringify(result), deliveryId],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao marcar webhook como processado:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Registra a falha no processamento de uma entrega.
+   * Com `retryAt`, a entrega volta para a inbox a partir dessa data; sem ela, fica como `failed`.
+   * @param {number} deliveryId
+   * @param {string} error
+   * @param {Object} [options]
+   * @param {Date} [options.retryAt]
+   */
+  async markInboxFailed(deliveryId, error, { retryAt = null } = {}) {
+    const nextAttemptAt = retryAt ? retryAt.toISOString().replace('T', ' ').slice(0, 19) : null;
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE webhook_inbox
+         SET status = ?,
+         error = ?,
+         next_attempt_at = ?,
+         processed_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [retryAt ? 'received' : 'failed', error, nextAttemptAt, deliveryId],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao marcar webhook como falho:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Devolve para a fila as entregas que ficaram em processamento (ex.: servidor reiniciado no meio)
+   */
+  async resetStuckInboxDeliveries() {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE webhook_inbox
+         SET status = 'received'
+         WHERE status = 'processing'`,
+        function(err) {
+          if (err) {
+            logger.error('Erro ao restaurar webhooks em processamento:', err);
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  parseInboxRow(row) {
+    return {
+      ...row,
+      payload: row.payload ? JSON.parse(row.payload) : null,
+      result: row.result ? JSON.parse(row.result) : null
+    };
+  }
+
+  /**
+   * Registra uma entrega no ledger de webhooks.
+   * Retorna o ID do registro ou null quando a impressão digital já existe (entrega duplicada).
+   */
+  async claimWebhookEvent({ fingerprint, event, baseEvent, appmaxId = null, payloadHash }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT OR IGNORE INTO webhook_events (fingerprint, event, base_event, appmax_id, payload_hash)
+         VALUES (?, ?, ?, ?, ?)`,
+        [fingerprint, event, baseEvent, appmaxId, payloadHash],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao registrar webhook no ledger:', err);
+            reject(err);
+          } else {
+            resolve(this.changes > 0 ? this.lastID : null);
+          }
+        }
+      );
+    });
+  }
+
+  async registerDuplicateWebhookEvent(fingerprint) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE webhook_events
+         SET duplicates = duplicates + 1,
+         last_seen_at = CURRENT_TIMESTAMP
+         WHERE fingerprint = ?`,
+        [fingerprint],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao registrar webhook duplicado:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Busca o registro mais recente de um evento para o pedido dentro da janela informada (em minutos)
+   */
+  async findRecentWebhookEvent(baseEvent, appmaxId, windowMinutes) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM webhook_events
+         WHERE base_event = ?
+         AND appmax_id = ?
+         AND event = base_event
+         AND received_at >= datetime('now', ?)
+         ORDER BY received_at DESC
+         LIMIT 1`,
+        [baseEvent, appmaxId, `-${windowMinutes} minutes`],
+        (err, row) => {
+          if (err) {
+            logger.error('Erro ao buscar webhook no ledger:', err);
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        }
+      );
+    });
+  }
+
+  async setWebhookEventInbox(eventId, inboxId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE webhook_events SET inbox_id = ? WHERE id = ?',
+        [inboxId, eventId],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao vincular webhook do ledger à inbox:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  async deleteWebhookEvent(eventId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM webhook_events WHERE id = ?',
+        [eventId],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao remover webhook do ledger:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Registra uma transição de status avaliada, aplicada ou não
+   */
+  async saveStatusTransition({ appmaxId, event, fromStatus = null, toStatus, applied, reason = null }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO order_status_transitions (
+          appmax_id, event, from_status, to_status, applied, reason
+        ) VALUES (?, ?, ?, ?, ?, ?)`,
+        [appmaxId, event, fromStatus, toStatus, applied ? 1 : 0, reason],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao registrar transição de status:', err);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  async getStatusTransitions(appmaxId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM order_status_transitions
+         WHERE appmax_id = ?
+         ORDER BY id ASC`,
+        [appmaxId],
+        (err, rows) => {
+          if (err) {
+            logger.error('Erro ao buscar transições de status:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => ({ ...row, applied: !!row.applied })));
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Vincula um pedido de upsell (Televendas) ao pedido original
+   */
+  async linkParentOrder(appmaxId, parentAppmaxId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE orders
+         SET parent_appmax_id = ?,
+         updated_at = CURRENT_TIMESTAMP
+         WHERE appmax_id = ?`,
+        [parentAppmaxId, appmaxId],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao vincular pedido ao pedido original:', err);
+            reject(err);
+          } else {
+            logger.info(`Pedido Appmax #${appmaxId} vinculado ao pedido original #${parentAppmaxId}`);
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Atualiza o estado do envio do código de rastreio à Appmax (pending, synced ou failed)
+   */
+  async updateTrackingSync(appmaxId, { trackingCode, status, error = null }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE orders
+         SET tracking_code = ?,
+         tracking_sync_status = ?,
+         tracking_sync_error = ?,
+         tracking_synced_at = CASE WHEN ? = 'synced' THEN CURRENT_TIMESTAMP ELSE tracking_synced_at END,
+         updated_at = CURRENT_TIMESTAMP
+         WHERE appmax_id = ?`,
+        [trackingCode, status, error, status, appmaxId],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao atualizar sincronização do rastreio:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  async getChildOrders(parentAppmaxId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM orders WHERE parent_appmax_id = ? ORDER BY created_at ASC',
+        [parentAppmaxId],
+        (err, rows) => {
+          if (err) {
+            logger.error('Erro ao buscar pedidos vinculados:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => ({
+              ...row,
+              metadata: row.metadata ? JSON.parse(row.metadata) : {}
+            })));
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Registra um upsell aplicado ao pedido na Shopify, com a diferença de valor
+   */
+  async saveOrderUpsell({ appmaxId, shopifyId, previousTotal, newTotal, appmaxTotal = null, items = [] }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO order_upsells (
+          appmax_id, shopify_id, previous_total, new_total, difference, appmax_total, items
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          appmaxId,
+          shopifyId,
+          previousTotal,
+          newTotal,
+          Math.round((newTotal - previousTotal) * 100) / 100,
+          appmaxTotal,
+          JSON.stringify(items)
+        ],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao registrar upsell:', err);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  async getOrderUpsells(appmaxId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM order_upsells WHERE appmax_id = ? ORDER BY id ASC',
+        [appmaxId],
+        (err, rows) => {
+          if (err) {
+            logger.error('Erro ao buscar upsells do pedido:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => ({
+              ...row,
+              items: row.items ? JSON.parse(row.items) : []
+            })));
+          }
+        }
+      );
+    });
+  }
+
+  async saveOrderRefund({
+    appmaxId,
+    shopifyId,
+    shopifyRefundId = null,
+    status,
+    requestedTotal,
+    previouslyRefunded,
+    amount,
+    lineItems = [],
+    restock = false,
+    appmaxRefundedAt = null
+  }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO order_refunds (
+          appmax_id, shopify_id, shopify_refund_id, status, requested_total,
+          previously_refunded, amount, line_items, restock, appmax_refunded_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          appmaxId,
+          shopifyId,
+          shopifyRefundId,
+          status,
+          requestedTotal,
+          previouslyRefunded,
+          amount,
+          JSON.stringify(lineItems),
+          restock ? 1 : 0,
+          appmaxRefundedAt
+        ],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao registrar reembolso:', err);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  async getOrderRefunds(appmaxId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM order_refunds WHERE appmax_id = ? ORDER BY id ASC',
+        [appmaxId],
+        (err, rows) => {
+          if (err) {
+            logger.error('Erro ao buscar reembolsos do pedido:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => ({
+              ...row,
+              restock: !!row.restock,
+              line_items: row.line_items ? JSON.parse(row.line_items) : []
+            })));
+          }
+        }
+      );
+    });
+  }
+
+  async findOrderRefundByShopifyRefundId(shopifyRefundId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM order_refunds WHERE shopify_refund_id = ?',
+        [String(shopifyRefundId)],
+        (err, row) => {
+          if (err) {
+            logger.error('Erro ao buscar reembolso:', err);
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Registra o estorno. Retorna null quando o reembolso da Shopify já tem estorno registrado.
+   */
+  async saveAppmaxRefund({ appmaxId, shopifyId, shopifyRefundId = null, source, type, amount }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT OR IGNORE INTO appmax_refunds (
+          appmax_id, shopify_id, shopify_refund_id, source, type, amount
+        ) VALUES (?, ?, ?, ?, ?, ?)`,
+        [appmaxId, shopifyId, shopifyRefundId, source, type, amount],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao registrar estorno Appmax:', err);
+            reject(err);
+          } else {
+            resolve(this.changes > 0 ? this.lastID : null);
+          }
+        }
+      );
+    });
+  }
+
+  async updateAppmaxRefund(id, { status, appmaxRefundId = null, error = null }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE appmax_refunds
+         SET status = ?,
+         appmax_refund_id = COALESCE(?, appmax_refund_id),
+         error = ?,
+         updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, appmaxRefundId, error, id],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao atualizar estorno Appmax:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  async findAppmaxRefundByShopifyRefundId(shopifyRefundId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM appmax_refunds WHERE shopify_refund_id = ?',
+        [String(shopifyRefundId)],
+        (err, row) => {
+          if (err) {
+            logger.error('Erro ao buscar estorno Appmax pelo reembolso da Shopify:', err);
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Registra a entrega de um webhook da Shopify pelo X-Shopify-Webhook-Id
+   * @returns {Promise<boolean>} false quando a entrega já foi recebida
+   */
+  async claimShopifyWebhook(webhookId, topic) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT OR IGNORE INTO shopify_webhook_deliveries (webhook_id, topic) VALUES (?, ?)',
+        [webhookId, topic],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao registrar webhook da Shopify:', err);
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Remove o registro da entrega, para que a reentrega da Shopify seja processada
+   */
+  async releaseShopifyWebhook(webhookId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM shopify_webhook_deliveries WHERE webhook_id = ?',
+        [webhookId],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao remover registro de webhook da Shopify:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  async getAppmaxRefunds(appmaxId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM appmax_refunds WHERE appmax_id = ? ORDER BY id ASC',
+        [appmaxId],
+        (err, rows) => {
+          if (err) {
+            logger.error('Erro ao buscar estornos Appmax do pedido:', err);
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  async saveReconciliationRun(report) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO reconciliation_runs (
+          trigger, start_date, end_date, auto_heal, summary, report
+        ) VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          report.trigger,
+          report.start_date,
+          report.end_date,
+          report.auto_heal ? 1 : 0,
+          JSON.stringify(report.summary),
+          JSON.stringify(report)
+        ],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao salvar relatório de reconciliação:', err);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  async listReconciliationRuns(limit = 20) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT id, trigger, start_date, end_date, auto_heal, summary, created_at
+         FROM reconciliation_runs
+         ORDER BY id DESC
+         LIMIT ?`,
+        [limit],
+        (err, rows) => {
+          if (err) {
+            logger.error('Erro ao listar reconciliações:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => ({
+              ...row,
+              auto_heal: !!row.auto_heal,
+              summary: row.summary ? JSON.parse(row.summary) : null
+            })));
+          }
+        }
+      );
+    });
+  }
+
+  async getReconciliationRun(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT id, report FROM reconciliation_runs WHERE id = ?',
+        [id],
+        (err, row) => {
+          if (err) {
+            logger.error('Erro ao buscar reconciliação:', err);
+            reject(err);
+          } else {
+            resolve(row ? { ...JSON.parse(row.report), id: row.id } : null);
+          }
+        }
+      );
+    });
+  }
+
+  async createImportJob({ source, format, total }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT INTO import_jobs (source, format, total) VALUES (?, ?, ?)',
+        [source, format, total],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao criar importação:', err);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Atualiza o progresso de uma importação
+   */
+  async updateImportJob(id, { status, processed, queued, skipped, failed, errors }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE import_jobs
+         SET status = ?,
+         processed = ?,
+         queued = ?,
+         skipped = ?,
+         failed = ?,
+         errors = ?,
+         started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+         finished_at = CASE WHEN ? IN ('done', 'failed') THEN CURRENT_TIMESTAMP ELSE finished_at END
+         WHERE id = ?`,
+        [status, processed, queued, skipped, failed, JSON.stringify(errors || []), status, id],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao atualizar importação:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Marca como falhas as importações que estavam em andamento quando o servidor parou.
+   * O progresso fica apenas na memória do processo, então elas não podem ser retomadas.
+   */
+  async failInterruptedImportJobs() {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE import_jobs
+         SET status = 'failed',
+         errors = json_insert(COALESCE(errors, '[]'), '$[#]', json_object('appmax_id', NULL, 'error', ?)),
+         finished_at = CURRENT_TIMESTAMP
+         WHERE status IN ('pending', 'running')`,
+        ['Importação interrompida pela reinicialização do servidor'],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao encerrar importações interrompidas:', err);
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  parseImportJobRow(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      errors: row.errors ? JSON.parse(row.errors) : []
+    };
+  }
+
+  async getImportJob(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM import_jobs WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error('Erro ao buscar importação:', err);
+          reject(err);
+        } else {
+          resolve(this.parseImportJobRow(row));
+        }
+      });
+    });
+  }
+
+  async listImportJobs(limit = 20) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM import_jobs ORDER BY id DESC LIMIT ?',
+        [limit],
+        (err, rows) => {
+          if (err) {
+            logger.error('Erro ao listar importações:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => this.parseImportJobRow(row)));
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Acrescenta um evento à linha do tempo do pedido
+   */
+  async saveWebhookArchive({
+    method, url, headers, body, bodySize = null, bodyTruncated = false, ip, event = null, appmaxId = null
+  }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO webhook_archive (method, url, headers, body, body_size, body_truncated, ip, event, appmax_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [method, url, headers ? JSON.stringify(headers) : null, body, bodySize, bodyTruncated ? 1 : 0, ip, event, appmaxId],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao arquivar webhook:', err);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  async updateWebhookArchiveResponse(id, { responseStatus, responseBody = null, outcome, inboxId = null }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE webhook_archive
+         SET response_status = ?,
+         response_body = ?,
+         outcome = ?,
+         inbox_id = ?,
+         responded_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [responseStatus, responseBody ? JSON.stringify(responseBody) : null, outcome, inboxId, id],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao registrar resposta do webhook arquivado:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  async markWebhookArchiveReplayed(id, result) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE webhook_archive
+         SET replay_count = replay_count + 1,
+         last_replayed_at = CURRENT_TIMESTAMP,
+         last_replay_result = ?
+         WHERE id = ?`,
+        [JSON.stringify(result), id],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao registrar reprocessamento do webhook arquivado:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Remove as requisições arquivadas há mais de `days` dias
+   * @returns {Promise<number>} Quantidade de requisições removidas
+   */
+  async pruneWebhookArchive(days) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `DELETE FROM webhook_archive WHERE received_at < datetime('now', ?)`,
+        [`-${days} days`],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao remover webhooks arquivados antigos:', err);
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Converte as colunas JSON do arquivo de webhooks e inclui o resultado do processamento na inbox
+   */
+  parseWebhookArchiveRow(row) {
+    const { inbox_status: inboxStatus, inbox_error: inboxError, inbox_result: inboxResult,
+      inbox_processed_at: inboxProcessedAt, ...entry } = row;
+
+    let body = entry.body;
+    try {
+      body = entry.body ? JSON.parse(entry.body) : null;
+    } catch (error) {
+      // corpo que não é JSON é devolvido como texto
+    }
+
+    return {
+      ...entry,
+      headers: entry.headers ? JSON.parse(entry.headers) : null,
+      body,
+      body_truncated: !!entry.body_truncated,
+      response_body: entry.response_body ? JSON.parse(entry.response_body) : null,
+      last_replay_result: entry.last_replay_result ? JSON.parse(entry.last_replay_result) : null,
+      processing: entry.inbox_id ? {
+        status: inboxStatus,
+        error: inboxError,
+        result: inboxResult ? JSON.parse(inboxResult) : null,
+        processed_at: inboxProcessedAt
+      } : null
+    };
+  }
+
+  async listWebhookArchive({
+    ids = null,
+    event = null,
+    appmaxId = null,
+    outcome = null,
+    excludeOutcome = null,
+    responseStatus = null,
+    processingStatus = null,
+    from = null,
+    to = null,
+    order = 'desc',
+    limit = 50
+  } = {}) {
+    let query = `SELECT a.*, i.status AS inbox_status, i.error AS inbox_error, i.result AS inbox_result,
+      i.processed_at AS inbox_processed_at
+      FROM webhook_archive a
+      LEFT JOIN webhook_inbox i ON i.id = a.inbox_id
+      WHERE 1 = 1`;
+    const params = [];
+
+    if (ids) {
+      query += ` AND a.id IN (${ids.map(() => '?').join(', ')})`;
+      params.push(...ids);
+    }
+    if (event) {
+      query += ' AND a.event = ?';
+      params.push(event);
+    }
+    if (appmaxId) {
+      query += ' AND a.appmax_id = ?';
+      params.push(appmaxId);
+    }
+    if (outcome) {
+      query += ' AND a.outcome = ?';
+      params.push(outcome);
+    }
+    if (excludeOutcome) {
+      query += ' AND (a.outcome IS NULL OR a.outcome != ?)';
+      params.push(excludeOutcome);
+    }
+    if (responseStatus) {
+      query += ' AND a.response_status = ?';
+      params.push(responseStatus);
+    }
+    if (processingStatus) {
+      query += ' AND i.status = ?';
+      params.push(processingStatus);
+    }
+    if (from) {
+      query += ' AND a.received_at >= ?';
+      params.push(from);
+    }
+    if (to) {
+      query += ' AND a.received_at <= ?';
+      params.push(to);
+    }
+
+    query += ` ORDER BY a.id ${order === 'asc' ? 'ASC' : 'DESC'} LIMIT ?`;
+    params.push(limit);
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          logger.error('Erro ao listar o arquivo de webhooks:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseWebhookArchiveRow(row)));
+        }
+      });
+    });
+  }
+
+  async getWebhookArchive(id) {
+    const [entry] = await this.listWebhookArchive({ ids: [id], limit: 1 });
+    return entry || null;
+  }
+
+  async saveQuarantine({ event, appmaxId = null, payload, errors, template = null, source = null, storeId = null }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO webhook_quarantine (event, appmax_id, payload, errors, template, source, store_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [event, appmaxId, JSON.stringify(payload), JSON.stringify(errors), template, source, storeId],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao salvar webhook na quarentena:', err);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  parseQuarantineRow(row) {
+    return {
+      ...row,
+      payload: JSON.parse(row.payload),
+      errors: JSON.parse(row.errors),
+      result: row.result ? JSON.parse(row.result) : null
+    };
+  }
+
+  async listQuarantine({ state = null, event = null, appmaxId = null, limit = 50 } = {}) {
+    let query = 'SELECT * FROM webhook_quarantine WHERE 1 = 1';
+    const params = [];
+
+    if (state) {
+      query += ' AND state = ?';
+      params.push(state);
+    }
+    if (event) {
+      query += ' AND event = ?';
+      params.push(event);
+    }
+    if (appmaxId) {
+      query += ' AND appmax_id = ?';
+      params.push(appmaxId);
+    }
+
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          logger.error('Erro ao listar a quarentena de webhooks:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseQuarantineRow(row)));
+        }
+      });
+    });
+  }
+
+  async getQuarantine(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM webhook_quarantine WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error('Erro ao buscar webhook na quarentena:', err);
+          reject(err);
+        } else {
+          resolve(row ? this.parseQuarantineRow(row) : null);
+        }
+      });
+    });
+  }
+
+  async updateQuarantinePayload(id, { payload, errors }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE webhook_quarantine
+         SET payload = ?,
+         errors = ?,
+         updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [JSON.stringify(payload), JSON.stringify(errors), id],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao atualizar webhook na quarentena:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Encerra um item da quarentena (`released` ou `discarded`)
+   */
+  async resolveQuarantine(id, { state, result = null, actor = null }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE webhook_quarantine
+         SET state = ?,
+         result = ?,
+         resolved_by = ?,
+         resolved_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [state, result ? JSON.stringify(result) : null, actor, id],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao encerrar webhook da quarentena:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  async saveOrderEvent({
+    appmaxId,
+    source,
+    event,
+    payload = null,
+    status = null,
+    financialStatus = null,
+    applied = true,
+    reason = null,
+    action = null,
+    actionStatus = null,
+    requestId = null,
+    result = null,
+    error = null
+  }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO order_events (
+          appmax_id, source, event, payload, status, financial_status, applied, reason,
+          action, action_status, request_id, result, error
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          appmaxId,
+          source,
+          event,
+          payload ? JSON.stringify(payload) : null,
+          status,
+          financialStatus,
+          applied ? 1 : 0,
+          reason,
+          action,
+          actionStatus,
+          requestId,
+          result ? JSON.stringify(result) : null,
+          error
+        ],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao salvar evento do pedido:', err);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
     });
   }
 
-  // Método auxiliar para obter colunas de uma tabela
-  async getTableColumns(tableName) {
+  /**
+   * Atualiza o resultado da ação na Shopify dos eventos ligados a uma requisição da fila
+   * @returns {Promise<number>} Quantidade de eventos atualizados
+   */
+  async updateOrderEventsByRequestId(requestId, { actionStatus, result = null, error = null }) {
     return new Promise((resolve, reject) => {
-      this.db.all(`PRAGMA table_info(${tableName})`, (err, rows) => {
+      this.db.run(
+        `UPDATE order_events
+         SET action_status = ?,
+         result = ?,
+         error = ?,
+         updated_at = CURRENT_TIMESTAMP
+         WHERE request_id = ?`,
+        [actionStatus, result ? JSON.stringify(result) : null, error, requestId],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao atualizar eventos do pedido:', err);
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  async getOrderEvents(appmaxId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM order_events WHERE appmax_id = ? ORDER BY id ASC',
+        [appmaxId],
+        (err, rows) => {
+          if (err) {
+            logger.error('Erro ao buscar linha do tempo do pedido:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => ({
+              ...row,
+              applied: !!row.applied,
+              payload: row.payload ? JSON.parse(row.payload) : null,
+              result: row.result ? JSON.parse(row.result) : null
+            })));
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Move uma requisição da fila para a dead-letter queue
+   */
+  async saveDeadLetter({ request, error, errorClass, reason }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO dead_letters (
+          request_id, appmax_id, event_type, status, financial_status, request_data,
+          error, error_class, reason, attempts, store_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          request.id,
+          request.appmax_id,
+          request.event_type,
+          request.status,
+          request.financial_status,
+          JSON.stringify(request.request_data),
+          error,
+          errorClass,
+          reason,
+          request.attempts,
+          request.store_id || null
+        ],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao salvar requisição na dead-letter queue:', err);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Lista a dead-letter queue, sem o request_data
+   * @param {Object} [filters]
+   * @param {string} [filters.from] Data inicial (created_at)
+   * @param {string} [filters.to] Data final (created_at)
+   */
+  async listDeadLetters({ appmaxId = null, event = null, errorClass = null, state = null, from = null, to = null, limit = 50 } = {}) {
+    let query = `SELECT id, request_id, appmax_id, store_id, event_type, status, financial_status, error, error_class,
+      reason, attempts, state, replay_request_id, replayed_at, created_at, updated_at
+      FROM dead_letters WHERE 1 = 1`;
+    const params = [];
+
+    if (appmaxId) {
+      query += ' AND appmax_id = ?';
+      params.push(appmaxId);
+    }
+    if (event) {
+      query += ' AND event_type = ?';
+      params.push(event);
+    }
+    if (errorClass) {
+      query += ' AND error_class = ?';
+      params.push(errorClass);
+    }
+    if (state) {
+      query += ' AND state = ?';
+      params.push(state);
+    }
+    if (from) {
+      query += ' AND created_at >= ?';
+      params.push(from);
+    }
+    if (to) {
+      query += ' AND created_at <= ?';
+      params.push(to);
+    }
+
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
         if (err) {
+          logger.error('Erro ao listar a dead-letter queue:', err);
           reject(err);
         } else {
-          resolve(rows.map(row => row.name));
+          resolve(rows);
         }
       });
     });
   }
 
-  // Método auxiliar para adicionar coluna
-  async addColumn(tableName, columnName, columnType) {
+  async getDeadLetter(id) {
     return new Promise((resolve, reject) => {
-      this.db.run(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${columnType}`, (err) => {
+      this.db.get('SELECT * FROM dead_letters WHERE id = ?', [id], (err, row) => {
         if (err) {
+          logger.error('Erro ao buscar item da dead-letter queue:', err);
           reject(err);
         } else {
-          resolve();
+          resolve(row ? { ...row, request_data: JSON.parse(row.request_data) } : null);
         }
       });
     });
   }
 
-  async waitForInit() {
-    return this.initPromise;
+  async updateDeadLetterData(id, requestData) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE dead_letters
+         SET request_data = ?,
+         updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [JSON.stringify(requestData), id],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao atualizar item da dead-letter queue:', err);
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
   }
 
-  async findShopifyOrderId(appmaxId) {
+  /**
+   * Marca o item como reprocessado se ainda estiver pendente. A condição no UPDATE garante
+   * que, em chamadas simultâneas, apenas uma recoloque o item na fila.
+   * @returns {Promise<boolean>} false se o item já foi reprocessado ou não existe
+   */
+  async claimDeadLetterReplay(id) {
     return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT shopify_id FROM orders WHERE appmax_id = ?',
-        [appmaxId],
-        (err, row) => {
+      this.db.run(
+        `UPDATE dead_letters
+         SET state = 'replayed',
+         replayed_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND state = 'pending'`,
+        [id],
+        function(err) {
           if (err) {
-            logger.error('Erro ao buscar pedido:', err);
+            logger.error('Erro ao marcar item da dead-letter queue como reprocessado:', err);
             reject(err);
           } else {
-            resolve(row ? row.shopify_id : null);
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Devolve o item para pendente quando a requisição não pôde ser recolocada na fila
+   */
+  async releaseDeadLetterReplay(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE dead_letters
+         SET state = 'pending',
+         replayed_at = NULL,
+         updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND replay_request_id IS NULL`,
+        [id],
+        (err) => {
+          if (err) {
+            logger.error('Erro ao restaurar item da dead-letter queue:', err);
+            reject(err);
+          } else {
+            resolve();
           }
         }
       );
     });
   }
 
-  async saveOrderMapping(appmaxId, shopifyId) {
+  async setDeadLetterReplayRequest(id, replayRequestId) {
     return new Promise((resolve, reject) => {
       this.db.run(
-        `INSERT INTO orders (appmax_id, shopify_id, platform) 
-         VALUES (?, ?, ?)
-         ON CONFLICT(appmax_id) DO UPDATE SET 
-         shopify_id = excluded.shopify_id,
-         platform = excluded.platform,
-         updated_at = CURRENT_TIMESTAMP`,
-        [appmaxId, shopifyId, 'shopify'],
+        `UPDATE dead_letters
+         SET replay_request_id = ?,
+         updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [replayRequestId, id],
         (err) => {
           if (err) {
-            logger.error('Erro ao salvar mapeamento de pedido:', err);
+            logger.error('Erro ao registrar a requisição do reprocessamento:', err);
             reject(err);
           } else {
-            logger.info(`Mapeamento salvo: Appmax #${appmaxId} -> Shopify #${shopifyId}`);
             resolve();
           }
         }
@@ -172,19 +2152,39 @@ class Database {
     });
   }
 
-  async saveQueueRequest({ appmaxId, eventType, status, financialStatus, requestData }) {
+  async deleteDeadLetters(ids) {
+    if (ids.length === 0) return 0;
+
     return new Promise((resolve, reject) => {
       this.db.run(
-        `INSERT INTO request_queue (
-          appmax_id, event_type, status, financial_status, request_data
-        ) VALUES (?, ?, ?, ?, ?)`,
-        [appmaxId, eventType, status, financialStatus, JSON.stringify(requestData)],
+        `DELETE FROM dead_letters WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        ids,
         function(err) {
           if (err) {
-            logger.error('Erro ao salvar requisição na fila:', err);
+            logger.error('Erro ao remover itens da dead-letter queue:', err);
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Registra uma ação administrativa
+   */
+  async saveAuditLog({ action, entityType, entityId = null, actor = null, details = null }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO admin_audit_log (action, entity_type, entity_id, actor, details)
+         VALUES (?, ?, ?, ?, ?)`,
+        [action, entityType, entityId !== null ? String(entityId) : null, actor, details ? JSON.stringify(details) : null],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao registrar ação administrativa:', err);
             reject(err);
           } else {
-            logger.info(`Requisição salva na fila: ID ${this.lastID}, Appmax #${appmaxId}`);
             resolve(this.lastID);
           }
         }
@@ -192,66 +2192,173 @@ class Database {
     });
   }
 
-  async getUnprocessedRequests() {
+  async listAuditLog({ entityType = null, entityId = null, action = null, limit = 50 } = {}) {
+    let query = 'SELECT * FROM admin_audit_log WHERE 1 = 1';
+    const params = [];
+
+    if (entityType) {
+      query += ' AND entity_type = ?';
+      params.push(entityType);
+    }
+    if (entityId) {
+      query += ' AND entity_id = ?';
+      params.push(String(entityId));
+    }
+    if (action) {
+      query += ' AND action = ?';
+      params.push(action);
+    }
+
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
     return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT * FROM request_queue 
-         WHERE processed_at IS NULL 
-         AND attempts < 3
-         ORDER BY created_at ASC`,
-        (err, rows) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          logger.error('Erro ao listar ações administrativas:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({
+            ...row,
+            details: row.details ? JSON.parse(row.details) : null
+          })));
+        }
+      });
+    });
+  }
+
+  async listProductMappings({ storeId = null, sourceType = null } = {}) {
+    let query = 'SELECT * FROM product_mappings WHERE 1 = 1';
+    const params = [];
+
+    if (storeId) {
+      query += ' AND store_id = ?';
+      params.push(storeId);
+    }
+    if (sourceType) {
+      query += ' AND source_type = ?';
+      params.push(sourceType);
+    }
+    query += ' ORDER BY id ASC';
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          logger.error('Erro ao listar mapeamentos de produtos:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseProductMappingRow(row)));
+        }
+      });
+    });
+  }
+
+  async getProductMapping(mappingId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM product_mappings WHERE id = ?',
+        [mappingId],
+        (err, row) => {
           if (err) {
-            logger.error('Erro ao buscar requisições não processadas:', err);
+            logger.error('Erro ao buscar mapeamento de produto:', err);
             reject(err);
           } else {
-            resolve(rows.map(row => ({
-              ...row,
-              request_data: JSON.parse(row.request_data)
-            })));
+            resolve(row ? this.parseProductMappingRow(row) : null);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Busca o mapeamento de um produto ou bundle da Appmax na loja
+   * @param {string} storeId Loja Shopify das variantes mapeadas
+   * @param {string} sourceType 'product' ou 'bundle'
+   */
+  async findProductMapping(storeId, sourceType, appmaxId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM product_mappings WHERE store_id = ? AND source_type = ? AND appmax_id = ?',
+        [storeId, sourceType, String(appmaxId)],
+        (err, row) => {
+          if (err) {
+            logger.error('Erro ao buscar mapeamento de produto:', err);
+            reject(err);
+          } else {
+            resolve(row ? this.parseProductMappingRow(row) : null);
           }
         }
       );
     });
   }
 
-  async markRequestAsProcessed(requestId, error = null) {
+  async saveProductMapping({ storeId, sourceType, appmaxId, name = null, variants }) {
     return new Promise((resolve, reject) => {
       this.db.run(
-        `UPDATE request_queue 
-         SET processed_at = CURRENT_TIMESTAMP,
-         attempts = attempts + 1,
-         error = ?
+        `INSERT INTO product_mappings (store_id, source_type, appmax_id, name, variants)
+         VALUES (?, ?, ?, ?, ?)`,
+        [storeId, sourceType, String(appmaxId), name, JSON.stringify(variants)],
+        function(err) {
+          if (err) {
+            logger.error('Erro ao salvar mapeamento de produto:', err);
+            reject(err);
+          } else {
+            logger.info(`Mapeamento de ${sourceType} Appmax #${appmaxId} salvo na loja ${storeId}: ID ${this.lastID}`);
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  async updateProductMapping(mappingId, { storeId, sourceType, appmaxId, name = null, variants }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE product_mappings
+         SET store_id = ?,
+         source_type = ?,
+         appmax_id = ?,
+         name = ?,
+         variants = ?,
+         updated_at = CURRENT_TIMESTAMP
          WHERE id = ?`,
-        [error, requestId],
-        (err) => {
+        [storeId, sourceType, String(appmaxId), name, JSON.stringify(variants), mappingId],
+        function(err) {
           if (err) {
-            logger.error('Erro ao marcar requisição como processada:', err);
+            logger.error('Erro ao atualizar mapeamento de produto:', err);
             reject(err);
           } else {
-            resolve();
+            resolve(this.changes);
           }
         }
       );
     });
   }
 
-  async getRequestStatus(requestId) {
+  async deleteProductMapping(mappingId) {
     return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT processed_at, error FROM request_queue WHERE id = ?',
-        [requestId],
-        (err, row) => {
+      this.db.run(
+        'DELETE FROM product_mappings WHERE id = ?',
+        [mappingId],
+        function(err) {
           if (err) {
-            logger.error('Erro ao buscar status da requisição:', err);
+            logger.error('Erro ao remover mapeamento de produto:', err);
             reject(err);
           } else {
-            resolve(row || { processed_at: null, error: null });
+            resolve(this.changes);
           }
         }
       );
     });
   }
 
+  parseProductMappingRow(row) {
+    return {
+      ...row,
+      variants: row.variants ? JSON.parse(row.variants) : []
+    };
+  }
+
   async findOrderById(id, type = 'appmax') {
     const fieldMap = {
       'appmax': 'appmax_id',
@@ -293,7 +2400,9 @@ class Database {
     sessionId = null,
     platform,
     status = 'pending',
-    metadata = {}
+    metadata = {},
+    createdAt = null,
+    storeId = null
   }) {
     if (!platform) {
       throw new Error('Platform é obrigatório');
@@ -339,6 +2448,10 @@ class Database {
             updateFields.push('session_id = ?');
             updateValues.push(sessionId);
           }
+          if (storeId) {
+            updateFields.push('store_id = ?');
+            updateValues.push(storeId);
+          }
 
           updateFields.push('platform = ?');
           updateFields.push('status = ?');
@@ -389,6 +2502,17 @@ class Database {
             values.push(sessionId);
             placeholders.push('?');
           }
+          if (storeId) {
+            fields.push('store_id');
+            values.push(storeId);
+            placeholders.push('?');
+          }
+          // Pedidos importados mantêm a data original de criação
+          if (createdAt) {
+            fields.push('created_at');
+            values.push(createdAt);
+            placeholders.push('?');
+          }
 
           const query = `
             INSERT INTO orders (${fields.join(', ')})
@@ -433,6 +2557,95 @@ class Database {
     });
   }
 
+  /**
+   * Lista pedidos com filtros e paginação por cursor (keyset sobre o campo de ordenação e o id)
+   * @param {Object} [options]
+   * @param {Object} [options.filters] status, platform, storeId, event, paymentType, email, cpf, hasShopify, startDate, endDate
+   * @param {string} [options.sortField] created_at, updated_at, appmax_id ou id
+   * @param {string} [options.sortDirection] asc ou desc
+   * @param {{value: *, id: number}} [options.after] Último registro da página anterior
+   * @param {number} [options.limit]
+   */
+  async listOrders({ filters = {}, sortField = 'created_at', sortDirection = 'desc', after = null, limit = 50 } = {}) {
+    const sortColumns = {
+      created_at: 'created_at',
+      updated_at: 'updated_at',
+      appmax_id: 'COALESCE(appmax_id, 0)',
+      id: 'id'
+    };
+    const sortColumn = sortColumns[sortField] || sortColumns.created_at;
+    const direction = sortDirection === 'asc' ? 'ASC' : 'DESC';
+    const comparator = direction === 'ASC' ? '>' : '<';
+
+    let query = `SELECT *, ${sortColumn} AS sort_value FROM orders WHERE 1 = 1`;
+    const params = [];
+
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+    if (filters.platform) {
+      query += ' AND platform = ?';
+      params.push(filters.platform);
+    }
+    if (filters.storeId) {
+      query += ' AND store_id = ?';
+      params.push(filters.storeId);
+    }
+    if (filters.event) {
+      query += " AND json_extract(metadata, '$.event') = ?";
+      params.push(filters.event);
+    }
+    if (filters.paymentType) {
+      query += " AND json_extract(metadata, '$.raw_data.payment_type') = ?";
+      params.push(filters.paymentType);
+    }
+    if (filters.email) {
+      query += ` AND LOWER(COALESCE(json_extract(metadata, '$.customer.email'), json_extract(metadata, '$.raw_data.customer.email'))) = ?`;
+      params.push(filters.email.toLowerCase());
+    }
+    if (filters.cpf) {
+      // Compara apenas os dígitos, o documento pode estar salvo com pontuação
+      query += ` AND REPLACE(REPLACE(REPLACE(COALESCE(json_extract(metadata, '$.customer.document'),
+        json_extract(metadata, '$.raw_data.customer.document_number')), '.', ''), '-', ''), '/', '') = ?`;
+      params.push(filters.cpf);
+    }
+    if (filters.hasShopify === true) {
+      query += " AND shopify_id IS NOT NULL AND shopify_id != ''";
+    } else if (filters.hasShopify === false) {
+      query += " AND (shopify_id IS NULL OR shopify_id = '')";
+    }
+    if (filters.startDate) {
+      query += ' AND created_at >= ?';
+      params.push(filters.startDate);
+    }
+    if (filters.endDate) {
+      query += ' AND created_at < ?';
+      params.push(filters.endDate);
+    }
+    if (after) {
+      query += ` AND (${sortColumn} ${comparator} ? OR (${sortColumn} = ? AND id ${comparator} ?))`;
+      params.push(after.value, after.value, after.id);
+    }
+
+    query += ` ORDER BY ${sortColumn} ${direction}, id ${direction} LIMIT ?`;
+    params.push(limit);
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          logger.error('Erro ao listar pedidos:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({
+            ...row,
+            metadata: row.metadata ? JSON.parse(row.metadata) : {}
+          })));
+        }
+      });
+    });
+  }
+
   async getOrdersByDateRange(startDate, endDate, platform = null) {
     return new Promise((resolve, reject) => {
       let query = `
@@ -475,7 +2688,7 @@ class Database {
     });
   }
 
-  async saveAppmaxOrder(appmaxId, status = 'pending', metadata = {}) {
+  async saveAppmaxOrder(appmaxId, status = 'pending', metadata = {}, { createdAt = null, storeId = null } = {}) {
     // Verifica se é um evento que deve ser ignorado
     if (metadata.event === 'CustomerInterested') {
       logger.info(`Ignorando salvamento do evento ${metadata.event} para o pedido #${appmaxId}`);
@@ -486,6 +2699,8 @@ class Database {
       appmaxId,
       platform: 'appmax',
       status,
+      createdAt,
+      storeId,
       metadata: {
         ...metadata,
         integration_type: 'appmax'
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+const dashboardSession = require('../utils/dashboardSession');
+
+/**
+ * Protege as rotas administrativas com o token definido em ADMIN_API_TOKEN.
+ * O token pode ser enviado como `Authorization: Bearer <token>` ou no header `x-admin-token`.
+ * O cookie de sessão do dashboard também é aceito; nesse caso, requisições que alteram dados
+ * precisam do header `X-Requested-With`, que formulários de outros sites não conseguem enviar (CSRF).
+ */
+function adminAuth(req, res, next) {
+  const session = dashboardSession.read(req);
+  if (session) {
+    if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !req.headers['x-requested-with']) {
+      return next(new AppError('Header X-Requested-With obrigatório', 403));
+    }
+    req.adminUser = session.user;
+    return next();
+  }
+
+  const expectedToken = process.env.ADMIN_API_TOKEN;
+  if (!expectedToken) {
+    logger.warn('Acesso administrativo bloqueado: ADMIN_API_TOKEN não configurado', {
+      path: req.originalUrl.split('?')[0]
+    });
+    return next(new AppError('Não autorizado', 401));
+  }
+
+  const authorization = req.headers.authorization || '';
+  const receivedToken = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length)
+    : req.headers['x-admin-token'];
+
+  const a = Buffer.from(String(receivedToken || ''));
+  const b = Buffer.from(expectedToken);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    logger.warn('Acesso administrativo negado:', {
+      path: req.originalUrl.split('?')[0],
+      ip: req.ip
+    });
+    return next(new AppError('Não autorizado', 401));
+  }
+
+  next();
+}
+
+module.exports = adminAuth;
@@ -11,6 +11,14 @@ function errorHandler(err, req, res, next) {
     });
   }
 
+  // Erros do parser do corpo (JSON inválido, corpo acima do limite)
+  if (err.expose && err.status) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message
+    });
+  }
+
   // Para erros desconhecidos, retorna uma mensagem genérica
   return res.status(500).json({
     success: false,
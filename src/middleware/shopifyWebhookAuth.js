@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+const storeRegistry = require('../services/storeRegistry.service');
+
+/**
+ * Valida a assinatura dos webhooks enviados pela Shopify.
+ *
+ * A Shopify assina o corpo original da requisição com HMAC-SHA256 usando o segredo do app
+ * e envia o resultado em base64 no header `X-Shopify-Hmac-Sha256`. O segredo é o `webhook_secret`
+ * da loja indicada em `X-Shopify-Shop-Domain` ou, sem ele, SHOPIFY_WEBHOOK_SECRET.
+ * Depende de `req.rawBody`, preenchido pelo express.json em server.js.
+ */
+function shopifyWebhookAuth(req, res, next) {
+  const store = storeRegistry.findByDomain(req.headers['x-shopify-shop-domain']);
+  const secret = store?.webhookSecret || process.env.SHOPIFY_WEBHOOK_SECRET;
+  const context = {
+    path: req.originalUrl.split('?')[0],
+    topic: req.headers['x-shopify-topic'],
+    shop: req.headers['x-shopify-shop-domain'],
+    ip: req.ip
+  };
+
+  if (!secret) {
+    logger.warn('Webhook Shopify rejeitado: segredo da loja não configurado', context);
+    return next(new AppError('Não autorizado', 401));
+  }
+
+  const receivedHmac = req.headers['x-shopify-hmac-sha256'];
+  if (!receivedHmac || !req.rawBody) {
+    logger.warn('Webhook Shopify rejeitado: assinatura ausente', context);
+    return next(new AppError('Não autorizado', 401));
+  }
+
+  const expectedHmac = crypto.createHmac('sha256', secret).update(req.rawBody).digest('base64');
+  const a = Buffer.from(String(receivedHmac));
+  const b = Buffer.from(expectedHmac);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    logger.warn('Webhook Shopify rejeitado: assinatura inválida', context);
+    return next(new AppError('Não autorizado', 401));
+  }
+
+  next();
+}
+
+module.exports = shopifyWebhookAuth;
@@ -0,0 +1,75 @@
+const logger = require('../utils/logger');
+const redact = require('../utils/redact');
+const db = require('../database/db');
+
+// Tamanho máximo do corpo gravado no arquivo (em bytes); corpos maiores são truncados
+const maxBodyBytes = parseInt(process.env.WEBHOOK_ARCHIVE_MAX_BODY_BYTES || '65536', 10);
+
+/**
+ * Corpo original limitado a maxBodyBytes
+ */
+function getArchivedBody(req) {
+  const raw = req.rawBody || Buffer.from(JSON.stringify(req.body ?? null), 'utf8');
+  const truncated = raw.length > maxBodyBytes;
+  return {
+    body: (truncated ? raw.subarray(0, maxBodyBytes) : raw).toString('utf8'),
+    bodySize: raw.length,
+    bodyTruncated: truncated
+  };
+}
+
+/**
+ * Classifica a resposta enviada à Appmax
+ */
+function getOutcome(statusCode, body) {
+  if (statusCode === 401 || statusCode === 403) return 'rejected';
+  if (statusCode >= 400) return 'error';
+  if (body?.duplicate) return 'duplicate';
+  if (body?.ignored) return 'ignored';
+  return 'accepted';
+}
+
+/**
+ * Arquiva a requisição bruta (headers, corpo, código e corpo da resposta) quando a resposta é
+ * enviada. Requisições rejeitadas na autenticação (401/403) não vieram de uma origem confirmada:
+ * delas ficam apenas o método, a URL, o IP e a resposta, sem headers nem corpo, e elas não
+ * podem ser reprocessadas.
+ * Falhas ao gravar o arquivo são registradas no log sem bloquear o webhook.
+ */
+function webhookArchive(req, res, next) {
+  let responseBody = null;
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    responseBody = payload;
+    return json(payload);
+  };
+
+  res.on('finish', () => {
+    const outcome = getOutcome(res.statusCode, responseBody);
+    const body = req.body || {};
+    const orderData = body.data?.order || body.data || {};
+    const archived = getArchivedBody(req);
+
+    const entry = outcome === 'rejected'
+      ? { headers: null, body: null, bodySize: archived.bodySize }
+      : {
+        headers: redact.headers(req.headers),
+        ...archived,
+        event: typeof body.event === 'string' ? body.event : null,
+        appmaxId: parseInt(orderData.id, 10) || null
+      };
+
+    db.saveWebhookArchive({ method: req.method, url: redact.url(req.originalUrl), ip: req.ip, ...entry })
+      .then(archiveId => db.updateWebhookArchiveResponse(archiveId, {
+        responseStatus: res.statusCode,
+        responseBody,
+        outcome,
+        inboxId: responseBody?.inbox_id || null
+      }))
+      .catch(error => logger.error('Erro ao arquivar webhook:', error.message));
+  });
+
+  next();
+}
+
+module.exports = webhookArchive;
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+/**
+ * Lê a configuração de autenticação dos webhooks a partir das variáveis de ambiente.
+ *
+ * - APPMAX_WEBHOOK_SECRET: segredo padrão, usado quando o site não possui segredo próprio
+ * - APPMAX_WEBHOOK_SECRETS: JSON com segredos por site, ex.: {"1000": "segredo-site-1000"}
+ * - APPMAX_WEBHOOK_ALLOWED_IPS: lista de IPs/CIDRs (IPv4) separados por vírgula
+ * - APPMAX_WEBHOOK_MAX_AGE: janela de replay em segundos
+ * - APPMAX_TIMEZONE_OFFSET: fuso das datas enviadas pela Appmax (padrão: -03:00)
+ */
+function getConfig() {
+  let siteSecrets = {};
+  if (process.env.APPMAX_WEBHOOK_SECRETS) {
+    try {
+      siteSecrets = JSON.parse(process.env.APPMAX_WEBHOOK_SECRETS);
+    } catch (error) {
+      logger.error('APPMAX_WEBHOOK_SECRETS não é um JSON válido:', error.message);
+    }
+  }
+
+  return {
+    defaultSecret: process.env.APPMAX_WEBHOOK_SECRET || null,
+    siteSecrets,
+    allowedIps: (process.env.APPMAX_WEBHOOK_ALLOWED_IPS || '')
+      .split(',')
+      .map(ip => ip.trim())
+      .filter(Boolean),
+    maxAge: parseInt(process.env.APPMAX_WEBHOOK_MAX_AGE, 10) || 0,
+    timezoneOffset: process.env.APPMAX_TIMEZONE_OFFSET || '-03:00'
+  };
+}
+
+/**
+ * Remove o prefixo IPv6 de endereços IPv4 mapeados (ex.: "::ffff:10.0.0.1")
+ */
+function normalizeIp(ip) {
+  if (!ip) return '';
+  return ip.replace(/^::ffff:/, '');
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+  return parts.reduce((acc, part) => (acc << 8) + parseInt(part, 10), 0) >>> 0;
+}
+
+/**
+ * Verifica se o IP está na lista, aceitando IPs exatos e faixas CIDR IPv4 (ex.: 10.0.0.0/24)
+ */
+function isIpAllowed(ip, allowedIps) {
+  const address = normalizeIp(ip);
+
+  return allowedIps.some(entry => {
+    if (!entry.includes('/')) {
+      return normalizeIp(entry) === address;
+    }
+
+    const [range, bits] = entry.split('/');
+    const ipInt = ipv4ToInt(address);
+    const rangeInt = ipv4ToInt(range);
+    if (ipInt === null || rangeInt === null) return false;
+
+    const mask = bits === '0' ? 0 : (~0 << (32 - parseInt(bits, 10))) >>> 0;
+    return (ipInt & mask) === (rangeInt & mask);
+  });
+}
+
+/**
+ * Compara dois segredos em tempo constante
+ */
+function safeCompare(received, expected) {
+  const a = Buffer.from(String(received));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Identifica o site de origem do webhook pelo parâmetro `?site_id=` da URL de destino.
+ * O corpo não é autenticado e por isso não define qual segredo é usado.
+ */
+function getSiteId(req) {
+  return req.query.site_id || null;
+}
+
+/**
+ * Converte o timestamp (segundos, milissegundos, ISO 8601 ou data da Appmax sem fuso) em milissegundos
+ */
+function parseTimestamp(value, timezoneOffset) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    const number = parseInt(text, 10);
+    return number < 1e12 ? number * 1000 : number;
+  }
+  // Datas da Appmax ("2020-01-06 15:46:48") não informam o fuso
+  const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(text)
+    ? `${text.replace(' ', 'T')}${timezoneOffset}`
+    : text;
+  const date = new Date(iso);
+  return isNaN(date.getTime()) ? null : date.getTime();
+}
+
+/**
+ * Data da requisição usada na janela de replay: `?timestamp=` ou header `x-webhook-timestamp`
+ * e, sem eles, a data mais recente do pedido no payload (atualização, estorno, integração,
+ * pagamento ou criação)
+ */
+function getRequestTimestamp(req, timezoneOffset) {
+  const explicit = req.query.timestamp || req.headers['x-webhook-timestamp'];
+  if (explicit) return parseTimestamp(explicit, timezoneOffset);
+
+  const data = req.body?.data || {};
+  const order = data.order || data;
+  const times = ['updated_at', 'refunded_at', 'integrated_at', 'paid_at', 'created_at']
+    .map(field => parseTimestamp(order[field], timezoneOffset))
+    .filter(time => time !== null);
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+function reject(req, next, statusCode, reason, context = {}) {
+  logger.warn('Webhook rejeitado:', {
+    reason,
+    path: req.originalUrl.split('?')[0],
+    ip: req.ip,
+    ...context,
+    timestamp: new Date().toISOString()
+  });
+  next(new AppError(statusCode === 403 ? 'Acesso negado' : 'Não autorizado', statusCode));
+}
+
+/**
+ * Autentica webhooks recebidos da Appmax antes de chegarem ao controller.
+ *
+ * A Appmax não assina as requisições, mas permite configurar parâmetros na URL de
+ * destino; por isso o segredo compartilhado pode ser enviado em `?token=` ou no
+ * header `x-webhook-token`. Requisições fora da lista de IPs retornam 403 e
+ * requisições sem segredo válido ou fora da janela de replay retornam 401. Entregas
+ * repetidas dentro da janela são descartadas depois, pelo registro de entregas (webhook_events).
+ * Quando o segredo é o de um site, o site fica em `req.authenticatedSiteId`.
+ */
+function webhookAuth(req, res, next) {
+  const config = getConfig();
+  const siteId = getSiteId(req);
+
+  if (config.allowedIps.length > 0 && !isIpAllowed(req.ip, config.allowedIps)) {
+    return reject(req, next, 403, 'IP fora da lista permitida', { site_id: siteId });
+  }
+
+  const siteSecret = (siteId && config.siteSecrets[siteId]) || null;
+  const expectedSecret = siteSecret || config.defaultSecret;
+  if (!expectedSecret) {
+    return reject(req, next, 401, 'Nenhum segredo configurado para o site', { site_id: siteId });
+  }
+
+  const receivedSecret = req.query.token || req.headers['x-webhook-token'];
+  if (!receivedSecret) {
+    return reject(req, next, 401, 'Segredo ausente', { site_id: siteId });
+  }
+
+  if (!safeCompare(receivedSecret, expectedSecret)) {
+    return reject(req, next, 401, 'Segredo inválido', { site_id: siteId });
+  }
+
+  if (config.maxAge > 0) {
+    const timestamp = getRequestTimestamp(req, config.timezoneOffset);
+    if (!timestamp) {
+      return reject(req, next, 401, 'Timestamp ausente ou inválido', { site_id: siteId });
+    }
+
+    const age = Math.abs(Date.now() - timestamp) / 1000;
+    if (age > config.maxAge) {
+      return reject(req, next, 401, 'Requisição fora da janela de replay', {
+        site_id: siteId,
+        age_seconds: Math.round(age)
+      });
+    }
+  }
+
+  // Site autenticado pelo próprio segredo; o controller só aceita entregas para a loja desse site
+  req.authenticatedSiteId = siteSecret ? String(siteId) : null;
+  next();
+}
+
+module.exports = webhookAuth;
@@ -0,0 +1,61 @@
+const express = require('express');
+const reconciliationController = require('../controllers/reconciliation.controller');
+const importController = require('../controllers/import.controller');
+const deadLettersController = require('../controllers/deadLetters.controller');
+const operationsController = require('../controllers/operations.controller');
+const webhookArchiveController = require('../controllers/webhookArchive.controller');
+const quarantineController = require('../controllers/quarantine.controller');
+
+const router = express.Router();
+
+// Reconciliação entre o banco local e a Shopify
+router.post('/reconciliation', reconciliationController.runReconciliation.bind(reconciliationController));
+router.get('/reconciliation', reconciliationController.listRuns.bind(reconciliationController));
+router.get('/reconciliation/:id', reconciliationController.getRun.bind(reconciliationController));
+
+// Importação de pedidos históricos (JSON ou CSV no corpo com Content-Type text/csv).
+// Exportações podem ser grandes: só esta rota aceita corpos acima do limite padrão
+const importBodyLimit = process.env.IMPORT_BODY_LIMIT || '20mb';
+router.post(
+  '/imports',
+  express.json({ limit: importBodyLimit }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: importBodyLimit }),
+  importController.startImport.bind(importController)
+);
+router.get('/imports', importController.listImports.bind(importController));
+router.get('/imports/:id', importController.getImport.bind(importController));
+
+// Dead-letter queue da fila da Shopify
+router.get('/dead-letters', deadLettersController.listDeadLetters.bind(deadLettersController));
+router.post('/dead-letters/replay', deadLettersController.replayDeadLetters.bind(deadLettersController));
+router.post('/dead-letters/purge', deadLettersController.purgeDeadLetters.bind(deadLettersController));
+router.get('/dead-letters/:id', deadLettersController.getDeadLetter.bind(deadLettersController));
+router.put('/dead-letters/:id', deadLettersController.updateDeadLetter.bind(deadLettersController));
+router.post('/dead-letters/:id/replay', deadLettersController.replayDeadLetter.bind(deadLettersController));
+router.delete('/dead-letters/:id', deadLettersController.deleteDeadLetter.bind(deadLettersController));
+
+// Estado da fila, visão completa de um pedido e reenvio para a Shopify (usados pelo dashboard)
+router.get('/queue', operationsController.getQueue.bind(operationsController));
+router.get('/orders/:id/overview', operationsController.getOrderOverview.bind(operationsController));
+router.post('/orders/:id/resync', operationsController.resyncOrder.bind(operationsController));
+
+// Lojas Shopify cadastradas e o estado da fila de cada uma
+router.get('/stores', operationsController.listStores.bind(operationsController));
+
+// Arquivo de requisições brutas de /webhook/appmax e reprocessamento (com simulação via dry_run)
+router.get('/webhook-archive', webhookArchiveController.listArchive.bind(webhookArchiveController));
+router.post('/webhook-archive/replay', webhookArchiveController.replayEntries.bind(webhookArchiveController));
+router.get('/webhook-archive/:id', webhookArchiveController.getArchiveEntry.bind(webhookArchiveController));
+router.post('/webhook-archive/:id/replay', webhookArchiveController.replayEntry.bind(webhookArchiveController));
+
+// Quarentena de webhooks com pedido inválido (modo de validação strict)
+router.get('/quarantine', quarantineController.listQuarantine.bind(quarantineController));
+router.get('/quarantine/:id', quarantineController.getQuarantine.bind(quarantineController));
+router.put('/quarantine/:id', quarantineController.updateQuarantine.bind(quarantineController));
+router.post('/quarantine/:id/release', quarantineController.releaseQuarantine.bind(quarantineController));
+router.post('/quarantine/:id/discard', quarantineController.discardQuarantine.bind(quarantineController));
+
+// Log de auditoria das ações administrativas
+router.get('/audit-log', deadLettersController.listAuditLog.bind(deadLettersController));
+
+module.exports = router;
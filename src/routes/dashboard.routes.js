@@ -0,0 +1,15 @@
+const path = require('path');
+const express = require('express');
+const dashboardController = require('../controllers/dashboard.controller');
+const adminAuth = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+router.post('/login', dashboardController.login.bind(dashboardController));
+router.post('/logout', dashboardController.logout.bind(dashboardController));
+router.get('/session', adminAuth, dashboardController.getSession.bind(dashboardController));
+
+// Arquivos da interface (os dados vêm das rotas administrativas, protegidas pelo cookie de sessão)
+router.use(express.static(path.join(__dirname, '../../Dashboard')));
+
+module.exports = router;
@@ -3,8 +3,13 @@ const router = express.Router();
 
 const webhookRoutes = require('./webhook.routes');
 const ordersRoutes = require('./orders.routes');
+const adminRoutes = require('./admin.routes');
+const dashboardRoutes = require('./dashboard.routes');
+const adminAuth = require('../middleware/adminAuth');
 
 router.use('/webhook', webhookRoutes);
-router.use('/orders', ordersRoutes);
+router.use('/orders', adminAuth, ordersRoutes);
+router.use('/admin', adminAuth, adminRoutes);
+router.use('/dashboard', dashboardRoutes);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -1,14 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const ordersController = require('../controllers/orders.controller');
+const productMappingsController = require('../controllers/productMappings.controller');
+
+// Mapeamentos de produtos/bundles da Appmax para variantes da Shopify
+// (registrados antes de /:type/:id para não serem capturados por essa rota)
+router.get('/product-mappings', productMappingsController.listMappings.bind(productMappingsController));
+router.get('/product-mappings/:id', productMappingsController.getMapping.bind(productMappingsController));
+router.post('/product-mappings', productMappingsController.createMapping.bind(productMappingsController));
+router.put('/product-mappings/:id', productMappingsController.updateMapping.bind(productMappingsController));
+router.delete('/product-mappings/:id', productMappingsController.deleteMapping.bind(productMappingsController));
 
 // Busca um pedido por ID e tipo (appmax, shopify, woocommerce, session)
-router.get('/:type/:id', ordersController.findOrder);
+router.get('/:type/:id', ordersController.findOrder.bind(ordersController));
+
+// Histórico de reembolsos de um pedido
+router.get('/:type/:id/refunds', ordersController.getOrderRefunds.bind(ordersController));
+
+// Linha do tempo de eventos de um pedido
+router.get('/:type/:id/timeline', ordersController.getOrderTimeline.bind(ordersController));
 
-// Busca pedidos por intervalo de data
-router.get('/', ordersController.getOrdersByDate);
+// Lista pedidos com filtros, ordenação e paginação por cursor
+router.get('/', ordersController.listOrders.bind(ordersController));
 
 // Atualiza o status de um pedido
-router.patch('/:id', ordersController.updateOrder);
+router.patch('/:id', ordersController.updateOrder.bind(ordersController));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
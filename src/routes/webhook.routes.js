@@ -1,11 +1,31 @@
 const express = require('express');
 const webhookController = require('../controllers/webhook.controller');
+const shopifyWebhookController = require('../controllers/shopifyWebhook.controller');
+const webhookAuth = require('../middleware/webhookAuth');
+const webhookArchive = require('../middleware/webhookArchive');
+const adminAuth = require('../middleware/adminAuth');
+const shopifyWebhookAuth = require('../middleware/shopifyWebhookAuth');
 
 const router = express.Router();
 
-router.post('/appmax', webhookController.handleWebhook.bind(webhookController));
+// Requisições brutas são arquivadas com a resposta; das rejeitadas na autenticação fica apenas
+// um registro mínimo, sem headers nem corpo (ver /admin/webhook-archive)
+router.post('/appmax', webhookArchive, webhookAuth, webhookController.handleWebhook.bind(webhookController));
+
+// Prévia do pedido que seria enviado à Shopify, sem gravar nem enviar nada
+router.post('/appmax/preview', adminAuth, webhookController.previewWebhook.bind(webhookController));
+
+// Webhooks de uma loja específica (slug da loja cadastrada em SHOPIFY_STORES_FILE)
+router.post('/appmax/:store', webhookArchive, webhookAuth, webhookController.handleWebhook.bind(webhookController));
 
 // Nova rota para atualização de IDs
-router.post('/order/update-ids', webhookController.handleOrderIdsUpdate.bind(webhookController));
+router.post('/order/update-ids', webhookAuth, webhookController.handleOrderIdsUpdate.bind(webhookController));
+
+// Webhooks da Shopify (fulfillments/create, fulfillments/update, refunds/create, orders/cancelled)
+router.post('/shopify', shopifyWebhookAuth, shopifyWebhookController.handleWebhook.bind(shopifyWebhookController));
+
+// Estado das entregas na inbox de webhooks
+router.get('/inbox', adminAuth, webhookController.listInboxDeliveries.bind(webhookController));
+router.get('/inbox/:id', adminAuth, webhookController.getInboxDelivery.bind(webhookController));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
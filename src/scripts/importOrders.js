@@ -0,0 +1,81 @@
+/**
+ * Importa pedidos históricos da Appmax a partir de uma exportação em JSON ou CSV.
+ *
+ * Uso: npm run import -- <arquivo> [--format=json|csv] [--rate=60] [--store=<loja>] [--dry-run]
+ *
+ * Os pedidos são colocados na request_queue e enviados à Shopify pelo servidor em execução.
+ */
+require('dotenv').config();
+
+// O script apenas alimenta a fila; o processamento fica a cargo do servidor
+process.env.DISABLE_WORKERS = 'true';
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../database/db');
+const importService = require('../services/import.service');
+const storeRegistry = require('../services/storeRegistry.service');
+
+function parseArgs(argv) {
+  const options = { file: null, format: null, rate: undefined, store: null, dryRun: false };
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg.startsWith('--rate=')) {
+      options.rate = parseInt(arg.slice('--rate='.length), 10);
+    } else if (arg.startsWith('--store=')) {
+      options.store = arg.slice('--store='.length);
+    } else if (!options.file) {
+      options.file = arg;
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.file) {
+    console.error('Uso: npm run import -- <arquivo> [--format=json|csv] [--rate=60] [--store=<loja>] [--dry-run]');
+    process.exit(1);
+  }
+
+  const format = options.format || (path.extname(options.file).toLowerCase() === '.csv' ? 'csv' : 'json');
+  const content = fs.readFileSync(options.file, 'utf8');
+
+  if (options.store) {
+    storeRegistry.get(options.store);
+  }
+
+  await db.waitForInit();
+  const orders = importService.parse(content, format);
+  const jobId = await db.createImportJob({ source: path.basename(options.file), format, total: orders.length });
+
+  console.log(`Importação #${jobId}: ${orders.length} pedidos encontrados em ${options.file}`);
+
+  const job = await importService.run(jobId, orders, {
+    ratePerMinute: options.rate,
+    dryRun: options.dryRun,
+    storeId: options.store,
+    onProgress: progress => {
+      process.stdout.write(
+        `\r${progress.processed}/${progress.total} processados | ` +
+        `${progress.queued} na fila | ${progress.skipped} ignorados | ${progress.failed} com erro`
+      );
+    }
+  });
+
+  process.stdout.write('\n');
+  for (const error of job.errors) {
+    console.log(`Pedido Appmax #${error.appmax_id}: ${error.error}`);
+  }
+  console.log(`Importação #${jobId} concluída${options.dryRun ? ' (simulação)' : ''}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Erro na importação:', error.message);
+    process.exit(1);
+  });
@@ -1,14 +1,33 @@
 require('dotenv').config();
 const express = require('express');
-const webhookRoutes = require('./routes/webhook.routes');
+const routes = require('./routes');
 const errorHandler = require('./middleware/errorHandler');
+const storeRegistry = require('./services/storeRegistry.service');
+const webhookService = require('./services/webhook.service');
+const reconciliationService = require('./services/reconciliation.service');
+const webhookArchiveService = require('./services/webhookArchive.service');
+const importService = require('./services/import.service');
 
 const app = express();
 
-app.use(express.json());
+// Necessário para obter o IP real do cliente atrás de proxy/load balancer (lista de IPs dos webhooks)
+// Aceita "true", um número de saltos (ex.: "1") ou uma lista de IPs/sub-redes
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
+// Guarda o corpo original para a validação HMAC dos webhooks da Shopify
+const jsonParser = express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+});
+// As importações (/admin/imports) usam um limite maior, aplicado na própria rota após a autenticação
+app.use((req, res, next) => (/^\/admin\/imports\/?$/.test(req.path) ? next() : jsonParser(req, res, next)));
 
 // Rotas
-app.use('/webhook', webhookRoutes);
+app.use(routes);
 
 // Error handler
 app.use(errorHandler);
@@ -16,4 +35,13 @@ app.use(errorHandler);
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Servidor rodando na porta ${PORT}`);
-}); 
\ No newline at end of file
+});
+
+// Processamento das filas das lojas e da inbox, reconciliação agendada e remoção periódica
+// das requisições antigas do arquivo de webhooks; importações interrompidas por uma reinicialização
+// são encerradas como falhas
+storeRegistry.start();
+webhookService.start();
+reconciliationService.start();
+webhookArchiveService.startPruning();
+importService.recoverInterruptedJobs(); 
\ No newline at end of file
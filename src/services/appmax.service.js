@@ -0,0 +1,317 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const BASE_URLS = {
+  sandbox: 'https://homolog.sandboxappmax.com.br/api/v3',
+  production: 'https://admin.appmax.com.br/api/v3'
+};
+
+/**
+ * @typedef {Object} AppmaxCustomer
+ * @property {string} firstname
+ * @property {string} lastname
+ * @property {string} email
+ * @property {string} telephone
+ * @property {string} [postcode]
+ * @property {string} [address_street]
+ * @property {string} [address_street_number]
+ * @property {string} [address_street_complement]
+ * @property {string} [address_street_district]
+ * @property {string} [address_city]
+ * @property {string} [address_state]
+ * @property {string} [ip]
+ * @property {string} [custom_txt]
+ * @property {Object[]} [products]
+ */
+
+/**
+ * @typedef {Object} AppmaxOrderInput
+ * @property {string|number} customer_id
+ * @property {{sku: string, name: string, qty: number, price?: number, weight?: number}[]} products
+ * @property {number} [total] Total do carrinho, quando os produtos não trazem preço unitário
+ * @property {number} [shipping]
+ * @property {number} [discount]
+ * @property {string} [freight_type]
+ * @property {string} [ip]
+ * @property {string} [external_id] Salvo como invoice_id na Appmax
+ */
+
+/**
+ * @typedef {Object} AppmaxCreditCard
+ * @property {string} [number]
+ * @property {string} [name]
+ * @property {string|number} [month]
+ * @property {string|number} [year]
+ * @property {string} cvv
+ * @property {string} document_number
+ * @property {number} installments
+ * @property {string} [token] Cartão tokenizado (tokenizeCard)
+ * @property {string} [upsell_hash] Mesmo meio de pagamento de um pedido anterior
+ */
+
+/**
+ * Cliente da API v3 da Appmax (Docs/appmax doc.txt).
+ *
+ * O `access-token` é enviado no corpo das requisições POST e no header da consulta de taxas.
+ * Erros são convertidos em AppError com o status HTTP da Appmax; limites de requisição,
+ * falhas de rede e erros 5xx são retentados com backoff exponencial, exceto nas operações
+ * que movimentam dinheiro (pedido, pagamentos, upsell e estorno), que só são retentadas
+ * quando a requisição comprovadamente não chegou à Appmax.
+ */
+class AppmaxService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.environment] `sandbox` (padrão) ou `production`
+   * @param {string} [options.baseURL] URL base alternativa (ex.: servidor local de testes)
+   * @param {string} [options.accessToken]
+   * @param {number} [options.timeout] Tempo limite por requisição, em ms
+   * @param {number} [options.maxRetries] Número de novas tentativas após a primeira
+   * @param {number} [options.retryDelay] Atraso base do backoff, em ms
+   */
+  constructor(options = {}) {
+    const environment = (options.environment || process.env.APPMAX_ENVIRONMENT) === 'production'
+      ? 'production'
+      : 'sandbox';
+
+    this.environment = environment;
+    this.accessToken = options.accessToken || process.env.APPMAX_ACCESS_TOKEN || null;
+    this.maxRetries = options.maxRetries ?? parseInt(process.env.APPMAX_MAX_RETRIES || '3', 10);
+    this.retryDelay = options.retryDelay ?? parseInt(process.env.APPMAX_RETRY_DELAY_MS || '500', 10);
+
+    this.client = axios.create({
+      baseURL: options.baseURL || process.env.APPMAX_API_URL || BASE_URLS[environment],
+      timeout: options.timeout ?? parseInt(process.env.APPMAX_TIMEOUT_MS || '30000', 10),
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Verifica se a falha pode ser retentada.
+   * Sem `idempotent`, só é retentado o que não foi processado pela Appmax (429 e conexão recusada).
+   */
+  isRetryable(error, idempotent) {
+    const status = error.response?.status;
+    if (status === 429) return true;
+    if (!error.response && ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code)) return true;
+    if (!idempotent) return false;
+
+    if (status >= 500) return true;
+    return !error.response && ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT'].includes(error.code);
+  }
+
+  getRetryDelay(error, attempt) {
+    const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+    if (!isNaN(retryAfter)) {
+      return retryAfter * 1000;
+    }
+    return this.retryDelay * Math.pow(2, attempt);
+  }
+
+  /**
+   * Converte a resposta de erro da Appmax em AppError.
+   * Erros de validação trazem as mensagens por campo em `data`.
+   */
+  toAppError(error, path) {
+    if (error.isOperational) return error;
+
+    const response = error.response;
+    if (!response) {
+      const timeout = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+      logger.error(`Falha de comunicação com a Appmax (${path}):`, error.message);
+      return new AppError(
+        timeout ? 'Tempo limite excedido na API da Appmax' : `Falha de comunicação com a Appmax: ${error.message}`,
+        timeout ? 504 : 502
+      );
+    }
+
+    const body = response.data || {};
+    let message = body.text || body.message || 'Erro inesperado na API da Appmax';
+
+    if (body.data && typeof body.data === 'object' && !body.data.request) {
+      const fieldErrors = Object.entries(body.data)
+        .filter(([, messages]) => Array.isArray(messages))
+        .map(([field, messages]) => `${field}: ${messages.join(', ')}`);
+      if (fieldErrors.length > 0) {
+        message += ` (${fieldErrors.join('; ')})`;
+      }
+    }
+
+    logger.error(`Erro na resposta da Appmax (${path}):`, { status: response.status, message });
+    return new AppError(`Erro na API da Appmax: ${message}`, response.status);
+  }
+
+  /**
+   * Executa uma requisição, aplicando retentativas, e retorna o corpo da resposta
+   * @param {Object} params
+   * @param {string} params.method
+   * @param {string} params.path
+   * @param {Object} [params.payload]
+   * @param {boolean} [params.idempotent] Permite retentar erros 5xx e timeouts
+   * @param {boolean} [params.tokenInHeader] Envia o access-token no header em vez do corpo
+   */
+  async request({ method, path, payload = {}, idempotent = false, tokenInHeader = false }) {
+    if (!this.accessToken) {
+      throw new AppError('APPMAX_ACCESS_TOKEN não configurado', 500);
+    }
+
+    const config = tokenInHeader
+      ? { method, url: path, headers: { 'access-token': this.accessToken } }
+      : { method, url: path, data: { 'access-token': this.accessToken, ...payload } };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const { data: body } = await this.client.request(config);
+
+        if (body && body.success === false) {
+          throw new AppError(`Erro na API da Appmax: ${body.text || 'resposta sem sucesso'}`, body.status || 400);
+        }
+        return body;
+      } catch (error) {
+        if (error.isOperational || attempt >= this.maxRetries || !this.isRetryable(error, idempotent)) {
+          throw this.toAppError(error, path);
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        logger.warn(`Requisição à Appmax (${path}) falhou, nova tentativa em ${delay}ms`, {
+          attempt: attempt + 1,
+          status: error.response?.status,
+          code: error.code
+        });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async post(path, payload = {}, { idempotent = false } = {}) {
+    const body = await this.request({ method: 'post', path, payload, idempotent });
+    return body?.data;
+  }
+
+  /**
+   * Cria ou atualiza um cliente (identificado por nome + sobrenome)
+   * @param {AppmaxCustomer} customer
+   */
+  async createCustomer(customer) {
+    return this.post('/customer', customer, { idempotent: true });
+  }
+
+  /**
+   * Cria um pedido para um cliente existente
+   * @param {AppmaxOrderInput} order
+   */
+  async createOrder(order) {
+    return this.post('/order', order);
+  }
+
+  /**
+   * Paga um pedido com cartão de crédito (dados do cartão, token ou upsell_hash)
+   * @param {Object} params
+   * @param {number} params.orderId
+   * @param {number} params.customerId
+   * @param {AppmaxCreditCard} params.card
+   */
+  async payWithCreditCard({ orderId, customerId, card }) {
+    return this.post('/payment/credit-card', {
+      cart: { order_id: orderId },
+      customer: { customer_id: customerId },
+      payment: { CreditCard: card }
+    });
+  }
+
+  /**
+   * Gera o boleto de um pedido
+   */
+  async payWithBoleto({ orderId, customerId, documentNumber }) {
+    return this.post('/payment/boleto', {
+      cart: { order_id: orderId },
+      customer: { customer_id: customerId },
+      payment: { Boleto: { document_number: documentNumber } }
+    });
+  }
+
+  /**
+   * Gera o PIX de um pedido
+   * @param {Object} params
+   * @param {string} [params.expirationDate] Data de expiração (AAAA-MM-DD HH:mm:ss)
+   */
+  async payWithPix({ orderId, customerId, documentNumber, expirationDate = null }) {
+    const pix = { document_number: documentNumber };
+    if (expirationDate) {
+      pix.expiration_date = expirationDate;
+    }
+
+    return this.post('/payment/pix', {
+      cart: { order_id: orderId },
+      customer: { customer_id: customerId },
+      payment: { pix }
+    });
+  }
+
+  /**
+   * Tokeniza um cartão de crédito para pagamentos futuros
+   * @param {{number: string, name: string, month: string|number, year: string|number, cvv: string}} card
+   * @returns {Promise<{token: string}>}
+   */
+  async tokenizeCard(card) {
+    return this.post('/tokenize/card', { card }, { idempotent: true });
+  }
+
+  /**
+   * Cria um upsell de um clique a partir do hash do pedido original
+   * @param {Object} upsell Corpo da requisição (hash do pedido e produtos)
+   */
+  async createUpsell(upsell) {
+    return this.post('/order/upsell', upsell);
+  }
+
+  /**
+   * Solicita o estorno total ou parcial de um pedido
+   * @param {number} orderId ID do pedido na Appmax
+   * @param {Object} [options]
+   * @param {string} [options.type] `total` ou `partial`
+   * @param {number} [options.value] Valor do estorno parcial
+   */
+  async refundOrder(orderId, { type = 'total', value = null } = {}) {
+    const payload = { order_id: orderId, type };
+    if (type === 'partial') {
+      payload.value = value;
+    }
+    return this.post('/refund', payload);
+  }
+
+  /**
+   * Informa o código de rastreio da entrega de um pedido
+   */
+  async addTrackingCode(orderId, trackingCode) {
+    return this.post('/order/delivery-tracking-code', {
+      order_id: orderId,
+      delivery_tracking_code: trackingCode
+    }, { idempotent: true });
+  }
+
+  /**
+   * Calcula as parcelas de um valor com as taxas configuradas no site
+   * @param {Object} params
+   * @param {number} params.total
+   * @param {number} [params.installments] Máximo de parcelas (1 a 12, padrão 12)
+   * @param {number} [params.format] 1 (sem formatação), 2 (parcela x valor) ou 3 (valor total)
+   */
+  async getInstallments({ total, installments = 12, format = 1 }) {
+    return this.post('/payment/installments', { total, installments, format }, { idempotent: true });
+  }
+
+  /**
+   * Retorna o percentual de juros por número de parcelas configurado pelo parceiro
+   * @returns {Promise<{interest: string, data: Object<string, string>}>}
+   */
+  async getPartnerRates() {
+    return this.request({ method: 'get', path: '/payment/partner-rates', idempotent: true, tokenInHeader: true });
+  }
+}
+
+module.exports = new AppmaxService();
+module.exports.AppmaxService = AppmaxService;
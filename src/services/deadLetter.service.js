@@ -0,0 +1,134 @@
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+const retryPolicy = require('../utils/retryPolicy');
+const db = require('../database/db');
+
+/**
+ * Dead-letter queue da request_queue.
+ *
+ * Requisições que falham com erro permanente ou esgotam as tentativas são copiadas para
+ * dead_letters, onde podem ser inspecionadas, corrigidas e recolocadas na fila. Cada ação
+ * administrativa é registrada em admin_audit_log.
+ */
+class DeadLetterService {
+  /**
+   * Move uma requisição que falhou definitivamente para a dead-letter queue
+   * @param {Object} request Requisição da fila (request_data já convertido)
+   * @param {Error} error Último erro
+   * @param {string} reason `permanent` ou `max_attempts`
+   */
+  async add(request, error, reason) {
+    const deadLetterId = await db.saveDeadLetter({
+      request: { ...request, attempts: request.attempts + 1 },
+      error: error.message || 'Erro desconhecido',
+      errorClass: retryPolicy.classify(error),
+      reason
+    });
+
+    logger.error(`Requisição #${request.id} (pedido Appmax #${request.appmax_id}) movida para a dead-letter queue (#${deadLetterId})`);
+    return deadLetterId;
+  }
+
+  async getPending(id) {
+    const deadLetter = await db.getDeadLetter(id);
+    if (!deadLetter) {
+      throw new AppError('Item da dead-letter queue não encontrado', 404);
+    }
+    if (deadLetter.state === 'replayed') {
+      throw new AppError(`Item #${id} já foi reprocessado (requisição #${deadLetter.replay_request_id})`, 409);
+    }
+    return deadLetter;
+  }
+
+  /**
+   * Substitui o request_data antes do reprocessamento
+   */
+  async updateRequestData(id, requestData, { actor = null } = {}) {
+    if (!requestData || typeof requestData !== 'object' || Array.isArray(requestData)) {
+      throw new AppError('request_data deve ser um objeto', 400);
+    }
+
+    const deadLetter = await this.getPending(id);
+    await db.updateDeadLetterData(id, requestData);
+    await db.saveAuditLog({
+      action: 'dead_letter.update',
+      entityType: 'dead_letter',
+      entityId: id,
+      actor,
+      details: { previous: deadLetter.request_data }
+    });
+
+    logger.info(`Item #${id} da dead-letter queue atualizado por ${actor || 'desconhecido'}`);
+    return db.getDeadLetter(id);
+  }
+
+  /**
+   * Recoloca os itens na request_queue como novas requisições
+   * @returns {Promise<Object[]>} Resultado por item: `replayed`, `not_found` ou `already_replayed`
+   */
+  async replay(ids, { actor = null } = {}) {
+    const results = [];
+
+    for (const id of ids) {
+      const deadLetter = await db.getDeadLetter(id);
+      if (!deadLetter) {
+        results.push({ id, result: 'not_found' });
+        continue;
+      }
+
+      // O item é marcado antes de entrar na fila para que reprocessamentos simultâneos não o dupliquem
+      if (!await db.claimDeadLetterReplay(id)) {
+        const current = await db.getDeadLetter(id);
+        results.push({ id, result: 'already_replayed', request_id: current?.replay_request_id || null });
+        continue;
+      }
+
+      let requestId;
+      try {
+        requestId = await db.saveQueueRequest({
+          appmaxId: deadLetter.appmax_id,
+          eventType: deadLetter.event_type,
+          status: deadLetter.status,
+          financialStatus: deadLetter.financial_status,
+          requestData: deadLetter.request_data,
+          storeId: deadLetter.store_id
+        });
+      } catch (error) {
+        await db.releaseDeadLetterReplay(id);
+        throw error;
+      }
+      await db.setDeadLetterReplayRequest(id, requestId);
+      await db.saveAuditLog({
+        action: 'dead_letter.replay',
+        entityType: 'dead_letter',
+        entityId: id,
+        actor,
+        details: { request_id: requestId }
+      });
+
+      logger.info(`Item #${id} da dead-letter queue recolocado na fila como requisição #${requestId}`);
+      results.push({ id, result: 'replayed', request_id: requestId });
+    }
+
+    return results;
+  }
+
+  /**
+   * Remove os itens da dead-letter queue
+   * @returns {Promise<number>} Quantidade removida
+   */
+  async purge(ids, { actor = null } = {}) {
+    const removed = await db.deleteDeadLetters(ids);
+    await db.saveAuditLog({
+      action: 'dead_letter.purge',
+      entityType: 'dead_letter',
+      actor,
+      details: { ids, removed }
+    });
+
+    logger.info(`${removed} itens removidos da dead-letter queue por ${actor || 'desconhecido'}`);
+    return removed;
+  }
+}
+
+module.exports = new DeadLetterService();
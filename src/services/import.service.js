@@ -0,0 +1,332 @@
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+const appmaxEvents = require('../utils/appmaxEvents');
+const orderStateMachine = require('../utils/orderStateMachine');
+const db = require('../database/db');
+const storeRegistry = require('./storeRegistry.service');
+const webhookService = require('./webhook.service');
+
+/**
+ * Importa pedidos históricos da Appmax (exportações em JSON ou CSV) para a fila da Shopify.
+ *
+ * Cada pedido passa pelo mesmo validateOrderData dos webhooks, é salvo no banco local com a
+ * data original e é colocado na request_queue em ritmo controlado. Pedidos que já possuem
+ * pedido na Shopify, ou cujo status importado seria uma regressão do status salvo, são ignorados.
+ */
+class ImportService {
+  constructor() {
+    this.ratePerMinute = parseInt(process.env.IMPORT_RATE_PER_MINUTE || '60', 10);
+    // Fuso das datas exportadas pela Appmax (horário de Brasília)
+    this.timezoneOffset = process.env.APPMAX_TIMEZONE_OFFSET || '-03:00';
+  }
+
+  /**
+   * Lê um CSV com cabeçalho. Aceita vírgula ou ponto e vírgula como separador e campos entre aspas.
+   * @returns {Object[]} Uma linha por objeto, com as chaves do cabeçalho
+   */
+  parseCsv(content) {
+    const text = String(content).replace(/^﻿/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const [header, ...lines] = rows.filter(line => line.some(value => value.trim() !== ''));
+    if (!header) return [];
+
+    return lines.map(line => {
+      const record = {};
+      header.forEach((column, index) => {
+        record[column.trim()] = line[index] !== undefined ? line[index].trim() : '';
+      });
+      return record;
+    });
+  }
+
+  /**
+   * Converte uma linha de CSV em pedido. Colunas com ponto viram objetos aninhados
+   * (ex.: customer.firstname) e células com JSON (ex.: bundles) são convertidas.
+   */
+  csvRecordToOrder(record) {
+    const order = {};
+
+    for (const [column, rawValue] of Object.entries(record)) {
+      if (rawValue === '') continue;
+
+      let value = rawValue;
+      if (/^[[{]/.test(rawValue)) {
+        try {
+          value = JSON.parse(rawValue);
+        } catch (error) {
+          value = rawValue;
+        }
+      }
+
+      const path = column.split('.');
+      let target = order;
+      path.slice(0, -1).forEach(key => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+      target[path[path.length - 1]] = value;
+    }
+
+    return order;
+  }
+
+  /**
+   * Lê o conteúdo da exportação e retorna a lista de pedidos.
+   * Em JSON, aceita uma lista de pedidos, `{data: [...]}`, `{orders: [...]}` ou payloads de webhook.
+   */
+  parse(content, format = 'json') {
+    if (format === 'csv') {
+      return this.parseCsv(content).map(record => this.csvRecordToOrder(record));
+    }
+
+    if (format !== 'json') {
+      throw new AppError('Formato inválido. Use: json, csv', 400);
+    }
+
+    let parsed = content;
+    if (typeof content === 'string') {
+      try {
+        parsed = JSON.parse(content);
+      } catch (error) {
+        throw new AppError(`JSON inválido: ${error.message}`, 400);
+      }
+    }
+
+    const list = Array.isArray(parsed) ? parsed : (parsed?.orders || parsed?.data || []);
+    if (!Array.isArray(list)) {
+      throw new AppError('A exportação deve conter uma lista de pedidos', 400);
+    }
+
+    // Payloads de webhook salvos ({event, data}) também são aceitos
+    return list.map(item => item?.data?.order || (item?.event && item?.data) || item);
+  }
+
+  /**
+   * Converte uma data da Appmax ("2024-01-31 10:00:00", no fuso da Appmax) em Date
+   */
+  parseAppmaxDate(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(text);
+    const date = new Date(hasZone ? text : `${text.replace(' ', 'T')}${this.timezoneOffset}`);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Importa um pedido: normaliza, salva no banco local com a data original e coloca na fila
+   * @param {Object} [options]
+   * @param {string} [options.storeId] Loja de destino; sem ela, a loja vem do site_id do pedido
+   * @returns {Promise<{result: string, requestId?: number, reason?: string}>}
+   */
+  async importOrder(rawOrder, { jobId = null, dryRun = false, storeId = null } = {}) {
+    const orderData = webhookService.validateOrderData({ ...rawOrder });
+
+    if (await db.findShopifyOrderId(orderData.id)) {
+      return { result: 'skipped', reason: 'Pedido já possui pedido na Shopify' };
+    }
+
+    const { status, financialStatus } = appmaxEvents.getStatusFromOrderStatus(orderData.status);
+    const createdAt = this.parseAppmaxDate(orderData.created_at);
+    const existingOrder = await db.findOrderById(orderData.id, 'appmax');
+    const store = storeRegistry.resolve({
+      storeId,
+      siteId: storeRegistry.getSiteId(rawOrder),
+      orderStoreId: existingOrder?.store_id
+    });
+
+    // A exportação pode ser mais antiga que os webhooks já recebidos; regressões não são aplicadas
+    const transition = orderStateMachine.evaluate({
+      from: existingOrder?.status || null,
+      to: status,
+      current: existingOrder?.metadata?.raw_data,
+      incoming: orderData
+    });
+    if (!transition.allowed) {
+      if (!dryRun) {
+        await db.saveStatusTransition({
+          appmaxId: orderData.id,
+          event: 'Import',
+          fromStatus: existingOrder.status,
+          toStatus: status,
+          applied: false,
+          reason: transition.reason
+        });
+      }
+      return { result: 'skipped', reason: `Transição de status rejeitada: ${transition.reason}` };
+    }
+
+    if (dryRun) {
+      return { result: 'queued', storeId: store.id, status, financialStatus };
+    }
+
+    await db.saveAppmaxOrder(orderData.id, status, {
+      customer: {
+        name: `${orderData.customer.firstname} ${orderData.customer.lastname}`.trim(),
+        email: webhookService.getOriginalEmail(orderData.customer.email),
+        phone: orderData.customer.telephone
+      },
+      products: orderData.bundles,
+      raw_data: orderData,
+      event: 'Import',
+      financial_status: financialStatus,
+      import_job_id: jobId,
+      normalized: true
+    }, {
+      createdAt: createdAt ? createdAt.toISOString().replace('T', ' ').slice(0, 19) : null,
+      storeId: store.id
+    });
+
+    const shopifyOrderData = webhookService.buildShopifyOrderData(orderData);
+    if (createdAt) {
+      shopifyOrderData.processed_at = createdAt.toISOString();
+    }
+
+    const requestId = await storeRegistry.getShopify(store.id).queueOrder({
+      appmaxOrder: shopifyOrderData,
+      status,
+      financialStatus,
+      event: 'Import'
+    });
+
+    return { result: 'queued', requestId, storeId: store.id, status, financialStatus };
+  }
+
+  /**
+   * Processa os pedidos da importação em ritmo controlado, registrando o progresso
+   * @param {number} jobId
+   * @param {Object[]} orders
+   * @param {Object} [options]
+   * @param {number} [options.ratePerMinute] Pedidos colocados na fila por minuto
+   * @param {boolean} [options.dryRun] Apenas valida, sem salvar nem enfileirar
+   * @param {string} [options.storeId] Loja de destino de todos os pedidos
+   * @param {Function} [options.onProgress] Chamado após cada pedido com o progresso atual
+   */
+  async run(jobId, orders, { ratePerMinute = this.ratePerMinute, dryRun = false, storeId = null, onProgress = null } = {}) {
+    const delay = ratePerMinute > 0 ? Math.ceil(60000 / ratePerMinute) : 0;
+    const progress = { status: 'running', processed: 0, queued: 0, skipped: 0, failed: 0, errors: [] };
+    const seen = new Set();
+
+    logger.info(`Importação #${jobId} iniciada: ${orders.length} pedidos, ${ratePerMinute} por minuto${dryRun ? ' (simulação)' : ''}`);
+    await db.updateImportJob(jobId, progress);
+
+    for (const order of orders) {
+      let queuedNow = false;
+      try {
+        const appmaxId = order?.id ? String(order.id) : null;
+        if (appmaxId && seen.has(appmaxId)) {
+          progress.skipped++;
+        } else {
+          if (appmaxId) seen.add(appmaxId);
+          const outcome = await this.importOrder(order, { jobId, dryRun, storeId });
+          if (outcome.result === 'queued') {
+            progress.queued++;
+            queuedNow = true;
+          } else {
+            progress.skipped++;
+          }
+        }
+      } catch (error) {
+        progress.failed++;
+        progress.errors.push({ appmax_id: order?.id || null, error: error.message });
+        logger.warn(`Importação #${jobId}: erro no pedido Appmax #${order?.id}:`, error.message);
+      }
+
+      progress.processed++;
+      await db.updateImportJob(jobId, progress);
+      if (onProgress) onProgress({ ...progress, total: orders.length });
+
+      if (queuedNow && !dryRun && delay > 0 && progress.processed < orders.length) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    progress.status = 'done';
+    await db.updateImportJob(jobId, progress);
+    logger.info(`Importação #${jobId} concluída:`, {
+      queued: progress.queued,
+      skipped: progress.skipped,
+      failed: progress.failed
+    });
+    return db.getImportJob(jobId);
+  }
+
+  /**
+   * Encerra como falhas as importações interrompidas por uma reinicialização do servidor
+   */
+  async recoverInterruptedJobs() {
+    try {
+      await db.waitForInit();
+      const interrupted = await db.failInterruptedImportJobs();
+      if (interrupted > 0) {
+        logger.warn(`${interrupted} importações interrompidas pela reinicialização foram marcadas como falhas`);
+      }
+    } catch (error) {
+      logger.error('Erro ao encerrar importações interrompidas:', error);
+    }
+  }
+
+  /**
+   * Inicia a importação em segundo plano e retorna o registro da importação
+   */
+  async start({ content, format = 'json', source = 'api', ratePerMinute, dryRun = false, storeId = null }) {
+    const orders = this.parse(content, format);
+    if (orders.length === 0) {
+      throw new AppError('Nenhum pedido encontrado na exportação', 400);
+    }
+    if (storeId) {
+      storeRegistry.get(storeId);
+    }
+
+    const jobId = await db.createImportJob({ source, format, total: orders.length });
+    setImmediate(() => {
+      this.run(jobId, orders, { ratePerMinute, dryRun, storeId }).catch(async error => {
+        logger.error(`Erro na importação #${jobId}:`, error);
+        const job = await db.getImportJob(jobId);
+        await db.updateImportJob(jobId, { ...job, status: 'failed' });
+      });
+    });
+
+    return db.getImportJob(jobId);
+  }
+}
+
+module.exports = new ImportService();
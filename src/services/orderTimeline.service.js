@@ -0,0 +1,77 @@
+const logger = require('../utils/logger');
+const db = require('../database/db');
+
+/**
+ * Linha do tempo dos pedidos (tabela order_events).
+ *
+ * Cada webhook da Appmax é acrescentado com o payload, o status derivado e a ação executada
+ * na Shopify. Quando a ação passa pela fila, o resultado é gravado no mesmo evento ao final do
+ * processamento; requisições sem evento de origem (importação, reconciliação, reenvio manual,
+ * rastreio e estornos) ganham um evento próprio.
+ * Falhas ao gravar a linha do tempo são registradas no log sem interromper o processamento.
+ */
+class OrderTimelineService {
+  // Ação executada na Shopify (ou na Appmax) por tipo de requisição da fila
+  requestActions = {
+    TrackingCodeSync: 'tracking_sync',
+    AppmaxRefund: 'appmax_refund',
+    OrderUpSold: 'upsell'
+  };
+
+  async record(event) {
+    try {
+      return await db.saveOrderEvent({ ...event, result: this.summarizeResult(event.result) });
+    } catch (error) {
+      logger.error(`Erro ao registrar evento ${event.event} do pedido Appmax #${event.appmaxId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Resumo do retorno da ação, guardado no evento
+   */
+  summarizeResult(result) {
+    if (!result || typeof result !== 'object') return null;
+
+    const fields = ['id', 'name', 'financial_status', 'cancelled_at', 'status', 'amount', 'skipped', 'reason'];
+    const summary = {};
+    for (const field of fields) {
+      if (result[field] !== undefined) summary[field] = result[field];
+    }
+    return Object.keys(summary).length > 0 ? summary : null;
+  }
+
+  /**
+   * Registra o resultado de uma requisição da fila
+   * @param {Object} request Requisição da fila
+   * @param {Object} outcome
+   * @param {string} outcome.actionStatus `done`, `retrying` ou `failed`
+   * @param {Object} [outcome.result] Retorno do processamento
+   * @param {string} [outcome.error]
+   */
+  async recordRequestResult(request, { actionStatus, result = null, error = null }) {
+    try {
+      const summary = this.summarizeResult(result);
+      const updated = await db.updateOrderEventsByRequestId(request.id, { actionStatus, result: summary, error });
+      if (updated > 0) return;
+
+      await db.saveOrderEvent({
+        appmaxId: request.appmax_id,
+        source: 'queue',
+        event: request.event_type,
+        payload: request.request_data,
+        status: request.status,
+        financialStatus: request.financial_status,
+        action: this.requestActions[request.event_type] || 'order_sync',
+        actionStatus,
+        requestId: request.id,
+        result: summary,
+        error
+      });
+    } catch (err) {
+      logger.error(`Erro ao registrar resultado da requisição #${request.id} na linha do tempo:`, err.message);
+    }
+  }
+}
+
+module.exports = new OrderTimelineService();
@@ -0,0 +1,260 @@
+const logger = require('../utils/logger');
+const retryPolicy = require('../utils/retryPolicy');
+const db = require('../database/db');
+
+/**
+ * Resolve os produtos da Appmax para variantes reais da Shopify.
+ *
+ * Os mapeamentos cadastrados em product_mappings para a loja têm prioridade (primeiro o bundle,
+ * depois o produto); sem mapeamento, a busca é por external_id (ID de variante ou de produto na
+ * Shopify) e depois por SKU.
+ * Os resultados ficam em cache em memória por loja, inclusive as buscas sem resultado (por menos tempo).
+ */
+class ProductResolver {
+  /**
+   * @param {Object} shopifyService Instância do ShopifyService usada para as consultas GraphQL
+   */
+  constructor(shopifyService) {
+    this.shopifyService = shopifyService;
+    this.cache = new Map();
+    this.cacheTtl = parseInt(process.env.PRODUCT_RESOLVER_CACHE_TTL_MINUTES || '60', 10) * 60 * 1000;
+    this.missTtl = 5 * 60 * 1000; // buscas sem resultado expiram em 5 minutos
+  }
+
+  getCached(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt < Date.now()) {
+      this.cache.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  setCached(key, value) {
+    this.cache.set(key, {
+      value,
+      expiresAt: Date.now() + (value ? this.cacheTtl : this.missTtl)
+    });
+    return value;
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Loja do ShopifyService; IDs de variante só valem dentro da própria loja
+   */
+  getStoreId() {
+    return this.shopifyService.store?.id || null;
+  }
+
+  /**
+   * Busca a variante pelo external_id, tratado primeiro como ID de variante e depois como ID de produto.
+   * Um produto só é aceito quando tem uma única variante ou quando uma variante tem o mesmo SKU.
+   */
+  async findByExternalId(externalId, sku = null) {
+    const query = `
+      query resolveExternalId($variantId: ID!, $productId: ID!) {
+        productVariant(id: $variantId) {
+          id
+          sku
+          title
+        }
+        product(id: $productId) {
+          id
+          variants(first: 100) {
+            nodes {
+              id
+              sku
+              title
+            }
+          }
+        }
+      }
+    `;
+
+    const result = await this.shopifyService.graphql(query, {
+      variantId: `gid://shopify/ProductVariant/${externalId}`,
+      productId: `gid://shopify/Product/${externalId}`
+    });
+
+    if (result.productVariant) {
+      return result.productVariant;
+    }
+
+    const variants = result.product?.variants?.nodes || [];
+    if (variants.length === 1) {
+      return variants[0];
+    }
+    if (sku) {
+      return variants.find(variant => variant.sku === sku) || null;
+    }
+    return null;
+  }
+
+  /**
+   * Busca a variante pelo SKU exato
+   */
+  async findBySku(sku) {
+    const query = `
+      query resolveSku($query: String!) {
+        productVariants(first: 10, query: $query) {
+          nodes {
+            id
+            sku
+            title
+          }
+        }
+      }
+    `;
+
+    const result = await this.shopifyService.graphql(query, {
+      query: `sku:"${sku.replace(/"/g, '\\"')}"`
+    });
+
+    const variants = result.productVariants?.nodes || [];
+    return variants.find(variant => variant.sku === sku) || null;
+  }
+
+  /**
+   * Resolve um produto da Appmax para uma variante da Shopify
+   * @returns {Promise<{variantId: string, source: string}|null>}
+   */
+  async resolveProduct(product) {
+    const externalId = product.external_id ? String(product.external_id) : null;
+    const sku = product.sku !== undefined && product.sku !== null && product.sku !== ''
+      ? String(product.sku)
+      : null;
+
+    if (externalId && /^\d+$/.test(externalId)) {
+      const key = `${this.getStoreId()}:external_id:${externalId}:${sku || ''}`;
+      let match = this.getCached(key);
+      if (match === undefined) {
+        const variant = await this.findByExternalId(externalId, sku);
+        match = this.setCached(key, variant ? this.toMatch(variant, 'external_id') : null);
+      }
+      if (match) return match;
+    }
+
+    if (sku) {
+      const key = `${this.getStoreId()}:sku:${sku}`;
+      let match = this.getCached(key);
+      if (match === undefined) {
+        const variant = await this.findBySku(sku);
+        match = this.setCached(key, variant ? this.toMatch(variant, 'sku') : null);
+      }
+      if (match) return match;
+    }
+
+    return null;
+  }
+
+  toMatch(variant, source) {
+    return {
+      variantId: variant.id.split('/').pop(),
+      sku: variant.sku || null,
+      source
+    };
+  }
+
+  /**
+   * Expande um mapeamento em itens do pedido. O valor pago pelos produtos de origem é
+   * distribuído igualmente entre as unidades das variantes mapeadas.
+   * @param {Object} mapping Mapeamento de product_mappings
+   * @param {Object[]} products Produtos Appmax cobertos pelo mapeamento
+   * @param {number} quantity Quantidade multiplicada pelo multiplicador de cada variante
+   */
+  expandMapping(mapping, products, quantity = 1) {
+    const total = products.reduce((sum, product) =>
+      sum + (parseFloat(product.price) || 0) * (parseInt(product.quantity, 10) || 1), 0);
+    const units = mapping.variants.reduce((sum, variant) => sum + variant.multiplier * quantity, 0);
+    const unitPrice = units > 0 ? (total / units).toFixed(2) : '0.00';
+
+    return mapping.variants.map(variant => ({
+      variant_id: variant.variant_id,
+      quantity: variant.multiplier * quantity,
+      price: unitPrice
+    }));
+  }
+
+  /**
+   * Monta os itens do pedido para a Shopify. Produtos sem variante correspondente viram
+   * itens personalizados e são retornados em `unmatched` para que o pedido seja sinalizado.
+   * Falhas temporárias da consulta (429/THROTTLED, 5xx, rede) são lançadas para que a fila
+   * retente o pedido inteiro, em vez de criá-lo sem as variantes.
+   * @param {Object} appmaxOrder
+   * @param {Object} [options]
+   * @param {boolean} [options.lookup] Com `false`, usa apenas os mapeamentos cadastrados, sem consultar a Shopify
+   * @returns {Promise<{lineItems: Object[], unmatched: Object[]}>}
+   */
+  async resolveLineItems(appmaxOrder, { lookup = true } = {}) {
+    const storeId = this.getStoreId();
+    const lineItems = [];
+    const unmatched = [];
+
+    for (const bundle of appmaxOrder.bundles || []) {
+      const bundleMapping = bundle.id ? await db.findProductMapping(storeId, 'bundle', bundle.id) : null;
+      if (bundleMapping) {
+        lineItems.push(...this.expandMapping(bundleMapping, bundle.products || []));
+        continue;
+      }
+
+      for (const product of bundle.products || []) {
+        const productMapping = product.id ? await db.findProductMapping(storeId, 'product', product.id) : null;
+        if (productMapping) {
+          lineItems.push(...this.expandMapping(productMapping, [product], parseInt(product.quantity, 10) || 1));
+          continue;
+        }
+
+        let match = null;
+        try {
+          match = lookup ? await this.resolveProduct(product) : null;
+        } catch (error) {
+          if (retryPolicy.isRetryable(error)) throw error;
+          logger.warn(`Erro ao resolver variante do produto "${product.name}":`, error.message);
+        }
+
+        if (match) {
+          lineItems.push({
+            variant_id: match.variantId,
+            quantity: product.quantity,
+            price: product.price
+          });
+        } else {
+          unmatched.push({
+            name: product.name,
+            sku: product.sku !== undefined && product.sku !== null ? String(product.sku) : null,
+            external_id: product.external_id || null
+          });
+          lineItems.push(this.toCustomLineItem(product));
+        }
+      }
+    }
+
+    if (unmatched.length > 0) {
+      logger.warn(`Pedido Appmax #${appmaxOrder.id} possui produtos sem variante na Shopify:`, unmatched);
+    }
+
+    return { lineItems, unmatched };
+  }
+
+  /**
+   * Item personalizado, usado quando o produto não corresponde a nenhuma variante
+   */
+  toCustomLineItem(product) {
+    return {
+      title: product.name,
+      quantity: product.quantity,
+      price: product.price,
+      sku: product.sku,
+      requires_shipping: true,
+      taxable: true,
+      fulfillment_service: 'manual',
+      grams: 0
+    };
+  }
+}
+
+module.exports = ProductResolver;
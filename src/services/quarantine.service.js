@@ -0,0 +1,108 @@
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+const appmaxEvents = require('../utils/appmaxEvents');
+const webhookTemplate = require('../utils/webhookTemplate');
+const webhookValidator = require('../utils/webhookValidator');
+const webhookService = require('./webhook.service');
+const db = require('../database/db');
+
+/**
+ * Quarentena dos webhooks com pedido inválido (modo de validação strict).
+ *
+ * O item guarda o corpo do webhook já no modelo DefaultResponse e os erros por campo. A equipe
+ * corrige o corpo e libera o item, que é validado novamente e processado pelo pipeline normal;
+ * itens sem correção possível são descartados. Cada ação é registrada em admin_audit_log.
+ */
+class QuarantineService {
+  async getPending(id) {
+    const entry = await db.getQuarantine(id);
+    if (!entry) {
+      throw new AppError('Item da quarentena não encontrado', 404);
+    }
+    if (entry.state !== 'pending') {
+      throw new AppError(`Item #${id} da quarentena já foi encerrado (${entry.state})`, 409);
+    }
+    return entry;
+  }
+
+  /**
+   * Valida o corpo do webhook contra o schema do evento
+   * @returns {{valid: boolean, errors: Object[]}}
+   */
+  validatePayload(payload) {
+    if (!payload || typeof payload !== 'object' || !payload.event || !payload.data || typeof payload.data !== 'object') {
+      throw new AppError('payload deve conter event e data', 400);
+    }
+
+    const { data } = webhookTemplate.normalize(payload.data);
+    return webhookValidator.validate(appmaxEvents.parse(payload.event).baseName, data.order || data);
+  }
+
+  /**
+   * Substitui o corpo do webhook e recalcula os erros de validação
+   */
+  async updatePayload(id, payload, { actor = null } = {}) {
+    const entry = await this.getPending(id);
+    const { errors } = this.validatePayload(payload);
+
+    await db.updateQuarantinePayload(id, { payload, errors });
+    await db.saveAuditLog({
+      action: 'quarantine.update',
+      entityType: 'webhook_quarantine',
+      entityId: id,
+      actor,
+      details: { previous: entry.payload }
+    });
+
+    logger.info(`Item #${id} da quarentena atualizado por ${actor || 'desconhecido'}`);
+    return db.getQuarantine(id);
+  }
+
+  /**
+   * Libera o item para o processamento normal, se o corpo (corrigido) for válido
+   * @param {Object} [payload] Corpo corrigido; sem ele, é usado o corpo salvo
+   * @returns {Promise<{released: boolean, errors?: Object[], result?: Object}>}
+   */
+  async release(id, { payload = null, actor = null } = {}) {
+    const entry = payload
+      ? await this.updatePayload(id, payload, { actor })
+      : await this.getPending(id);
+
+    const validation = this.validatePayload(entry.payload);
+    if (!validation.valid) {
+      return { released: false, errors: validation.errors };
+    }
+
+    const result = await webhookService.processWebhook(entry.payload, {
+      source: 'quarantine_release',
+      storeId: entry.store_id
+    });
+    await db.resolveQuarantine(id, { state: 'released', result, actor });
+    await db.saveAuditLog({
+      action: 'quarantine.release',
+      entityType: 'webhook_quarantine',
+      entityId: id,
+      actor,
+      details: { action: result.action, request_id: result.queueRequestId }
+    });
+
+    logger.info(`Item #${id} da quarentena liberado por ${actor || 'desconhecido'} (pedido Appmax #${entry.appmax_id})`);
+    return { released: true, result };
+  }
+
+  async discard(id, { reason = null, actor = null } = {}) {
+    await this.getPending(id);
+    await db.resolveQuarantine(id, { state: 'discarded', result: reason ? { reason } : null, actor });
+    await db.saveAuditLog({
+      action: 'quarantine.discard',
+      entityType: 'webhook_quarantine',
+      entityId: id,
+      actor,
+      details: { reason }
+    });
+
+    logger.info(`Item #${id} da quarentena descartado por ${actor || 'desconhecido'}`);
+  }
+}
+
+module.exports = new QuarantineService();
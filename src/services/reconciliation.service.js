@@ -0,0 +1,253 @@
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+const db = require('../database/db');
+const storeRegistry = require('./storeRegistry.service');
+const webhookService = require('./webhook.service');
+
+/**
+ * Compara os pedidos do banco local (e o raw_data salvo) com os pedidos na Shopify.
+ *
+ * As divergências são classificadas como `missing` (pedido ausente na Shopify),
+ * `status_mismatch` (status financeiro/cancelamento diferente) e `total_mismatch`
+ * (total diferente do pedido Appmax). No modo auto-heal, pedidos ausentes ou com status
+ * divergente são recolocados na fila e reprocessados pelo processOrder. Os pedidos de cada loja
+ * são consultados com o cliente da própria loja.
+ */
+class ReconciliationService {
+  // Status financeiros aceitos na Shopify para cada status local
+  expectedFinancialStatuses = {
+    pending: ['pending'],
+    authorized: ['authorized', 'pending'],
+    paid: ['paid'],
+    integrated: ['paid'],
+    refunded: ['refunded', 'partially_refunded']
+  };
+
+  // Status locais que não precisam existir na Shopify
+  optionalStatuses = ['cancelled', 'refunded'];
+
+  constructor() {
+    this.running = false;
+    this.interval = parseInt(process.env.RECONCILIATION_INTERVAL_MINUTES || '0', 10) * 60 * 1000;
+    this.lookbackDays = parseInt(process.env.RECONCILIATION_LOOKBACK_DAYS || '7', 10);
+    this.autoHeal = process.env.RECONCILIATION_AUTO_HEAL === 'true';
+  }
+
+  /**
+   * Agenda a execução periódica (chamado pelo servidor). Só é iniciada quando
+   * RECONCILIATION_INTERVAL_MINUTES está definido.
+   */
+  async start() {
+    if (this.interval <= 0) return;
+    try {
+      await db.waitForInit();
+      if (process.env.DISABLE_WORKERS === 'true') return;
+      logger.info(`Reconciliação agendada a cada ${this.interval / 60000} minutos`);
+      setTimeout(() => this.runScheduled(), this.interval);
+    } catch (error) {
+      logger.error('Erro ao inicializar reconciliação agendada:', error);
+    }
+  }
+
+  async runScheduled() {
+    try {
+      const endDate = new Date();
+      const startDate = new Date(endDate.getTime() - this.lookbackDays * 24 * 60 * 60 * 1000);
+      await this.reconcile({ startDate, endDate, autoHeal: this.autoHeal, trigger: 'scheduled' });
+    } catch (error) {
+      logger.error('Erro na reconciliação agendada:', error);
+    } finally {
+      setTimeout(() => this.runScheduled(), this.interval);
+    }
+  }
+
+  toSqlDate(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  /**
+   * Busca os pedidos da Shopify pelos IDs, em lotes de 250
+   * @param {Object} shopifyService ShopifyService da loja dos pedidos
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async fetchShopifyOrders(shopifyService, shopifyIds) {
+    const orders = new Map();
+
+    for (let i = 0; i < shopifyIds.length; i += 250) {
+      const batch = shopifyIds.slice(i, i + 250);
+      const { data } = await shopifyService.makeRequest(() =>
+        shopifyService.client.get('/orders.json', {
+          params: {
+            ids: batch.join(','),
+            status: 'any',
+            fields: 'id,financial_status,cancelled_at,total_price,tags',
+            limit: 250
+          }
+        })
+      );
+      for (const order of data.orders || []) {
+        orders.set(String(order.id), order);
+      }
+    }
+    return orders;
+  }
+
+  /**
+   * Compara um pedido local com o pedido da Shopify e retorna as divergências
+   */
+  compare(localOrder, shopifyOrder) {
+    const drifts = [];
+    const status = localOrder.status;
+
+    if (!shopifyOrder) {
+      if (!this.optionalStatuses.includes(status)) {
+        drifts.push({ type: 'missing' });
+      }
+      return drifts;
+    }
+
+    if (status === 'cancelled') {
+      if (!shopifyOrder.cancelled_at) {
+        drifts.push({ type: 'status_mismatch', expected: 'cancelled', actual: shopifyOrder.financial_status });
+      }
+    } else if (this.expectedFinancialStatuses[status]) {
+      const expected = this.expectedFinancialStatuses[status];
+      if (!expected.includes(shopifyOrder.financial_status)) {
+        drifts.push({ type: 'status_mismatch', expected: expected.join('|'), actual: shopifyOrder.financial_status });
+      }
+    }
+
+    const appmaxTotal = parseFloat(localOrder.metadata?.raw_data?.total);
+    const shopifyTotal = parseFloat(shopifyOrder.total_price);
+    if (!isNaN(appmaxTotal) && !isNaN(shopifyTotal) && Math.abs(appmaxTotal - shopifyTotal) >= 0.01) {
+      drifts.push({ type: 'total_mismatch', expected: appmaxTotal, actual: shopifyTotal });
+    }
+
+    return drifts;
+  }
+
+  /**
+   * Recoloca o pedido na fila da Shopify a partir do raw_data salvo
+   */
+  async heal(localOrder, { event = 'Reconciliation' } = {}) {
+    const rawData = localOrder.metadata?.raw_data;
+    if (!rawData || !rawData.customer) {
+      throw new AppError('Pedido sem raw_data para reprocessamento', 422);
+    }
+
+    return storeRegistry.getShopify(localOrder.store_id).queueOrder({
+      appmaxOrder: webhookService.buildShopifyOrderData(rawData, {
+        declineReason: localOrder.metadata.decline_reason
+      }),
+      status: localOrder.status,
+      financialStatus: localOrder.metadata.financial_status || 'pending',
+      event
+    });
+  }
+
+  /**
+   * Executa a reconciliação dos pedidos criados no intervalo informado
+   * @param {Object} params
+   * @param {Date} params.startDate
+   * @param {Date} params.endDate
+   * @param {boolean} [params.autoHeal] Recoloca na fila os pedidos ausentes ou com status divergente
+   * @param {string} [params.trigger] `manual` ou `scheduled`
+   * @param {string} [params.storeId] Limita a reconciliação aos pedidos da loja
+   * @returns {Promise<Object>} Relatório da reconciliação
+   */
+  async reconcile({ startDate, endDate, autoHeal = false, trigger = 'manual', storeId = null }) {
+    if (storeId) {
+      storeRegistry.get(storeId);
+    }
+
+    if (this.running) {
+      throw new AppError('Já existe uma reconciliação em andamento', 409);
+    }
+
+    this.running = true;
+    const startedAt = new Date().toISOString();
+    try {
+      const localOrders = (await db.getOrdersByDateRange(this.toSqlDate(startDate), this.toSqlDate(endDate)))
+        .filter(order => order.appmax_id && (!storeId || order.store_id === storeId));
+
+      logger.info(`Reconciliando ${localOrders.length} pedidos entre ${startDate.toISOString()} e ${endDate.toISOString()}`);
+
+      // Os IDs de pedido da Shopify são únicos entre lojas, então os resultados são reunidos em um só mapa
+      const shopifyOrders = new Map();
+      for (const orderStoreId of new Set(localOrders.map(order => order.store_id))) {
+        const shopifyIds = localOrders
+          .filter(order => order.store_id === orderStoreId && order.shopify_id)
+          .map(order => String(parseInt(order.shopify_id, 10)));
+        const storeOrders = await this.fetchShopifyOrders(storeRegistry.getShopify(orderStoreId), shopifyIds);
+        storeOrders.forEach((order, id) => shopifyOrders.set(id, order));
+      }
+
+      const drift = { missing: [], status_mismatch: [], total_mismatch: [] };
+      const healed = [];
+      const errors = [];
+
+      for (const localOrder of localOrders) {
+        try {
+          let shopifyOrder = localOrder.shopify_id
+            ? shopifyOrders.get(String(parseInt(localOrder.shopify_id, 10)))
+            : null;
+
+          // Sem mapeamento local, procura o pedido pela tag e pelo metafield da Appmax
+          if (!localOrder.shopify_id) {
+            shopifyOrder = await storeRegistry.getShopify(localOrder.store_id).findOrderByAppmaxId(localOrder.appmax_id);
+          }
+
+          const drifts = this.compare(localOrder, shopifyOrder);
+          for (const item of drifts) {
+            drift[item.type].push({
+              appmax_id: localOrder.appmax_id,
+              store_id: localOrder.store_id,
+              shopify_id: shopifyOrder ? String(shopifyOrder.id) : null,
+              local_status: localOrder.status,
+              expected: item.expected,
+              actual: item.actual
+            });
+          }
+
+          const healable = drifts.some(item => ['missing', 'status_mismatch'].includes(item.type));
+          if (autoHeal && healable) {
+            const requestId = await this.heal(localOrder);
+            healed.push({ appmax_id: localOrder.appmax_id, store_id: localOrder.store_id, queue_request_id: requestId });
+          }
+        } catch (error) {
+          logger.error(`Erro ao reconciliar pedido Appmax #${localOrder.appmax_id}:`, error.message);
+          errors.push({ appmax_id: localOrder.appmax_id, error: error.message });
+        }
+      }
+
+      const report = {
+        trigger,
+        store_id: storeId,
+        start_date: startDate.toISOString(),
+        end_date: endDate.toISOString(),
+        auto_heal: autoHeal,
+        started_at: startedAt,
+        finished_at: new Date().toISOString(),
+        checked: localOrders.length,
+        summary: {
+          missing: drift.missing.length,
+          status_mismatch: drift.status_mismatch.length,
+          total_mismatch: drift.total_mismatch.length,
+          healed: healed.length,
+          errors: errors.length
+        },
+        drift,
+        healed,
+        errors
+      };
+
+      report.id = await db.saveReconciliationRun(report);
+      logger.info(`Reconciliação #${report.id} concluída:`, report.summary);
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,194 @@
+const logger = require('../utils/logger');
+const retryPolicy = require('../utils/retryPolicy');
+const db = require('../database/db');
+const appmaxService = require('./appmax.service');
+
+/**
+ * Propaga para a Appmax os reembolsos e cancelamentos feitos no admin da Shopify.
+ *
+ * Os estornos são registrados em appmax_refunds e enviados pela request_queue (evento AppmaxRefund).
+ * Reembolsos criados pela própria integração (ShopifyService.refundOrder) e pedidos já
+ * cancelados/estornados na Appmax são ignorados, para que os dois sistemas não entrem em loop.
+ */
+class RefundSyncService {
+  // Início da nota dos reembolsos criados pela integração na Shopify
+  integrationRefundNote = 'Reembolso automático via Appmax';
+
+  toAmount(value) {
+    return Math.round((parseFloat(value) || 0) * 100) / 100;
+  }
+
+  /**
+   * Busca o pedido Appmax vinculado ao pedido Shopify
+   */
+  async findAppmaxOrder(shopifyOrderId) {
+    const order = await db.findOrderById(String(shopifyOrderId), 'shopify');
+    if (!order || !order.appmax_id) {
+      logger.warn(`Pedido Shopify #${shopifyOrderId} sem pedido Appmax vinculado, estorno ignorado`);
+      return null;
+    }
+    return order;
+  }
+
+  /**
+   * Verifica se o reembolso foi criado pela própria integração
+   */
+  async isIntegrationRefund(refund) {
+    if (String(refund.note || '').startsWith(this.integrationRefundNote)) {
+      return true;
+    }
+    return !!(await db.findOrderRefundByShopifyRefundId(refund.id));
+  }
+
+  /**
+   * Enfileira o estorno na Appmax, como total quando cobre o restante do pedido
+   */
+  async queueRefund(order, { shopifyId, shopifyRefundId = null, source, amount = null }) {
+    // Estornos recusados pela Appmax não contam como solicitados
+    const previous = (await db.getAppmaxRefunds(order.appmax_id)).filter(refund => refund.status !== 'failed');
+    if (previous.some(refund => refund.type === 'total')) {
+      return { queued: false, reason: 'Estorno total já solicitado', appmaxId: order.appmax_id };
+    }
+
+    const appmaxTotal = this.toAmount(order.metadata?.raw_data?.total);
+    const alreadyRequested = previous.reduce((sum, refund) => sum + (refund.amount || 0), 0);
+    const remaining = appmaxTotal > 0 ? this.toAmount(appmaxTotal - alreadyRequested) : null;
+
+    if (remaining !== null && remaining <= 0) {
+      return { queued: false, reason: 'Valor do pedido já estornado', appmaxId: order.appmax_id };
+    }
+
+    let type = 'partial';
+    let value = amount;
+    if (amount === null || (remaining !== null && amount >= remaining)) {
+      // O estorno total só é usado quando nada foi estornado antes; senão, estorna o restante
+      type = alreadyRequested === 0 ? 'total' : 'partial';
+      value = remaining ?? amount;
+    }
+
+    const refundId = await db.saveAppmaxRefund({
+      appmaxId: order.appmax_id,
+      shopifyId,
+      shopifyRefundId,
+      source,
+      type,
+      amount: value
+    });
+    if (!refundId) {
+      return { queued: false, reason: 'Reembolso da Shopify já registrado', appmaxId: order.appmax_id };
+    }
+
+    const requestId = await db.saveQueueRequest({
+      appmaxId: order.appmax_id,
+      eventType: 'AppmaxRefund',
+      status: 'refunded',
+      financialStatus: type === 'total' ? 'refunded' : 'partially_refunded',
+      requestData: {
+        refund_id: refundId,
+        appmax_id: order.appmax_id,
+        type,
+        value
+      },
+      storeId: order.store_id
+    });
+
+    logger.info(`Estorno ${type} de ${value} do pedido Appmax #${order.appmax_id} enfileirado (#${requestId})`, { source });
+    return { queued: true, requestId, refundId, appmaxId: order.appmax_id, type, amount: value };
+  }
+
+  /**
+   * Trata o webhook refunds/create da Shopify
+   */
+  async handleShopifyRefund(refund) {
+    if (await this.isIntegrationRefund(refund)) {
+      return { queued: false, reason: 'Reembolso criado pela integração' };
+    }
+
+    // Reentregas do mesmo reembolso não geram um segundo estorno
+    if (refund.id && await db.findAppmaxRefundByShopifyRefundId(refund.id)) {
+      return { queued: false, reason: 'Reembolso da Shopify já registrado' };
+    }
+
+    const amount = this.toAmount((refund.transactions || [])
+      .filter(transaction => transaction.kind === 'refund' && transaction.status === 'success')
+      .reduce((sum, transaction) => sum + (parseFloat(transaction.amount) || 0), 0));
+
+    if (amount <= 0) {
+      return { queued: false, reason: 'Reembolso sem valor' };
+    }
+
+    const order = await this.findAppmaxOrder(refund.order_id);
+    if (!order) {
+      return { queued: false, reason: 'Pedido não vinculado a um pedido Appmax' };
+    }
+
+    return this.queueRefund(order, {
+      shopifyId: String(refund.order_id),
+      shopifyRefundId: String(refund.id),
+      source: 'refunds/create',
+      amount
+    });
+  }
+
+  /**
+   * Trata o webhook orders/cancelled da Shopify. Quando o cancelamento também reembolsou o pedido,
+   * o estorno é feito pelo refunds/create correspondente.
+   */
+  async handleShopifyCancellation(shopifyOrder) {
+    const order = await this.findAppmaxOrder(shopifyOrder.id);
+    if (!order) {
+      return { queued: false, reason: 'Pedido não vinculado a um pedido Appmax' };
+    }
+
+    if (['pending', 'cancelled', 'refunded'].includes(order.status)) {
+      return { queued: false, reason: `Pedido com status ${order.status} na Appmax`, appmaxId: order.appmax_id };
+    }
+
+    if ((shopifyOrder.refunds || []).length > 0) {
+      return { queued: false, reason: 'Cancelamento com reembolso, tratado pelo refunds/create', appmaxId: order.appmax_id };
+    }
+
+    return this.queueRefund(order, {
+      shopifyId: String(shopifyOrder.id),
+      source: 'orders/cancelled'
+    });
+  }
+
+  /**
+   * Solicita o estorno na Appmax. Chamado pela fila.
+   *
+   * O POST /refund não é idempotente: só um 429 (não processado pela Appmax) volta para a fila.
+   * Timeouts e erros 5xx ou de comunicação podem ter estornado o pedido, então o registro fica
+   * em `review` e a requisição vai para a dead-letter queue para conferência manual, sem nova
+   * tentativa automática. Os demais erros marcam o estorno como `failed`.
+   */
+  async requestAppmaxRefund(requestData) {
+    const { refund_id: refundId, appmax_id: appmaxId, type, value } = requestData;
+
+    try {
+      const response = await appmaxService.refundOrder(appmaxId, { type, value });
+      await db.updateAppmaxRefund(refundId, {
+        status: 'requested',
+        appmaxRefundId: response?.id ? String(response.id) : null
+      });
+      logger.info(`Estorno ${type} solicitado à Appmax para o pedido #${appmaxId}`);
+      return { appmaxId, type, value };
+    } catch (error) {
+      const status = retryPolicy.getStatusCode(error);
+      if (status === 429) {
+        await db.updateAppmaxRefund(refundId, { status: 'pending', error: error.message });
+        throw error;
+      }
+
+      const ambiguous = !status || status >= 500 || status === 408;
+      await db.updateAppmaxRefund(refundId, { status: ambiguous ? 'review' : 'failed', error: error.message });
+      if (ambiguous) {
+        logger.error(`Resultado do estorno do pedido Appmax #${appmaxId} desconhecido, conferir na Appmax antes de reprocessar:`, error.message);
+      }
+      error.retryable = false;
+      throw error;
+    }
+  }
+}
+
+module.exports = new RefundSyncService();
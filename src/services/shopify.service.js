@@ -1,27 +1,41 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const AppError = require('../utils/AppError');
+const retryPolicy = require('../utils/retryPolicy');
 const db = require('../database/db');
+const ProductResolver = require('./productResolver.service');
+const trackingService = require('./tracking.service');
+const refundSyncService = require('./refundSync.service');
+const deadLetterService = require('./deadLetter.service');
+const orderTimelineService = require('./orderTimeline.service');
 
+/**
+ * Cliente de uma loja Shopify e processamento da fila de requisições dessa loja.
+ * As instâncias são criadas pelo storeRegistry, uma por loja cadastrada; cada uma tem o próprio
+ * cliente, limite de requisições e lock de pedidos, e processa apenas as requisições da sua loja.
+ */
 class ShopifyService {
-  constructor() {
-    // Valida as variáveis de ambiente necessárias
-    if (!process.env.SHOPIFY_STORE_DOMAIN || !process.env.SHOPIFY_ACCESS_TOKEN) {
-      throw new Error("As variáveis de ambiente SHOPIFY_STORE_DOMAIN e SHOPIFY_ACCESS_TOKEN são obrigatórias.");
-    }
+  // Metafield que guarda o ID da Appmax nos pedidos criados pela integração
+  appmaxMetafield = { namespace: 'appmax', key: 'order_id', type: 'single_line_text_field' };
+
+  /**
+   * @param {Object} store Loja normalizada pelo storeRegistry
+   */
+  constructor(store) {
+    this.store = store;
 
     this.client = axios.create({
-      baseURL: `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-01`,
+      baseURL: `https://${store.shopDomain}/admin/api/${store.apiVersion}`,
       headers: {
-        'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
+        'X-Shopify-Access-Token': store.accessToken,
         'Content-Type': 'application/json'
       }
     });
 
     this.graphqlClient = axios.create({
-      baseURL: `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-01/graphql.json`,
+      baseURL: `https://${store.shopDomain}/admin/api/${store.apiVersion}/graphql.json`,
       headers: {
-        'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
+        'X-Shopify-Access-Token': store.accessToken,
         'Content-Type': 'application/json'
       }
     });
@@ -38,11 +52,21 @@ class ShopifyService {
             body: error.config.data
           });
 
-          // Em caso de rate limit, aguarda um intervalo antes de retentar
+          // Em caso de rate limit, aguarda o Retry-After e retenta algumas vezes antes de
+          // devolver o erro para a fila reagendar a requisição
           if (status === 429) {
-            logger.info('Rate limit atingido, aguardando antes de tentar novamente');
-            await new Promise(resolve => setTimeout(resolve, this.minRequestInterval));
-            return this.client.request(error.config);
+            const retryAfter = retryPolicy.getRetryAfter(error);
+            error.config.rateLimitRetries = (error.config.rateLimitRetries || 0) + 1;
+            if (error.config.rateLimitRetries <= this.maxRateLimitRetries) {
+              const delay = retryAfter ?? this.minRequestInterval;
+              logger.info(`Rate limit atingido, nova tentativa em ${delay}ms`);
+              await new Promise(resolve => setTimeout(resolve, delay));
+              return this.client.request(error.config);
+            }
+
+            const rateLimitError = new AppError('Limite de requisições da Shopify atingido', 429);
+            rateLimitError.retryAfter = retryAfter !== null ? retryAfter / 1000 : null;
+            throw rateLimitError;
           }
 
           // Trata erros de validação e outros erros específicos
@@ -72,21 +96,11 @@ class ShopifyService {
 
     this.processing = false;
     this.lastRequestTime = 0;
-    this.minRequestInterval = 500; // intervalo mínimo entre chamadas (em ms)
+    this.minRequestInterval = store.options.minRequestInterval; // intervalo mínimo entre chamadas (em ms)
+    this.maxRateLimitRetries = store.options.maxRateLimitRetries; // retentativas imediatas após um 429, antes de reagendar na fila
+    this.pausedUntil = 0; // fila pausada até essa data (em ms) após um 429
     this.orderLocks = new Map();
-
-    // Inicia o processamento da fila assim que o banco estiver inicializado
-    this.init();
-  }
-
-  async init() {
-    try {
-      await db.waitForInit();
-      logger.info('Banco de dados inicializado, iniciando processamento da fila');
-      this.startQueueProcessing();
-    } catch (error) {
-      logger.error('Erro ao inicializar serviço:', error);
-    }
+    this.productResolver = new ProductResolver(this);
   }
 
   /**
@@ -103,32 +117,50 @@ class ShopifyService {
   }
 
   /**
-   * Busca requisições não processadas no DB e as processa sequencialmente.
+   * Busca as requisições não processadas da loja no DB e as processa sequencialmente.
    */
   async processQueue() {
-    if (this.processing) return;
+    if (this.processing || Date.now() < this.pausedUntil) return;
     this.processing = true;
     try {
-      const requests = await db.getUnprocessedRequests();
+      const requests = await db.getUnprocessedRequests({ storeId: this.store.id });
       if (requests.length > 0) {
-        logger.info(`Iniciando processamento da fila. Encontradas ${requests.length} requisições para processar`);
+        logger.info(`Iniciando processamento da fila da loja ${this.store.id}. Encontradas ${requests.length} requisições para processar`);
+        // Pedidos com requisição reagendada neste lote aguardam a retentativa
+        const deferredOrders = new Set();
         for (const request of requests) {
+          if (deferredOrders.has(request.appmax_id)) continue;
           try {
             logger.info(`Processando requisição #${request.id} para pedido Appmax #${request.appmax_id}`);
-            const result = await this.processOrder({
-              appmaxOrder: request.request_data,
-              status: request.status,
-              financialStatus: request.financial_status
-            });
-            await db.markRequestAsProcessed(request.id, null, result);
+            const result = await this.processRequest(request);
+            await db.markRequestAsProcessed(request.id);
+            await orderTimelineService.recordRequestResult(request, { actionStatus: 'done', result });
             logger.info(`Requisição #${request.id} processada com sucesso`);
           } catch (error) {
             const errorMessage = error.message || 'Erro desconhecido';
-            logger.error(`Erro ao processar requisição #${request.id}:`, error);
-            await db.markRequestAsProcessed(request.id, errorMessage);
-            if (error.response?.status === 429) {
-              logger.info('Rate limit atingido, pausando processamento');
-              await new Promise(resolve => setTimeout(resolve, this.minRequestInterval * 2));
+            const decision = retryPolicy.evaluate(error, request.attempts + 1);
+
+            if (decision.retry) {
+              logger.warn(`Erro ao processar requisição #${request.id}, nova tentativa em ${Math.round(decision.delay / 1000)}s:`, errorMessage);
+              await db.markRequestAsProcessed(request.id, errorMessage, {
+                retryAt: new Date(Date.now() + decision.delay)
+              });
+              await orderTimelineService.recordRequestResult(request, { actionStatus: 'retrying', error: errorMessage });
+              deferredOrders.add(request.appmax_id);
+            } else {
+              const reason = decision.reason === 'permanent' ? 'erro permanente' : 'tentativas esgotadas';
+              logger.error(`Erro ao processar requisição #${request.id} (${reason}):`, error);
+              await db.markRequestAsProcessed(request.id, errorMessage);
+              await orderTimelineService.recordRequestResult(request, { actionStatus: 'failed', error: errorMessage });
+              await deadLetterService.add(request, error, decision.reason);
+            }
+
+            // O limite de requisições vale para a loja toda: pausa a fila da loja até o Retry-After
+            if (retryPolicy.getStatusCode(error) === 429) {
+              const pause = retryPolicy.getRetryAfter(error) ?? this.minRequestInterval * 2;
+              this.pausedUntil = Date.now() + pause;
+              logger.info(`Rate limit atingido na loja ${this.store.id}, pausando processamento por ${pause}ms`);
+              break;
             }
           }
           // Aguarda intervalo mínimo entre requisições
@@ -144,53 +176,45 @@ class ShopifyService {
   }
 
   /**
-   * Enfileira uma requisição de pedido, salvando os dados no banco.
-   * Retorna uma Promise que é resolvida quando o processamento é concluído.
+   * Executa uma requisição da fila de acordo com o tipo de evento.
    */
-  async enqueueOrder({ appmaxOrder, status, financialStatus }) {
-    try {
-      if (!appmaxOrder || !appmaxOrder.id) {
-        throw new AppError('Dados do pedido Appmax inválidos', 400);
-      }
-      const requestId = await db.saveQueueRequest({
-        appmaxId: appmaxOrder.id,
-        eventType: appmaxOrder.event || 'unknown',
-        status: status || 'pending',
-        financialStatus: financialStatus || 'pending',
-        requestData: appmaxOrder
-      });
-      logger.info(`Requisição #${requestId} adicionada à fila para pedido Appmax #${appmaxOrder.id}`);
-      return new Promise((resolve, reject) => {
-        const checkStatus = async () => {
-          try {
-            const request = await db.getRequestStatus(requestId);
-            if (request.processed_at) {
-              if (request.error) {
-                reject(new Error(request.error));
-              } else {
-                resolve(request);
-              }
-            } else {
-              setTimeout(checkStatus, 1000);
-            }
-          } catch (error) {
-            reject(error);
-          }
-        };
-        checkStatus();
-      });
-    } catch (error) {
-      logger.error('Erro ao enfileirar requisição:', error);
-      throw error;
+  async processRequest(request) {
+    const params = {
+      appmaxOrder: request.request_data,
+      status: request.status,
+      financialStatus: request.financial_status
+    };
+
+    if (request.event_type === 'TrackingCodeSync') {
+      return trackingService.syncTrackingCode(request.request_data);
+    }
+    if (request.event_type === 'AppmaxRefund') {
+      return refundSyncService.requestAppmaxRefund(request.request_data);
     }
+    if (request.event_type === 'OrderUpSold') {
+      return this.processUpsell(params);
+    }
+    return this.processOrder(params);
   }
 
   /**
-   * Método público para criação/atualização do pedido na Shopify.
-   * Enfileira a requisição e aguarda seu processamento.
+   * Salva uma requisição de pedido na fila, sem aguardar o processamento.
+   * Retorna o ID da requisição na fila.
    */
-  async createOrUpdateOrder({ appmaxOrder, status, financialStatus }) {
-    return this.enqueueOrder({ appmaxOrder, status, financialStatus });
+  async queueOrder({ appmaxOrder, status, financialStatus, event }) {
+    if (!appmaxOrder || !appmaxOrder.id) {
+      throw new AppError('Dados do pedido Appmax inválidos', 400);
+    }
+    const requestId = await db.saveQueueRequest({
+      appmaxId: appmaxOrder.id,
+      eventType: event || appmaxOrder.event || 'unknown',
+      status: status || 'pending',
+      financialStatus: financialStatus || 'pending',
+      requestData: appmaxOrder,
+      storeId: this.store.id
+    });
+    logger.info(`Requisição #${requestId} adicionada à fila da loja ${this.store.id} para pedido Appmax #${appmaxOrder.id}`);
+    return requestId;
   }
 
   /**
@@ -213,26 +237,21 @@ class ShopifyService {
           logger.info(`Pedido Appmax #${appmaxOrder.id} encontrado na Shopify: #${existingOrder.id}`);
           return await this.updateOrder(existingOrder.id, { appmaxOrder, status, financialStatus });
         }
-        const orderData = this.formatOrderData(appmaxOrder, status, financialStatus);
-        logger.info('Criando pedido na Shopify:', orderData);
-        try {
-          const { data } = await this.makeRequest(() => this.client.post('/orders.json', orderData));
-          logger.info(`Pedido Appmax #${appmaxOrder.id} criado com sucesso na Shopify: #${data.order.id}`);
-          // Salva o mapeamento entre Appmax e Shopify no banco
-          await db.saveOrderMapping(appmaxOrder.id, data.order.id);
-          return data.order;
-        } catch (error) {
-          // Caso o erro seja devido a email duplicado, tenta buscar o pedido e atualizar
-          if (error.response?.status === 422 && error.response?.data?.errors?.['customer.email']) {
-            logger.info(`Email duplicado detectado, verificando pedido novamente para Appmax #${appmaxOrder.id}`);
-            const retryOrder = await this.findOrderByAppmaxId(appmaxOrder.id);
-            if (retryOrder) {
-              logger.info(`Pedido encontrado após erro de email duplicado, atualizando Appmax #${appmaxOrder.id}`);
-              return await this.updateOrder(retryOrder.id, { appmaxOrder, status, financialStatus });
-            }
-          }
-          throw error;
-        }
+        const resolution = await this.productResolver.resolveLineItems(appmaxOrder);
+        const request = this.buildCreateOrderRequest(appmaxOrder, status, financialStatus, resolution);
+        logger.info('Criando pedido na Shopify:', request.body.variables);
+        const result = await this.graphql(request.body.query, request.body.variables);
+        this.assertNoUserErrors(result.orderCreate, 'Erro ao criar pedido na Shopify');
+
+        const { order } = result.orderCreate;
+        logger.info(`Pedido Appmax #${appmaxOrder.id} criado com sucesso na Shopify: #${order.legacyResourceId}`);
+        // Salva o mapeamento entre Appmax e Shopify no banco
+        await db.saveOrderMapping(appmaxOrder.id, order.legacyResourceId, this.store.id);
+        return {
+          id: order.legacyResourceId,
+          name: order.name,
+          financial_status: order.displayFinancialStatus?.toLowerCase() || null
+        };
       } finally {
         this.releaseLock(appmaxOrder.id);
         logger.info(`Lock liberado para pedido Appmax #${appmaxOrder.id}`);
@@ -241,26 +260,223 @@ class ShopifyService {
       if (error instanceof AppError) {
         throw error;
       }
-      throw new AppError(`Erro ao criar/atualizar pedido na Shopify: ${error.message}`, error.response?.status || 500);
+      const appError = new AppError(`Erro ao criar/atualizar pedido na Shopify: ${error.message}`, error.response?.status || 500);
+      appError.retryAfter = error.response?.headers?.['retry-after'] ?? null;
+      throw appError;
     }
   }
 
   /**
-   * Realiza uma chamada à API encapsulada em uma função, com retentativas e backoff exponencial.
+   * Aplica um upsell de um clique (OrderUpSold) ao pedido já existente na Shopify.
+   * Os itens que faltam no pedido são adicionados pelo fluxo de edição de pedidos do GraphQL
+   * (begin, add, commit) e a diferença de valor é registrada no banco local.
    */
-  async makeRequest(requestFn, attempt = 1) {
-    const maxAttempts = 5;
-    const backoff = Math.pow(2, attempt) * 100; // cálculo simples de backoff
+  async processUpsell({ appmaxOrder, status, financialStatus }) {
+    if (!appmaxOrder) {
+      throw new AppError('Dados do pedido Appmax inválidos', 400);
+    }
+
+    const existingOrder = await this.findOrderByAppmaxId(appmaxOrder.id);
+    if (!existingOrder) {
+      logger.info(`Pedido Appmax #${appmaxOrder.id} ainda não existe na Shopify, criando com os itens do upsell`);
+      return this.processOrder({ appmaxOrder, status, financialStatus });
+    }
+
+    await this.lockOrder(appmaxOrder.id);
     try {
-      const response = await requestFn();
-      return response;
-    } catch (error) {
-      if (attempt < maxAttempts && this.isRetryableError(error)) {
-        logger.info(`Tentativa ${attempt} falhou. Retentando após ${backoff}ms...`);
-        await new Promise(resolve => setTimeout(resolve, backoff));
-        return this.makeRequest(requestFn, attempt + 1);
+      const shopifyOrder = await this.getOrder(existingOrder.id);
+      // Os produtos passam pelo mesmo vínculo de variantes usado na criação do pedido
+      const resolution = await this.productResolver.resolveLineItems(appmaxOrder);
+      const newItems = this.getMissingLineItems(resolution.lineItems, shopifyOrder);
+
+      if (newItems.length === 0) {
+        logger.info(`Upsell do pedido Appmax #${appmaxOrder.id} já aplicado na Shopify #${shopifyOrder.id}`);
+      } else {
+        const previousTotal = parseFloat(shopifyOrder.total_price) || 0;
+        const editedOrder = await this.addItemsToOrder(shopifyOrder.id, newItems, {
+          staffNote: `Upsell de um clique Appmax #${appmaxOrder.id}`
+        });
+        const newTotal = parseFloat(editedOrder.totalPriceSet.shopMoney.amount);
+
+        await db.saveOrderUpsell({
+          appmaxId: appmaxOrder.id,
+          shopifyId: String(shopifyOrder.id),
+          previousTotal,
+          newTotal,
+          appmaxTotal: parseFloat(appmaxOrder.total) || null,
+          items: newItems
+        });
+
+        logger.info(`Upsell aplicado ao pedido Shopify #${shopifyOrder.id}:`, {
+          appmaxId: appmaxOrder.id,
+          previousTotal,
+          newTotal,
+          difference: (newTotal - previousTotal).toFixed(2),
+          items: newItems.length
+        });
       }
-      throw error;
+
+      // Atualiza tags/atributos e quita o saldo gerado pela edição quando o pedido está pago
+      return await this.updateOrder(shopifyOrder.id, { appmaxOrder, status, financialStatus });
+    } finally {
+      this.releaseLock(appmaxOrder.id);
+    }
+  }
+
+  /**
+   * Compara os itens esperados do pedido (resolvidos pelo ProductResolver, como na criação) com
+   * os itens do pedido Shopify e retorna apenas as quantidades que ainda não estão no pedido.
+   * Itens com variante são comparados pelo ID da variante; itens personalizados, por SKU ou título.
+   * @param {Object[]} expectedItems Itens de resolveLineItems (variant_id ou title/sku)
+   * @param {Object} shopifyOrder Pedido da Shopify (API REST)
+   * @returns {Object[]} Itens a adicionar ({ variantId, title, sku, price, quantity })
+   */
+  getMissingLineItems(expectedItems, shopifyOrder) {
+    const getKey = item => item.variant_id
+      ? `variant:${item.variant_id}`
+      : `item:${item.sku !== undefined && item.sku !== null && item.sku !== '' ? item.sku : item.title}`;
+
+    const existingQuantities = new Map();
+    (shopifyOrder.line_items || []).forEach(item => {
+      const key = getKey(item);
+      const quantity = item.current_quantity ?? item.quantity;
+      existingQuantities.set(key, (existingQuantities.get(key) || 0) + quantity);
+    });
+
+    const missingItems = new Map();
+    expectedItems.forEach(item => {
+      const key = getKey(item);
+      const available = existingQuantities.get(key) || 0;
+      const quantity = parseInt(item.quantity, 10) || 1;
+      const missing = quantity - available;
+
+      existingQuantities.set(key, Math.max(available - quantity, 0));
+      if (missing <= 0) return;
+
+      const missingItem = missingItems.get(key);
+      if (missingItem) {
+        missingItem.quantity += missing;
+        return;
+      }
+      missingItems.set(key, {
+        variantId: item.variant_id ? String(item.variant_id) : null,
+        title: item.title || `Variante ${item.variant_id}`,
+        sku: item.sku !== undefined && item.sku !== null ? String(item.sku) : null,
+        price: item.price,
+        quantity: missing
+      });
+    });
+
+    return [...missingItems.values()];
+  }
+
+  /**
+   * Adiciona itens a um pedido existente usando orderEditBegin, orderEditAddVariant
+   * (ou orderEditAddCustomItem, para itens sem variante) e orderEditCommit
+   * @returns {Promise<Object>} Pedido após a edição (id e totalPriceSet)
+   */
+  async addItemsToOrder(orderId, items, { staffNote = null } = {}) {
+    const beginMutation = `
+      mutation orderEditBegin($id: ID!) {
+        orderEditBegin(id: $id) {
+          calculatedOrder {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const begin = await this.graphql(beginMutation, { id: `gid://shopify/Order/${orderId}` });
+    this.assertNoUserErrors(begin.orderEditBegin, 'Erro ao iniciar edição do pedido');
+    const calculatedOrderId = begin.orderEditBegin.calculatedOrder.id;
+
+    const addCustomItemMutation = `
+      mutation orderEditAddCustomItem($id: ID!, $title: String!, $quantity: Int!, $price: MoneyInput!) {
+        orderEditAddCustomItem(id: $id, title: $title, quantity: $quantity, price: $price, requiresShipping: true, taxable: true) {
+          calculatedLineItem {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const addVariantMutation = `
+      mutation orderEditAddVariant($id: ID!, $variantId: ID!, $quantity: Int!) {
+        orderEditAddVariant(id: $id, variantId: $variantId, quantity: $quantity, allowDuplicates: true) {
+          calculatedLineItem {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    for (const item of items) {
+      if (item.variantId) {
+        const added = await this.graphql(addVariantMutation, {
+          id: calculatedOrderId,
+          variantId: `gid://shopify/ProductVariant/${item.variantId}`,
+          quantity: item.quantity
+        });
+        this.assertNoUserErrors(added.orderEditAddVariant, `Erro ao adicionar variante "${item.title}" ao pedido`);
+        continue;
+      }
+
+      const added = await this.graphql(addCustomItemMutation, {
+        id: calculatedOrderId,
+        title: item.title,
+        quantity: item.quantity,
+        price: {
+          amount: String(item.price),
+          currencyCode: 'BRL'
+        }
+      });
+      this.assertNoUserErrors(added.orderEditAddCustomItem, `Erro ao adicionar item "${item.title}" ao pedido`);
+    }
+
+    const commitMutation = `
+      mutation orderEditCommit($id: ID!, $staffNote: String) {
+        orderEditCommit(id: $id, notifyCustomer: false, staffNote: $staffNote) {
+          order {
+            id
+            totalPriceSet {
+              shopMoney {
+                amount
+              }
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const commit = await this.graphql(commitMutation, { id: calculatedOrderId, staffNote });
+    this.assertNoUserErrors(commit.orderEditCommit, 'Erro ao confirmar edição do pedido');
+
+    return commit.orderEditCommit.order;
+  }
+
+  /**
+   * Lança um AppError com as mensagens de userErrors de uma mutation, se houver
+   */
+  assertNoUserErrors(payload, message) {
+    if (payload?.userErrors?.length > 0) {
+      const errors = payload.userErrors.map(e => e.message).join('; ');
+      throw new AppError(`${message}: ${errors}`, 400);
     }
   }
 
@@ -287,82 +503,101 @@ class ShopifyService {
     this.orderLocks.delete(orderId);
   }
 
-/**
- * Busca um pedido a partir do ID da Appmax.
- * Se o pedido for encontrado no DB, obtém os detalhes completos na Shopify.
- */
-async findOrderByAppmaxId(appmaxId) {
-  try {
-    // Tenta primeiro buscar o mapeamento no banco local
-    let shopifyId = await db.findShopifyOrderId(appmaxId);
-    if (shopifyId) {
-      // Normaliza o shopifyId para remover casas decimais (por exemplo, "5988756947115.0" → "5988756947115")
-      shopifyId = String(parseInt(shopifyId, 10));
-      logger.info(`Pedido encontrado no banco local: Appmax #${appmaxId} -> Shopify #${shopifyId}`);
-      try {
-        const { data } = await this.makeRequest(() =>
-          this.client.get(`/orders/${shopifyId}.json`)
-        );
-        return data.order;
-      } catch (error) {
-        // Se o GET com o shopifyId retornar 404, significa que o pedido não existe mais na Shopify.
-        if (
-          (error.response && error.response.status === 404) ||
-          (error.statusCode && error.statusCode === 404) ||
-          (error.message && error.message.includes('Not Found'))
-        ) {
-          logger.info(`Pedido não encontrado na Shopify com o ID mapeado: Appmax #${appmaxId}`);
-          // Opcional: remover o mapeamento desatualizado do DB
-          // await db.deleteOrderMapping(appmaxId);
+  /**
+   * Busca um pedido a partir do ID da Appmax.
+   * Usa o mapeamento do banco local e, sem ele, a busca indexada da Shopify pela tag do pedido
+   * (sem limite de data) ou pelos note_attributes dos pedidos recentes, para pedidos criados
+   * antes da tag. Retorna os detalhes completos do pedido pela API REST.
+   */
+  async findOrderByAppmaxId(appmaxId) {
+    try {
+      // Tenta primeiro buscar o mapeamento no banco local
+      let shopifyId = await db.findShopifyOrderId(appmaxId, this.store.id);
+      if (shopifyId) {
+        // Normaliza o shopifyId para remover casas decimais (por exemplo, "5988756947115.0" → "5988756947115")
+        shopifyId = String(parseInt(shopifyId, 10));
+        logger.info(`Pedido encontrado no banco local: Appmax #${appmaxId} -> Shopify #${shopifyId}`);
+      } else {
+        shopifyId = await this.searchOrderByAppmaxId(appmaxId) || await this.searchOrderByNoteAttribute(appmaxId);
+        if (!shopifyId) {
+          logger.info(`Pedido não encontrado na Shopify: Appmax #${appmaxId}`);
           return null;
         }
-        throw error;
+        logger.info(`Pedido encontrado na Shopify: Appmax #${appmaxId} -> Shopify #${shopifyId}`);
+        await db.saveOrderMapping(appmaxId, shopifyId, this.store.id);
+      }
+
+      const { data } = await this.client.get(`/orders/${shopifyId}.json`);
+      return data.order;
+    } catch (error) {
+      // Se o GET retornar 404, o pedido não existe mais na Shopify
+      if (
+        (error.response && error.response.status === 404) ||
+        (error.statusCode && error.statusCode === 404) ||
+        (error.message && error.message.includes('Not Found'))
+      ) {
+        logger.info(`Pedido não encontrado na Shopify: Appmax #${appmaxId}`);
+        return null;
       }
+      logger.error('Erro ao buscar pedido na Shopify:', error);
+      throw error;
     }
+  }
 
-    // Se não há mapeamento, tenta buscar o pedido na Shopify por meio da listagem
-    const { data } = await this.makeRequest(() => {
-      return this.client.get('/orders.json', {
-        params: {
-          status: 'any',
-          created_at_min: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(), // últimos 30 dias
-          fields: 'id,note_attributes,financial_status,fulfillment_status,currency,total_price',
-          limit: 250
+  /**
+   * Procura o pedido pela tag `appmax_id_<id>` e confirma o ID da Appmax pelo metafield
+   * (pedidos anteriores ao metafield recebem a tag na primeira atualização)
+   * @returns {Promise<string|null>} ID do pedido na Shopify
+   */
+  async searchOrderByAppmaxId(appmaxId) {
+    const query = `
+      query findOrderByAppmaxId($query: String!, $namespace: String!, $key: String!) {
+        orders(first: 5, query: $query) {
+          nodes {
+            legacyResourceId
+            tags
+            metafield(namespace: $namespace, key: $key) {
+              value
+            }
+          }
         }
-      });
+      }
+    `;
+
+    const tag = this.getAppmaxTag(appmaxId);
+    const result = await this.graphql(query, {
+      query: `tag:${tag}`,
+      namespace: this.appmaxMetafield.namespace,
+      key: this.appmaxMetafield.key
     });
 
-    const order = data.orders.find(order => {
-      const appmaxAttr = order.note_attributes.find(attr =>
-        attr.name === 'appmax_id' && attr.value === appmaxId.toString()
-      );
-      return !!appmaxAttr;
+    const order = (result.orders?.nodes || []).find(node =>
+      node.metafield ? node.metafield.value === String(appmaxId) : node.tags.includes(tag)
+    );
+    return order ? String(order.legacyResourceId) : null;
+  }
+
+  /**
+   * Procura o pedido pelo atributo `appmax_id` entre os pedidos dos últimos 30 dias
+   * (pedidos criados pela API REST antes da tag `appmax_id_<id>`)
+   * @returns {Promise<string|null>} ID do pedido na Shopify
+   */
+  async searchOrderByNoteAttribute(appmaxId) {
+    const { data } = await this.client.get('/orders.json', {
+      params: {
+        status: 'any',
+        created_at_min: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(), // últimos 30 dias
+        fields: 'id,note_attributes',
+        limit: 250
+      }
     });
 
-    if (order) {
-      logger.info(`Pedido encontrado na Shopify: Appmax #${appmaxId} -> Shopify #${order.id}`);
-      // Salva o mapeamento normalizando o ID (como string sem casas decimais)
-      await db.saveOrderMapping(appmaxId, String(order.id));
-    } else {
-      logger.info(`Pedido não encontrado na Shopify: Appmax #${appmaxId}`);
-    }
-    return order;
-  } catch (error) {
-    // Se o erro indicar "Not Found", trata-o retornando null
-    if (
-      (error.response && error.response.status === 404) ||
-      (error.statusCode && error.statusCode === 404) ||
-      (error.message && error.message.includes('Not Found'))
-    ) {
-      logger.info(`Pedido não encontrado na Shopify: Appmax #${appmaxId}`);
-      return null;
-    }
-    logger.error('Erro ao buscar pedido na Shopify:', error);
-    throw error;
+    const order = data.orders.find(order =>
+      (order.note_attributes || []).some(attr => attr.name === 'appmax_id' && attr.value === String(appmaxId))
+    );
+    return order ? String(order.id) : null;
   }
-}
 
-  
   /**
    * Atualiza um pedido existente na Shopify com os dados da Appmax.
    */
@@ -378,7 +613,7 @@ async findOrderByAppmaxId(appmaxId) {
       const updateData = {
         order: {
           id: orderId,
-          tags: this.formatTags(appmaxOrder, status),
+          tags: this.formatTags(appmaxOrder, status, currentOrder.tags),
           note_attributes: this.formatNoteAttributes(appmaxOrder)
         }
       };
@@ -386,18 +621,16 @@ async findOrderByAppmaxId(appmaxId) {
       logger.info(`Atualizando pedido Shopify #${orderId}:`, updateData);
       
       // Atualiza os dados básicos do pedido
-      const { data: updatedOrder } = await this.makeRequest(() =>
-        this.client.put(`/orders/${orderId}.json`, updateData)
-      );
+      const { data: updatedOrder } = await this.client.put(`/orders/${orderId}.json`, updateData);
 
       // Atualiza o status do pedido via GraphQL de acordo com o status solicitado
       if (status === 'cancelled' || financialStatus === 'cancelled') {
-        if (currentOrder.financial_status !== 'voided') {
-          await this.cancelOrder(updatedOrder.order);
+        if (currentOrder.financial_status !== 'voided' && !currentOrder.cancelled_at) {
+          await this.cancelOrder(appmaxOrder, { shopifyId: orderId });
         }
       } else if (financialStatus === 'refunded') {
         if (currentOrder.financial_status !== 'refunded') {
-          await this.refundOrder(orderId);
+          await this.refundOrder(appmaxOrder, { shopifyId: orderId });
         }
       } else if (financialStatus === 'paid') {
         // Só tenta marcar como pago se o pedido não estiver já pago ou reembolsado
@@ -416,6 +649,8 @@ async findOrderByAppmaxId(appmaxId) {
       return updatedOrder.order;
     } catch (error) {
       logger.error(`Erro ao atualizar pedido Shopify #${orderId}:`, error);
+      // Erros já tratados (ex.: 429 com Retry-After do interceptor) seguem para a política da fila
+      if (error instanceof AppError) throw error;
       throw new AppError(`Erro ao atualizar pedido na Shopify: ${error.message}`, error.response?.status || 500);
     }
   }
@@ -425,147 +660,125 @@ async findOrderByAppmaxId(appmaxId) {
    */
   async getOrder(orderId) {
     try {
-      const { data } = await this.makeRequest(() =>
-        this.client.get(`/orders/${orderId}.json`)
-      );
+      const { data } = await this.client.get(`/orders/${orderId}.json`);
       return data.order;
     } catch (error) {
       logger.error(`Erro ao buscar pedido Shopify #${orderId}:`, error);
+      // Erros já tratados (ex.: 429 com Retry-After do interceptor) seguem para a política da fila
+      if (error instanceof AppError) throw error;
       throw new AppError(`Erro ao buscar pedido na Shopify: ${error.message}`, error.response?.status || 500);
     }
   }
 
   /**
-   * Captura o pagamento de um pedido na Shopify
+   * Requisição de criação do pedido na Shopify pela mutation orderCreate (também usada na
+   * prévia de webhooks)
+   * @returns {{api: string, method: string, path: string, operation: string, body: {query: string, variables: Object}}}
    */
-  async capturePayment(orderId) {
-    try {
-      // Primeiro, busca as transações do pedido
-      const { data: transactionsData } = await this.makeRequest(() =>
-        this.client.get(`/orders/${orderId}/transactions.json`)
-      );
-
-      // Encontra a transação autorizada mais recente
-      const authorizedTransaction = transactionsData.transactions
-        .reverse()
-        .find(t => t.kind === 'authorization' && t.status === 'success');
-
-      if (!authorizedTransaction) {
-        throw new AppError('Nenhuma transação autorizada encontrada para captura', 400);
-      }
-
-      // Captura o pagamento
-      const { data } = await this.makeRequest(() =>
-        this.client.post(`/orders/${orderId}/transactions.json`, {
-          transaction: {
-            kind: 'capture',
-            parent_id: authorizedTransaction.id
+  buildCreateOrderRequest(appmaxOrder, status, financialStatus, resolution = null) {
+    const mutation = `
+      mutation orderCreate($order: OrderCreateOrderInput!, $options: OrderCreateOptionsInput) {
+        orderCreate(order: $order, options: $options) {
+          order {
+            id
+            legacyResourceId
+            name
+            displayFinancialStatus
+          }
+          userErrors {
+            field
+            message
           }
-        })
-      );
+        }
+      }
+    `;
 
-      logger.info(`Pagamento capturado com sucesso para pedido Shopify #${orderId}`);
-      return data.transaction;
-    } catch (error) {
-      logger.error(`Erro ao capturar pagamento do pedido Shopify #${orderId}:`, error);
-      throw new AppError(`Erro ao capturar pagamento na Shopify: ${error.message}`, error.response?.status || 500);
-    }
+    return {
+      api: 'graphql',
+      method: 'POST',
+      path: '/graphql.json',
+      operation: 'orderCreate',
+      body: {
+        query: mutation,
+        variables: this.formatOrderData(appmaxOrder, status, financialStatus, resolution)
+      }
+    };
   }
 
   /**
-   * Reembolsa um pedido na Shopify
+   * Valor em BRL no formato MoneyBagInput
    */
-  async refundOrder(orderId) {
-    try {
-      // Primeiro, busca as transações do pedido
-      const { data: transactionsData } = await this.makeRequest(() =>
-        this.client.get(`/orders/${orderId}/transactions.json`)
-      );
-
-      // Encontra a transação de captura mais recente
-      const captureTransaction = transactionsData.transactions
-        .reverse()
-        .find(t => t.kind === 'capture' && t.status === 'success');
-
-      if (!captureTransaction) {
-        throw new AppError('Nenhuma transação capturada encontrada para reembolso', 400);
-      }
-
-      // Calcula o valor total do pedido
-      const { data: orderData } = await this.makeRequest(() =>
-        this.client.get(`/orders/${orderId}.json`)
-      );
-
-      // Cria o reembolso
-      const { data } = await this.makeRequest(() =>
-        this.client.post(`/orders/${orderId}/refunds.json`, {
-          refund: {
-            currency: orderData.order.currency,
-            notify: true,
-            note: 'Reembolso automático via Appmax',
-            shipping: {
-              full_refund: true
-            },
-            refund_line_items: orderData.order.line_items.map(item => ({
-              line_item_id: item.id,
-              quantity: item.quantity,
-              restock: false
-            }))
-          }
-        })
-      );
+  toMoneyBag(amount) {
+    return {
+      shopMoney: {
+        amount: (parseFloat(amount) || 0).toFixed(2),
+        currencyCode: 'BRL'
+      }
+    };
+  }
 
-      logger.info(`Reembolso criado com sucesso para pedido Shopify #${orderId}`);
-      return data.refund;
-    } catch (error) {
-      logger.error(`Erro ao reembolsar pedido Shopify #${orderId}:`, error);
-      throw new AppError(`Erro ao reembolsar pedido na Shopify: ${error.message}`, error.response?.status || 500);
-    }
-  }
-
-  formatPhoneNumber(phone) {
-    if (!phone) return null;
-    // Remove caracteres não numéricos
-    const numbers = phone.replace(/\D/g, '');
-    if (numbers.length === 11 || numbers.length === 13) {
-      const ddd = numbers.slice(-11, -9);
-      const firstPart = numbers.slice(-9, -4);
-      const lastPart = numbers.slice(-4);
-      return `+55 (${ddd}) ${firstPart}-${lastPart}`;
-    } else if (numbers.length === 10 || numbers.length === 12) {
-      const ddd = numbers.slice(-10, -8);
-      const firstPart = numbers.slice(-8, -4);
-      const lastPart = numbers.slice(-4);
-      return `+55 (${ddd}) ${firstPart}-${lastPart}`;
+  /**
+   * Converte um item do pedido (variante ou item personalizado) para OrderCreateLineItemInput
+   */
+  toOrderLineItem(item) {
+    const lineItem = {
+      quantity: parseInt(item.quantity, 10) || 1,
+      priceSet: this.toMoneyBag(item.price)
+    };
+
+    if (item.variant_id) {
+      lineItem.variantId = `gid://shopify/ProductVariant/${item.variant_id}`;
+      return lineItem;
     }
-    return null;
+
+    return {
+      ...lineItem,
+      title: item.title,
+      sku: item.sku !== undefined && item.sku !== null ? String(item.sku) : null,
+      requiresShipping: item.requires_shipping !== false,
+      taxable: item.taxable !== false
+    };
   }
 
   /**
-   * Formata os dados do pedido para envio à Shopify.
-   * Foi removido o campo additional_details, pois não faz parte da especificação.
+   * Endereço de entrega e cobrança no formato MailingAddressInput
    */
-  formatOrderData(appmaxOrder, status, financialStatus) {
-    const lineItems = [];
-    const formattedPhone = this.formatPhoneNumber(appmaxOrder.customer.telephone);
+  formatAddress(customer, phone) {
+    return {
+      firstName: customer.firstname,
+      lastName: customer.lastname,
+      company: customer.document_number || '',
+      address1: `${customer.address_street}, ${customer.address_street_number}`,
+      address2: customer.address_street_complement || '',
+      city: customer.address_city,
+      provinceCode: customer.address_state,
+      zip: customer.postcode,
+      countryCode: 'BR',
+      phone
+    };
+  }
 
-    // Mapeia os status da Appmax para os da Shopify
-    const shopifyStatus = {
-      financial: {
-        pending: 'pending',
-        paid: 'paid',
-        refunded: 'refunded',
-        cancelled: 'voided'
-      },
-      fulfillment: {
-        pending: null,
-        paid: null,
-        refunded: null,
-        cancelled: 'cancelled'
-      }
+  /**
+   * Formata as variáveis da mutation orderCreate ({ order, options }).
+   * Os atributos da Appmax vão em customAttributes e o ID da Appmax também no metafield
+   * `appmax.order_id` e na tag `appmax_id_<id>`, usada na busca do pedido.
+   * @param {Object} [resolution] Itens resolvidos pelo ProductResolver ({ lineItems, unmatched })
+   */
+  formatOrderData(appmaxOrder, status, financialStatus, resolution = null) {
+    const lineItems = resolution ? [...resolution.lineItems] : [];
+    const unmatchedProducts = resolution ? resolution.unmatched : [];
+    // Telefone já normalizado (+55...) pelo buildShopifyOrderData
+    const phone = appmaxOrder.customer.telephone || null;
+
+    // Mapeia os status da Appmax para o OrderCreateFinancialStatus da Shopify
+    const shopifyFinancialStatus = {
+      pending: 'PENDING',
+      paid: 'PAID',
+      refunded: 'REFUNDED',
+      cancelled: 'VOIDED'
     };
 
-    if (appmaxOrder.bundles && Array.isArray(appmaxOrder.bundles)) {
+    if (!resolution && appmaxOrder.bundles && Array.isArray(appmaxOrder.bundles)) {
       appmaxOrder.bundles.forEach(bundle => {
         if (bundle.products) {
           bundle.products.forEach(product => {
@@ -588,129 +801,75 @@ async findOrderByAppmaxId(appmaxId) {
       throw new AppError('Pedido não contém produtos', 400);
     }
 
-    const finalFinancialStatus = shopifyStatus.financial[financialStatus] || 'pending';
-    const finalFulfillmentStatus = shopifyStatus.fulfillment[status] || null;
+    const noteAttributes = this.formatNoteAttributes(appmaxOrder);
 
-    const noteAttributes = [
-      {
-        name: 'appmax_id',
-        value: appmaxOrder.id.toString()
-      },
-      {
-        name: 'appmax_status',
-        value: appmaxOrder.status
-      },
-      {
-        name: 'appmax_payment_type',
-        value: appmaxOrder.payment_type || ''
+    // Sinaliza produtos que não correspondem a nenhuma variante e foram enviados como itens personalizados
+    const tags = [appmaxOrder.status, `appmax_status_${status}`, this.getAppmaxTag(appmaxOrder.id)];
+    if (unmatchedProducts.length > 0) {
+      tags.push('appmax_produto_nao_vinculado');
+      noteAttributes.push({
+        name: 'appmax_unmatched_products',
+        value: unmatchedProducts.map(product => product.sku ? `${product.name} (${product.sku})` : product.name).join('; ')
+      });
+    }
+
+    const order = {
+      lineItems: lineItems.map(item => this.toOrderLineItem(item)),
+      email: appmaxOrder.customer.email,
+      phone,
+      customer: {
+        toUpsert: {
+          email: appmaxOrder.customer.email,
+          firstName: appmaxOrder.customer.firstname,
+          lastName: appmaxOrder.customer.lastname,
+          phone
+        }
       },
-      {
-        name: 'appmax_url',
-        value: `https://admin.appmax.com.br/v2/sales/orders?order_by=id&sorted_by=desc&page=1&page_size=10&term=${appmaxOrder.id}`
-      }
-    ];
+      shippingAddress: this.formatAddress(appmaxOrder.customer, phone),
+      billingAddress: this.formatAddress(appmaxOrder.customer, phone),
+      financialStatus: shopifyFinancialStatus[financialStatus] || 'PENDING',
+      currency: 'BRL',
+      tags: tags.filter(Boolean),
+      shippingLines: [{
+        priceSet: this.toMoneyBag(appmaxOrder.freight_value),
+        code: appmaxOrder.freight_type || 'Standard',
+        title: appmaxOrder.freight_type || 'Frete Padrão'
+      }],
+      note: `Pedido Appmax #${appmaxOrder.id}`,
+      customAttributes: noteAttributes.map(({ name, value }) => ({ key: name, value })),
+      metafields: [{ ...this.appmaxMetafield, value: String(appmaxOrder.id) }]
+    };
 
-    if (appmaxOrder.payment_type === 'CreditCard') {
-      const paymentDetails = [];
-      if (appmaxOrder.card_brand) {
-        paymentDetails.push(`Bandeira: ${appmaxOrder.card_brand}`);
-      }
-      if (appmaxOrder.installments) {
-        const installmentValue = (parseFloat(appmaxOrder.total) / appmaxOrder.installments).toFixed(2);
-        paymentDetails.push(`${appmaxOrder.installments}x de R$ ${installmentValue}`);
-      }
-      if (paymentDetails.length > 0) {
-        noteAttributes.push({
-          name: 'payment_details',
-          value: paymentDetails.join(' | ')
-        });
-      }
-      if (appmaxOrder.card_brand) {
-        noteAttributes.push({
-          name: 'card_brand',
-          value: appmaxOrder.card_brand
-        });
-      }
-      if (appmaxOrder.installments) {
-        noteAttributes.push({
-          name: 'installments',
-          value: appmaxOrder.installments.toString()
-        });
-      }
+    // O desconto da Appmax é aplicado como desconto fixo para manter o total do pedido
+    if (parseFloat(appmaxOrder.discount) > 0) {
+      order.discountCode = {
+        itemFixedDiscountCode: {
+          code: 'APPMAX',
+          amountSet: this.toMoneyBag(appmaxOrder.discount)
+        }
+      };
     }
 
-    if (appmaxOrder.payment_type === 'Boleto') {
-      if (appmaxOrder.billet_url) {
-        noteAttributes.push({
-          name: 'billet_url',
-          value: appmaxOrder.billet_url
-        });
-      }
-      if (appmaxOrder.billet_date_overdue) {
-        noteAttributes.push({
-          name: 'billet_date_overdue',
-          value: appmaxOrder.billet_date_overdue
-        });
-      }
+    // Pedidos importados mantêm a data original do pedido na Appmax
+    if (appmaxOrder.processed_at) {
+      order.processedAt = appmaxOrder.processed_at;
     }
 
-    const orderData = {
-      order: {
-        line_items: lineItems,
-        email: appmaxOrder.customer.email,
-        phone: formattedPhone,
-        customer: {
-          first_name: appmaxOrder.customer.firstname,
-          last_name: appmaxOrder.customer.lastname,
-          email: appmaxOrder.customer.email,
-          phone: formattedPhone,
-          company: appmaxOrder.customer.document_number || ''
-        },
-        shipping_address: {
-          first_name: appmaxOrder.customer.firstname,
-          last_name: appmaxOrder.customer.lastname,
-          company: appmaxOrder.customer.document_number || '',
-          address1: `${appmaxOrder.customer.address_street}, ${appmaxOrder.customer.address_street_number}`,
-          address2: appmaxOrder.customer.address_street_complement || '',
-          city: appmaxOrder.customer.address_city,
-          province: appmaxOrder.customer.address_state,
-          zip: appmaxOrder.customer.postcode,
-          country: 'BR',
-          phone: formattedPhone
-        },
-        billing_address: {
-          first_name: appmaxOrder.customer.firstname,
-          last_name: appmaxOrder.customer.lastname,
-          company: appmaxOrder.customer.document_number || '',
-          address1: `${appmaxOrder.customer.address_street}, ${appmaxOrder.customer.address_street_number}`,
-          address2: appmaxOrder.customer.address_street_complement || '',
-          city: appmaxOrder.customer.address_city,
-          province: appmaxOrder.customer.address_state,
-          zip: appmaxOrder.customer.postcode,
-          country: 'BR',
-          phone: formattedPhone
-        },
-        financial_status: finalFinancialStatus,
-        fulfillment_status: finalFulfillmentStatus,
-        currency: 'BRL',
-        tags: [appmaxOrder.status, `appmax_status_${status}`],
-        total_price: appmaxOrder.total,
-        subtotal_price: appmaxOrder.total_products,
-        total_tax: '0.00',
-        total_discounts: appmaxOrder.discount || '0.00',
-        shipping_lines: [{
-          price: appmaxOrder.freight_value || '0.00',
-          code: appmaxOrder.freight_type || 'Standard',
-          title: appmaxOrder.freight_type || 'Frete Padrão'
-        }],
-        note: `Pedido Appmax #${appmaxOrder.id}`,
-        note_attributes: noteAttributes
+    return {
+      order,
+      // Pedidos com variantes reais baixam o estoque, mesmo que a política da variante não permita venda sem estoque
+      options: {
+        inventoryBehaviour: 'DECREMENT_IGNORING_POLICY',
+        sendReceipt: false,
+        sendFulfillmentReceipt: false
       }
     };
-
-    return orderData;
   }
 
+  /**
+   * Atributos da Appmax enviados ao pedido da Shopify (customAttributes na criação e
+   * note_attributes na atualização)
+   */
   formatNoteAttributes(appmaxOrder) {
     const noteAttributes = [
       {
@@ -727,7 +886,7 @@ async findOrderByAppmaxId(appmaxId) {
       },
       {
         name: 'appmax_url',
-        value: `https://admin.appmax.com.br/v2/sales/orders?order_by=id&sorted_by=desc&page=1&page_size=10&term=${appmaxOrder.id}`
+        value: this.getAppmaxUrl(appmaxOrder.id)
       }
     ];
 
@@ -756,6 +915,20 @@ async findOrderByAppmaxId(appmaxId) {
       }
     }
 
+    if (appmaxOrder.upsell_order_id && String(appmaxOrder.upsell_order_id) !== String(appmaxOrder.id)) {
+      noteAttributes.push({
+        name: 'appmax_upsell_order_id',
+        value: String(appmaxOrder.upsell_order_id)
+      });
+    }
+
+    if (appmaxOrder.decline_reason) {
+      noteAttributes.push({
+        name: 'appmax_decline_reason',
+        value: appmaxOrder.decline_reason
+      });
+    }
+
     if (appmaxOrder.payment_type === 'Boleto') {
       if (appmaxOrder.billet_url) {
         noteAttributes.push({
@@ -773,19 +946,55 @@ async findOrderByAppmaxId(appmaxId) {
     return noteAttributes;
   }
 
-  isRetryableError(error) {
-    const retryableStatusCodes = [408, 429, 500, 502, 503, 504];
-    return retryableStatusCodes.includes(error.response?.status);
+  /**
+   * Link do pedido no painel da Appmax
+   */
+  getAppmaxUrl(appmaxId) {
+    return `https://admin.appmax.com.br/v2/sales/orders?order_by=id&sorted_by=desc&page=1&page_size=10&term=${appmaxId}`;
   }
 
-  mapFinancialStatus(status) {
-    const statusMap = {
-      pending: 'pending',
-      paid: 'paid',
-      refunded: 'refunded',
-      cancelled: 'voided'
-    };
-    return statusMap[status] || 'pending';
+  /**
+   * Link do pedido no admin da Shopify
+   */
+  getShopifyAdminUrl(shopifyId) {
+    return `https://${this.store.shopDomain}/admin/orders/${shopifyId}`;
+  }
+
+  /**
+   * Descreve as chamadas à Shopify que uma ação do webhook executaria, sem realizá-las.
+   * Usa o vínculo salvo no banco local para decidir entre criação e atualização.
+   * @param {string} action `queue`, `cancel` ou `refund`
+   */
+  async describeSync(action, { appmaxOrder, status, financialStatus, event }) {
+    const shopifyId = await db.findShopifyOrderId(appmaxOrder.id, this.store.id);
+
+    if (action === 'cancel' || action === 'refund') {
+      if (!shopifyId) {
+        return [{ operation: 'none', reason: 'Pedido não encontrado na Shopify' }];
+      }
+      return [action === 'cancel'
+        ? { operation: 'orderCancel', shopify_id: shopifyId, reason: appmaxOrder.decline_reason ? 'DECLINED' : 'CUSTOMER' }
+        : { operation: 'refundCreate', shopify_id: shopifyId }];
+    }
+
+    // Ações da fila são executadas pelo processamento da request_queue
+    if (!shopifyId) {
+      return [{ operation: 'orderCreate', via: 'request_queue', status, financial_status: financialStatus }];
+    }
+
+    const calls = [];
+    if (event === 'OrderUpSold') {
+      calls.push({ operation: 'orderEditBegin', via: 'request_queue', shopify_id: shopifyId, note: 'Itens do upsell ausentes no pedido' });
+    }
+    calls.push({ operation: `PUT /orders/${shopifyId}.json`, via: 'request_queue', shopify_id: shopifyId });
+    if (status === 'cancelled' || financialStatus === 'cancelled') {
+      calls.push({ operation: 'orderCancel', via: 'request_queue', shopify_id: shopifyId, note: 'Se o pedido ainda não estiver cancelado' });
+    } else if (financialStatus === 'refunded') {
+      calls.push({ operation: 'refundCreate', via: 'request_queue', shopify_id: shopifyId, note: 'Se o pedido ainda não estiver reembolsado' });
+    } else if (financialStatus === 'paid') {
+      calls.push({ operation: 'orderMarkAsPaid', via: 'request_queue', shopify_id: shopifyId, note: 'Se o pedido ainda não estiver pago' });
+    }
+    return calls;
   }
 
   /**
@@ -800,13 +1009,17 @@ async findOrderByAppmaxId(appmaxId) {
 
       if (data.errors) {
         const errorMessage = data.errors.map(e => e.message).join('; ');
-        throw new AppError(`Erro na chamada GraphQL: ${errorMessage}`, 400);
+        // A API GraphQL sinaliza o limite de custo com o código THROTTLED e status 200
+        const throttled = data.errors.some(e => e.extensions?.code === 'THROTTLED');
+        throw new AppError(`Erro na chamada GraphQL: ${errorMessage}`, throttled ? 429 : 400);
       }
 
       return data.data;
     } catch (error) {
       if (error instanceof AppError) throw error;
-      throw new AppError(`Erro ao executar query GraphQL: ${error.message}`, error.response?.status || 500);
+      const appError = new AppError(`Erro ao executar query GraphQL: ${error.message}`, error.response?.status || 500);
+      appError.retryAfter = error.response?.headers?.['retry-after'] ?? null;
+      throw appError;
     }
   }
 
@@ -848,32 +1061,44 @@ async findOrderByAppmaxId(appmaxId) {
 
   /**
    * Cancela um pedido na Shopify
-   * @param {Object} orderData Dados do pedido
+   * @param {Object} orderData Dados do pedido Appmax
+   * @param {Object} [options]
+   * @param {string} [options.shopifyId] ID do pedido na Shopify, quando já conhecido
    */
-  async cancelOrder(orderData) {
+  async cancelOrder(orderData, { shopifyId = null } = {}) {
     try {
       // Busca o ID do pedido na Shopify
-      const shopifyId = await this.findShopifyOrderId(orderData.id);
-      
+      if (!shopifyId) {
+        shopifyId = await db.findShopifyOrderId(orderData.id, this.store.id);
+      }
+
       if (!shopifyId) {
         logger.warn(`Pedido Appmax #${orderData.id} não encontrado na Shopify para cancelamento`);
         return;
       }
+      shopifyId = String(parseInt(shopifyId, 10));
+
+      // Pagamentos negados na Appmax são cancelados como DECLINED, com a razão na nota interna
+      const reason = orderData.decline_reason ? 'DECLINED' : 'CUSTOMER';
+      const staffNote = orderData.decline_reason
+        ? `Pagamento não autorizado na Appmax: ${orderData.decline_reason}`
+        : `Pedido cancelado na Appmax #${orderData.id}`;
 
-      logger.info(`Cancelando pedido #${shopifyId} na Shopify`);
+      logger.info(`Cancelando pedido #${shopifyId} na Shopify`, { reason, staffNote });
 
       const mutation = `
-        mutation orderCancel($orderId: ID!, $reason: OrderCancelReason!) {
+        mutation orderCancel($orderId: ID!, $reason: OrderCancelReason!, $refund: Boolean!, $restock: Boolean!, $staffNote: String) {
           orderCancel(
             orderId: $orderId,
-            reason: $reason
+            reason: $reason,
+            refund: $refund,
+            restock: $restock,
+            staffNote: $staffNote
           ) {
-            order {
+            job {
               id
-              displayFinancialStatus
-              cancelledAt
             }
-            userErrors {
+            orderCancelUserErrors {
               field
               message
             }
@@ -883,23 +1108,21 @@ async findOrderByAppmaxId(appmaxId) {
 
       const variables = {
         orderId: `gid://shopify/Order/${shopifyId}`,
-        reason: "CUSTOMER" // CUSTOMER, INVENTORY, FRAUD, DECLINED, OTHER
+        reason, // CUSTOMER, INVENTORY, FRAUD, DECLINED, OTHER, STAFF
+        refund: false,
+        restock: true,
+        staffNote: staffNote.slice(0, 255)
       };
 
       const result = await this.graphql(mutation, variables);
 
-      if (result.userErrors && result.userErrors.length > 0) {
-        throw new Error(`Erro ao cancelar pedido: ${result.userErrors[0].message}`);
+      const userErrors = result.orderCancel?.orderCancelUserErrors || [];
+      if (userErrors.length > 0) {
+        throw new AppError(`Erro ao cancelar pedido: ${userErrors.map(e => e.message).join('; ')}`, 400);
       }
 
       logger.info(`Pedido #${shopifyId} cancelado com sucesso na Shopify`);
-      
-      // Atualiza o status no banco local
-      await db.updateOrderStatus(shopifyId, 'cancelled', {
-        cancelled_at: new Date().toISOString(),
-        cancel_reason: 'CUSTOMER'
-      });
-
+      return { shopifyId, reason, staffNote };
     } catch (error) {
       logger.error('Erro ao cancelar pedido na Shopify:', {
         error: error.message,
@@ -911,13 +1134,167 @@ async findOrderByAppmaxId(appmaxId) {
   }
 
   /**
-   * Reembolsa um pedido usando a mutation refundCreate
+   * Valor total estornado informado pela Appmax, ou null quando o payload não traz o valor
+   * (nesse caso o estorno é tratado como total)
    */
-  async refundOrder(orderId) {
-    // Primeiro, busca os detalhes do pedido para calcular o reembolso
-    const { data: orderData } = await this.makeRequest(() =>
-      this.client.get(`/orders/${orderId}.json`)
-    );
+  getRefundedAmount(appmaxOrder) {
+    const fields = ['refunded_amount', 'refund_amount', 'refunded_value', 'refund_value', 'total_refunded'];
+
+    for (const field of fields) {
+      const value = parseFloat(appmaxOrder[field]);
+      if (!isNaN(value) && value > 0) {
+        return Math.round(value * 100) / 100;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Distribui o valor do reembolso entre os itens do pedido. Os itens só são informados quando
+   * unidades inteiras somam exatamente o valor; caso contrário o reembolso é feito apenas por valor.
+   */
+  allocateRefundLineItems(lineItems, amount, { fullRefund = false, restock = false } = {}) {
+    const refundable = lineItems
+      .filter(item => item.refundableQuantity > 0)
+      .map(item => ({
+        ...item,
+        unitPrice: parseFloat(item.discountedUnitPriceAfterAllDiscountsSet?.shopMoney?.amount || 0)
+      }));
+
+    const toRefundLineItem = (item, quantity) => ({
+      lineItemId: item.id,
+      quantity,
+      restockType: restock ? (item.unfulfilledQuantity >= quantity ? 'CANCEL' : 'RETURN') : 'NO_RESTOCK'
+    });
+
+    if (fullRefund) {
+      return refundable.map(item => toRefundLineItem(item, item.refundableQuantity));
+    }
+
+    let remaining = Math.round(amount * 100);
+    const allocation = [];
+
+    for (const item of [...refundable].sort((a, b) => b.unitPrice - a.unitPrice)) {
+      const unitCents = Math.round(item.unitPrice * 100);
+      if (unitCents <= 0) continue;
+
+      const quantity = Math.min(item.refundableQuantity, Math.floor(remaining / unitCents));
+      if (quantity > 0) {
+        allocation.push(toRefundLineItem(item, quantity));
+        remaining -= quantity * unitCents;
+      }
+    }
+
+    return remaining === 0 ? allocation : [];
+  }
+
+  /**
+   * Reembolsa um pedido usando a mutation refundCreate.
+   * O valor estornado na Appmax é comparado com o total já reembolsado na Shopify (e no histórico
+   * local) e apenas a diferença é reembolsada, de modo que webhooks repetidos não dupliquem o reembolso.
+   * @param {Object} appmaxOrder Dados do pedido Appmax
+   * @param {Object} [options]
+   * @param {string} [options.shopifyId] ID do pedido na Shopify, quando já conhecido
+   */
+  async refundOrder(appmaxOrder, { shopifyId = null } = {}) {
+    if (!shopifyId) {
+      shopifyId = await db.findShopifyOrderId(appmaxOrder.id, this.store.id);
+    }
+
+    if (!shopifyId) {
+      logger.warn(`Pedido Appmax #${appmaxOrder.id} não encontrado na Shopify para reembolso`);
+      return;
+    }
+    shopifyId = String(parseInt(shopifyId, 10));
+
+    const query = `
+      query refundContext($id: ID!) {
+        order(id: $id) {
+          id
+          totalPriceSet { shopMoney { amount } }
+          totalRefundedSet { shopMoney { amount } }
+          lineItems(first: 100) {
+            nodes {
+              id
+              sku
+              refundableQuantity
+              unfulfilledQuantity
+              discountedUnitPriceAfterAllDiscountsSet { shopMoney { amount } }
+            }
+          }
+          transactions(first: 50) {
+            id
+            kind
+            status
+            gateway
+          }
+        }
+      }
+    `;
+
+    const { order } = await this.graphql(query, { id: `gid://shopify/Order/${shopifyId}` });
+    if (!order) {
+      throw new AppError(`Pedido Shopify #${shopifyId} não encontrado para reembolso`, 404);
+    }
+
+    const orderTotal = parseFloat(order.totalPriceSet.shopMoney.amount);
+    const history = await db.getOrderRefunds(appmaxOrder.id);
+    const locallyRefunded = history
+      .filter(refund => refund.status === 'created')
+      .reduce((sum, refund) => sum + (refund.amount || 0), 0);
+    const previouslyRefunded = Math.round(
+      Math.max(parseFloat(order.totalRefundedSet.shopMoney.amount), locallyRefunded) * 100
+    ) / 100;
+
+    const requestedTotal = Math.min(this.getRefundedAmount(appmaxOrder) ?? orderTotal, orderTotal);
+    const amount = Math.round((requestedTotal - previouslyRefunded) * 100) / 100;
+    const restock = this.store.options.refundRestock;
+
+    const refundRecord = {
+      appmaxId: appmaxOrder.id,
+      shopifyId,
+      requestedTotal,
+      previouslyRefunded,
+      restock,
+      appmaxRefundedAt: appmaxOrder.refunded_at || null
+    };
+
+    if (amount <= 0) {
+      logger.info(`Pedido #${shopifyId} já reembolsado em ${previouslyRefunded} (Appmax: ${requestedTotal}), nada a reembolsar`);
+      await db.saveOrderRefund({ ...refundRecord, status: 'skipped', amount: 0 });
+      return { shopifyId, status: 'skipped', amount: 0 };
+    }
+
+    const fullRefund = requestedTotal >= orderTotal;
+    const refundLineItems = this.allocateRefundLineItems(order.lineItems.nodes, amount, { fullRefund, restock });
+
+    const input = {
+      orderId: order.id,
+      notify: true,
+      note: `${refundSyncService.integrationRefundNote} (${amount.toFixed(2)})`,
+      refundLineItems
+    };
+
+    if (fullRefund) {
+      input.shipping = { fullRefund: true };
+    }
+
+    // Transação de pagamento usada como origem do reembolso
+    const parentTransaction = [...(order.transactions || [])]
+      .reverse()
+      .find(transaction => ['SALE', 'CAPTURE'].includes(transaction.kind) && transaction.status === 'SUCCESS');
+
+    if (parentTransaction) {
+      input.transactions = [{
+        orderId: order.id,
+        parentId: parentTransaction.id,
+        gateway: parentTransaction.gateway,
+        kind: 'REFUND',
+        amount: amount.toFixed(2)
+      }];
+    } else {
+      logger.warn(`Pedido #${shopifyId} sem transação de pagamento; reembolso registrado sem movimentação de valor`);
+    }
 
     const mutation = `
       mutation refundCreate($input: RefundInput!) {
@@ -933,37 +1310,46 @@ async findOrderByAppmaxId(appmaxId) {
       }
     `;
 
-    const variables = {
-      input: {
-        orderId: `gid://shopify/Order/${orderId}`,
-        notify: true,
-        note: "Reembolso automático via Appmax",
-        shipping: {
-          fullRefund: true
-        },
-        refundLineItems: orderData.order.line_items.map(item => ({
-          lineItemId: `gid://shopify/LineItem/${item.id}`,
-          quantity: item.quantity,
-          restockType: "NO_RESTOCK"
-        }))
-      }
-    };
-
-    logger.info(`Reembolsando pedido #${orderId} via GraphQL`);
-    const result = await this.graphql(mutation, variables);
+    logger.info(`Reembolsando ${amount.toFixed(2)} do pedido #${shopifyId} via GraphQL`, {
+      requestedTotal,
+      previouslyRefunded,
+      lineItems: refundLineItems.length
+    });
+    const result = await this.graphql(mutation, { input });
 
     if (result.refundCreate.userErrors?.length > 0) {
       const errors = result.refundCreate.userErrors.map(e => e.message).join('; ');
       throw new AppError(`Erro ao reembolsar pedido: ${errors}`, 400);
     }
 
-    return result.refundCreate.refund;
+    const refundId = result.refundCreate.refund.id.split('/').pop();
+    await db.saveOrderRefund({
+      ...refundRecord,
+      shopifyRefundId: refundId,
+      status: 'created',
+      amount,
+      lineItems: refundLineItems
+    });
+
+    return { shopifyId, status: 'created', refundId, amount, lineItems: refundLineItems };
   }
 
-  formatTags(appmaxOrder, status) {
-    const tags = [appmaxOrder.status, `appmax_status_${status}`];
+  /**
+   * Tag com o ID da Appmax, usada na busca indexada do pedido
+   */
+  getAppmaxTag(appmaxId) {
+    return `appmax_id_${appmaxId}`;
+  }
+
+  formatTags(appmaxOrder, status, currentTags = '') {
+    const tags = [appmaxOrder.status, `appmax_status_${status}`, this.getAppmaxTag(appmaxOrder.id)];
+
+    // Mantém a sinalização de produtos sem variante definida na criação do pedido
+    if (String(currentTags || '').split(',').map(tag => tag.trim()).includes('appmax_produto_nao_vinculado')) {
+      tags.push('appmax_produto_nao_vinculado');
+    }
     return tags.filter(Boolean);
   }
 }
 
-module.exports = new ShopifyService();
+module.exports = ShopifyService;
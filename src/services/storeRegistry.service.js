@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+const db = require('../database/db');
+const ShopifyService = require('./shopify.service');
+
+/**
+ * Cadastro das lojas Shopify atendidas pela integração.
+ *
+ * As lojas são lidas do arquivo JSON indicado em SHOPIFY_STORES_FILE. Cada loja define as
+ * credenciais, a versão da API (padrão: SHOPIFY_API_VERSION), os sites da Appmax (`site_ids`)
+ * roteados para ela e opções próprias. Sem o arquivo, é montada uma única loja `default` a partir de SHOPIFY_STORE_DOMAIN e
+ * SHOPIFY_ACCESS_TOKEN. Cada loja tem o próprio ShopifyService, com cliente, limite de
+ * requisições e processamento da fila independentes.
+ */
+class StoreRegistry {
+  defaultApiVersion = process.env.SHOPIFY_API_VERSION || '2025-01';
+  // Primeira versão da API Admin com a mutation orderCreate
+  minApiVersion = '2024-10';
+  // IDs que colidem com rotas de /webhook/appmax/:store
+  reservedIds = ['preview'];
+
+  constructor() {
+    this.stores = this.load();
+    this.defaultStore = this.stores.find(store => store.isDefault) || this.stores[0];
+    this.services = new Map(this.stores.map(store => [store.id, new ShopifyService(store)]));
+  }
+
+  /**
+   * Vincula os registros sem loja à loja padrão e inicia o processamento das filas.
+   * Chamado pelo servidor na inicialização; scripts que só alimentam a fila não o chamam.
+   */
+  async start() {
+    try {
+      await db.waitForInit();
+      // Registros anteriores ao cadastro de lojas pertencem à loja padrão
+      const assigned = await db.assignDefaultStore(this.defaultStore.id);
+      if (assigned > 0) {
+        logger.info(`${assigned} registros sem loja vinculados à loja padrão ${this.defaultStore.id}`);
+      }
+
+      if (process.env.DISABLE_WORKERS === 'true') return;
+      for (const [storeId, service] of this.services) {
+        logger.info(`Iniciando processamento da fila da loja ${storeId}`);
+        service.startQueueProcessing();
+      }
+    } catch (error) {
+      logger.error('Erro ao inicializar as lojas:', error);
+    }
+  }
+
+  /**
+   * Lê as lojas do arquivo configurado ou, sem ele, das variáveis de ambiente da loja única
+   */
+  load() {
+    const file = process.env.SHOPIFY_STORES_FILE;
+    if (!file) {
+      if (!process.env.SHOPIFY_STORE_DOMAIN || !process.env.SHOPIFY_ACCESS_TOKEN) {
+        throw new Error('As variáveis de ambiente SHOPIFY_STORE_DOMAIN e SHOPIFY_ACCESS_TOKEN são obrigatórias (ou SHOPIFY_STORES_FILE).');
+      }
+      return [this.normalize({
+        id: 'default',
+        shop_domain: process.env.SHOPIFY_STORE_DOMAIN,
+        access_token: process.env.SHOPIFY_ACCESS_TOKEN,
+        webhook_secret: process.env.SHOPIFY_WEBHOOK_SECRET,
+        default: true
+      })];
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (error) {
+      throw new Error(`Não foi possível ler SHOPIFY_STORES_FILE (${file}): ${error.message}`);
+    }
+
+    const entries = Array.isArray(config) ? config : config.stores;
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('SHOPIFY_STORES_FILE deve conter ao menos uma loja');
+    }
+
+    const stores = entries.map((entry, index) => this.normalize(entry, index));
+    const ids = new Set();
+    const siteIds = new Map();
+    for (const store of stores) {
+      if (ids.has(store.id)) {
+        throw new Error(`Loja ${store.id} cadastrada mais de uma vez em SHOPIFY_STORES_FILE`);
+      }
+      ids.add(store.id);
+      for (const siteId of store.siteIds) {
+        if (siteIds.has(siteId)) {
+          throw new Error(`Site ${siteId} vinculado às lojas ${siteIds.get(siteId)} e ${store.id}`);
+        }
+        siteIds.set(siteId, store.id);
+      }
+    }
+    if (stores.filter(store => store.isDefault).length > 1) {
+      throw new Error('Apenas uma loja pode ser marcada como default em SHOPIFY_STORES_FILE');
+    }
+
+    return stores;
+  }
+
+  /**
+   * Valida uma loja do arquivo e converte para o formato usado pelo ShopifyService
+   */
+  normalize(entry, index = 0) {
+    const id = String(entry?.id || '').trim();
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(id) || this.reservedIds.includes(id)) {
+      throw new Error(`Loja #${index + 1} de SHOPIFY_STORES_FILE sem id válido (letras, números, "-" e "_")`);
+    }
+    if (!entry.shop_domain || !entry.access_token) {
+      throw new Error(`Loja ${id}: shop_domain e access_token são obrigatórios`);
+    }
+
+    const apiVersion = entry.api_version || this.defaultApiVersion;
+    if (apiVersion !== 'unstable' && !/^\d{4}-\d{2}$/.test(apiVersion)) {
+      throw new Error(`Loja ${id}: api_version inválida (${apiVersion}), use o formato AAAA-MM`);
+    }
+    if (apiVersion !== 'unstable' && apiVersion < this.minApiVersion) {
+      throw new Error(`Loja ${id}: a versão ${apiVersion} da API não suporta orderCreate (mínimo: ${this.minApiVersion})`);
+    }
+
+    const options = entry.options || {};
+    return {
+      id,
+      name: entry.name || id,
+      shopDomain: entry.shop_domain,
+      accessToken: entry.access_token,
+      apiVersion,
+      siteIds: (entry.site_ids || []).map(String),
+      webhookSecret: entry.webhook_secret || null,
+      isDefault: entry.default === true,
+      options: {
+        minRequestInterval: options.min_request_interval ?? 500,
+        maxRateLimitRetries: options.max_rate_limit_retries ?? 2,
+        refundRestock: options.refund_restock ?? process.env.SHOPIFY_REFUND_RESTOCK === 'true'
+      }
+    };
+  }
+
+  /**
+   * Dados públicos das lojas (sem credenciais)
+   */
+  list() {
+    return this.stores.map(store => ({
+      id: store.id,
+      name: store.name,
+      shop_domain: store.shopDomain,
+      api_version: store.apiVersion,
+      site_ids: store.siteIds,
+      default: store === this.defaultStore,
+      options: {
+        min_request_interval: store.options.minRequestInterval,
+        max_rate_limit_retries: store.options.maxRateLimitRetries,
+        refund_restock: store.options.refundRestock
+      }
+    }));
+  }
+
+  getDefault() {
+    return this.defaultStore;
+  }
+
+  get(storeId) {
+    const store = this.stores.find(item => item.id === storeId);
+    if (!store) {
+      throw new AppError(`Loja ${storeId} não encontrada`, 404);
+    }
+    return store;
+  }
+
+  findBySiteId(siteId) {
+    if (siteId === null || siteId === undefined) return null;
+    return this.stores.find(store => store.siteIds.includes(String(siteId))) || null;
+  }
+
+  findByDomain(shopDomain) {
+    if (!shopDomain) return null;
+    return this.stores.find(store => store.shopDomain.toLowerCase() === String(shopDomain).toLowerCase()) || null;
+  }
+
+  /**
+   * Site da Appmax informado no `data` do webhook (DefaultResponse ou TwoLevel)
+   */
+  getSiteId(data) {
+    if (!data || typeof data !== 'object') return null;
+    return data.site_id ||
+      data.customer?.site_id ||
+      data.customer_site_id ||
+      data['customer.site_id'] ||
+      null;
+  }
+
+  /**
+   * Define a loja de um pedido. Pedidos já vinculados permanecem na loja em que foram criados;
+   * os demais usam a loja informada (slug da URL do webhook), a loja do site ou a loja padrão.
+   * @param {Object} params
+   * @param {string} [params.storeId] Loja informada explicitamente
+   * @param {string|number} [params.siteId] Site da Appmax
+   * @param {string} [params.orderStoreId] Loja em que o pedido já está salvo
+   */
+  resolve({ storeId = null, siteId = null, orderStoreId = null } = {}) {
+    const requested = storeId ? this.get(storeId) : this.findBySiteId(siteId);
+    const current = orderStoreId ? this.stores.find(store => store.id === orderStoreId) : null;
+
+    if (current) {
+      if (requested && requested !== current) {
+        logger.warn(`Pedido vinculado à loja ${current.id}, mas o webhook indica a loja ${requested.id}; mantendo ${current.id}`);
+      }
+      return current;
+    }
+    return requested || this.defaultStore;
+  }
+
+  /**
+   * ShopifyService da loja (ou da loja padrão, sem `storeId`)
+   */
+  getShopify(storeId = null) {
+    return this.services.get(storeId ? this.get(storeId).id : this.defaultStore.id);
+  }
+}
+
+module.exports = new StoreRegistry();
@@ -0,0 +1,85 @@
+const logger = require('../utils/logger');
+const db = require('../database/db');
+const appmaxService = require('./appmax.service');
+
+/**
+ * Envia à Appmax os códigos de rastreio das entregas criadas na Shopify.
+ * O envio passa pela request_queue (evento TrackingCodeSync) para ser retentado em caso de falha,
+ * e o estado da sincronização fica nas colunas tracking_* do pedido.
+ */
+class TrackingService {
+  /**
+   * Extrai o código de rastreio de um fulfillment da Shopify (vários códigos são separados por vírgula)
+   */
+  getTrackingCode(fulfillment) {
+    const codes = Array.isArray(fulfillment.tracking_numbers) && fulfillment.tracking_numbers.length > 0
+      ? fulfillment.tracking_numbers
+      : [fulfillment.tracking_number];
+
+    return codes.filter(Boolean).map(code => String(code).trim()).join(',') || null;
+  }
+
+  /**
+   * Enfileira o envio do código de rastreio de um webhook fulfillments/create ou fulfillments/update
+   * @returns {Promise<{queued: boolean, reason?: string, requestId?: number, appmaxId?: number}>}
+   */
+  async queueFulfillment(fulfillment) {
+    const trackingCode = this.getTrackingCode(fulfillment);
+    if (!trackingCode) {
+      return { queued: false, reason: 'Fulfillment sem código de rastreio' };
+    }
+
+    if (fulfillment.status && ['cancelled', 'error', 'failure'].includes(fulfillment.status)) {
+      return { queued: false, reason: `Fulfillment com status ${fulfillment.status}` };
+    }
+
+    const order = await db.findOrderById(String(fulfillment.order_id), 'shopify');
+    if (!order || !order.appmax_id) {
+      logger.warn(`Pedido Shopify #${fulfillment.order_id} sem pedido Appmax vinculado, rastreio ignorado`);
+      return { queued: false, reason: 'Pedido não vinculado a um pedido Appmax' };
+    }
+
+    if (order.tracking_code === trackingCode && ['pending', 'synced'].includes(order.tracking_sync_status)) {
+      return { queued: false, reason: 'Código de rastreio já enviado', appmaxId: order.appmax_id };
+    }
+
+    await db.updateTrackingSync(order.appmax_id, { trackingCode, status: 'pending' });
+    const requestId = await db.saveQueueRequest({
+      appmaxId: order.appmax_id,
+      eventType: 'TrackingCodeSync',
+      status: 'pending',
+      financialStatus: 'pending',
+      requestData: {
+        appmax_id: order.appmax_id,
+        shopify_id: String(fulfillment.order_id),
+        fulfillment_id: fulfillment.id,
+        tracking_code: trackingCode,
+        tracking_company: fulfillment.tracking_company || null,
+        tracking_url: fulfillment.tracking_url || null
+      },
+      storeId: order.store_id
+    });
+
+    logger.info(`Código de rastreio ${trackingCode} do pedido Appmax #${order.appmax_id} enfileirado (#${requestId})`);
+    return { queued: true, requestId, appmaxId: order.appmax_id };
+  }
+
+  /**
+   * Envia o código de rastreio à Appmax. Chamado pela fila; erros são relançados para nova tentativa.
+   */
+  async syncTrackingCode(requestData) {
+    const { appmax_id: appmaxId, tracking_code: trackingCode } = requestData;
+
+    try {
+      await appmaxService.addTrackingCode(appmaxId, trackingCode);
+      await db.updateTrackingSync(appmaxId, { trackingCode, status: 'synced' });
+      logger.info(`Código de rastreio ${trackingCode} enviado à Appmax para o pedido #${appmaxId}`);
+      return { appmaxId, trackingCode };
+    } catch (error) {
+      await db.updateTrackingSync(appmaxId, { trackingCode, status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new TrackingService();
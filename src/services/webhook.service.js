@@ -0,0 +1,822 @@
+const crypto = require('crypto');
+const storeRegistry = require('./storeRegistry.service');
+const orderTimelineService = require('./orderTimeline.service');
+const orderStateMachine = require('../utils/orderStateMachine');
+const appmaxEvents = require('../utils/appmaxEvents');
+const webhookTemplate = require('../utils/webhookTemplate');
+const webhookValidator = require('../utils/webhookValidator');
+const retryPolicy = require('../utils/retryPolicy');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+const db = require('../database/db');
+
+class WebhookService {
+  constructor() {
+    this.processing = false;
+    this.pollInterval = 1000; // intervalo entre verificações da inbox (em ms)
+    // Janela (em minutos) em que um evento *WithDelay é tratado como duplicata do evento original
+    this.delayedDuplicateWindow = parseInt(process.env.WEBHOOK_DELAY_DEDUP_WINDOW_MINUTES || '120', 10);
+  }
+
+  /**
+   * Devolve à inbox as entregas interrompidas e inicia o processamento (chamado pelo servidor)
+   */
+  async start() {
+    try {
+      await db.waitForInit();
+      if (process.env.DISABLE_WORKERS === 'true') return;
+      const restored = await db.resetStuckInboxDeliveries();
+      if (restored > 0) {
+        logger.info(`${restored} webhooks em processamento foram devolvidos para a inbox`);
+      }
+      this.startInboxProcessing();
+    } catch (error) {
+      logger.error('Erro ao inicializar processamento da inbox:', error);
+    }
+  }
+
+  /**
+   * Processa a inbox e, ao finalizar, agenda nova execução.
+   */
+  async startInboxProcessing() {
+    try {
+      await this.processInbox();
+    } catch (error) {
+      logger.error('Erro no processamento da inbox:', error);
+    } finally {
+      setTimeout(() => this.startInboxProcessing(), this.pollInterval);
+    }
+  }
+
+  /**
+   * Busca os webhooks recebidos e ainda não processados e os processa sequencialmente.
+   */
+  async processInbox() {
+    if (this.processing) return;
+    this.processing = true;
+    try {
+      const deliveries = await db.getReceivedInboxDeliveries();
+      for (const delivery of deliveries) {
+        await this.processDelivery(delivery);
+      }
+    } catch (error) {
+      logger.error('Erro ao processar inbox de webhooks:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Processa uma entrega da inbox, registrando o resultado ou o erro.
+   * Erros temporários devolvem a entrega para a inbox conforme a política de retentativa da fila;
+   * erros permanentes ou tentativas esgotadas deixam a entrega como `failed`.
+   */
+  async processDelivery(delivery) {
+    await db.markInboxProcessing(delivery.id);
+    try {
+      const result = await this.processWebhook(delivery.payload, { storeId: delivery.store_id });
+      await db.markInboxDone(delivery.id, result);
+      logger.info(`Webhook #${delivery.id} (${delivery.event}) processado com sucesso`);
+    } catch (error) {
+      logger.error(`Erro ao processar webhook #${delivery.id} da inbox:`, {
+        error: {
+          message: error.message,
+          stack: error.stack,
+          code: error.statusCode || 500
+        },
+        event: delivery.event,
+        appmax_id: delivery.appmax_id
+      });
+
+      const decision = retryPolicy.evaluate(error, (delivery.attempts || 0) + 1);
+      if (decision.retry) {
+        logger.warn(`Webhook #${delivery.id} será reprocessado em ${Math.round(decision.delay / 1000)}s`);
+      }
+      await db.markInboxFailed(delivery.id, error.message || 'Erro desconhecido', {
+        retryAt: decision.retry ? new Date(Date.now() + decision.delay) : null
+      });
+    }
+  }
+
+  /**
+   * Serializa um valor em JSON com as chaves ordenadas, para que o hash não dependa da ordem dos campos
+   */
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key =>
+        `${JSON.stringify(key)}:${this.stableStringify(value[key])}`
+      ).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  /**
+   * Registra a entrega no ledger de webhooks e informa se ela é duplicada.
+   * A impressão digital combina o evento, o ID do pedido e o hash do payload. Um evento
+   * *WithDelay também é duplicado quando o evento original do mesmo pedido chegou dentro da janela.
+   * @returns {Promise<{duplicate: boolean, reason?: string, eventId?: number}>}
+   */
+  async registerDelivery({ event, appmaxId, payload }) {
+    const parsedEvent = appmaxEvents.parse(event);
+    const baseEvent = parsedEvent.baseName;
+    const payloadHash = this.hash(this.stableStringify(payload));
+    const fingerprint = this.hash(`${event}|${appmaxId || ''}|${payloadHash}`);
+
+    if (parsedEvent.delayed && appmaxId && this.delayedDuplicateWindow > 0) {
+      const original = await db.findRecentWebhookEvent(baseEvent, appmaxId, this.delayedDuplicateWindow);
+      if (original) {
+        await db.registerDuplicateWebhookEvent(original.fingerprint);
+        return {
+          duplicate: true,
+          reason: `Evento ${event} repete ${baseEvent} recebido em ${original.received_at}`
+        };
+      }
+    }
+
+    const eventId = await db.claimWebhookEvent({
+      fingerprint,
+      event: parsedEvent.name,
+      baseEvent,
+      appmaxId,
+      payloadHash
+    });
+
+    if (!eventId) {
+      await db.registerDuplicateWebhookEvent(fingerprint);
+      return {
+        duplicate: true,
+        reason: `Entrega repetida do evento ${event}`
+      };
+    }
+
+    return { duplicate: false, eventId };
+  }
+
+  /**
+   * Status local e financeiro derivados do evento.
+   * Um upsell de um clique (OrderUpSold) em pedido já pago ou integrado mantém o status atual:
+   * o payload traz o paid_at original, e a máquina de estados recusaria a volta para `paid`
+   * descartando os itens do upsell.
+   */
+  getEventStatus(parsedEvent, currentStatus) {
+    const eventStatus = appmaxEvents.getStatus(parsedEvent);
+    if (parsedEvent.baseName === 'OrderUpSold' && ['paid', 'integrated'].includes(currentStatus)) {
+      return { ...eventStatus, status: currentStatus };
+    }
+    return eventStatus;
+  }
+
+  /**
+   * Verifica se os dados do pedido estão completos e válidos
+   */
+  validateOrderData(orderData) {
+    // Verifica se há dados básicos do pedido
+    if (!orderData || !orderData.id) {
+      throw new AppError('Dados básicos do pedido ausentes', 400);
+    }
+
+    // Garante que existe a estrutura de cliente
+    if (!orderData.customer) {
+      orderData.customer = {};
+    }
+
+    // Normaliza os campos do cliente
+    orderData.customer = {
+      firstname: orderData.customer.firstName || orderData.customer.firstname || 'N/A',
+      lastname: orderData.customer.lastName || orderData.customer.lastname || '',
+      email: orderData.customer.email || null,
+      telephone: orderData.customer.telephone || orderData.customer.phone || null,
+      document_number: orderData.customer.document_number || '',
+      // Endereço padrão se não existir
+      address_street: orderData.customer.address_street || 'Não informado',
+      address_street_number: orderData.customer.address_street_number || 'S/N',
+      address_street_complement: orderData.customer.address_street_complement || '',
+      address_city: orderData.customer.address_city || 'Não informado',
+      address_state: orderData.customer.address_state || 'SP',
+      postcode: orderData.customer.postcode || '00000-000'
+    };
+
+    // Garante que existe a estrutura de produtos
+    if (!Array.isArray(orderData.bundles)) {
+      orderData.bundles = [{
+        products: [{
+          name: 'Produto não especificado',
+          quantity: 1,
+          price: orderData.total || 0,
+          sku: 'SKU-NAO-INFORMADO'
+        }]
+      }];
+    }
+
+    // Log de validação
+    logger.info('Dados do pedido normalizados:', {
+      orderId: orderData.id,
+      customer: {
+        name: `${orderData.customer.firstname} ${orderData.customer.lastname}`.trim(),
+        email: orderData.customer.email,
+        phone: orderData.customer.telephone
+      },
+      hasProducts: orderData.bundles.length > 0
+    });
+
+    return orderData;
+  }
+
+  /**
+   * Lista os campos ausentes que validateOrderData preencherá com valores padrão.
+   * Deve receber o pedido antes da normalização.
+   */
+  getValidationWarnings(orderData) {
+    const warnings = [];
+    const customer = orderData?.customer || {};
+    const placeholders = [
+      ['firstname', customer.firstName || customer.firstname, '"N/A"'],
+      ['address_street', customer.address_street, '"Não informado"'],
+      ['address_street_number', customer.address_street_number, '"S/N"'],
+      ['address_city', customer.address_city, '"Não informado"'],
+      ['address_state', customer.address_state, '"SP"'],
+      ['postcode', customer.postcode, '"00000-000"']
+    ];
+
+    if (!orderData?.customer) {
+      warnings.push('customer ausente');
+    }
+    for (const [field, value, placeholder] of placeholders) {
+      if (!value) warnings.push(`customer.${field} ausente, preenchido com ${placeholder}`);
+    }
+    if (!customer.email) {
+      warnings.push('customer.email ausente');
+    }
+    if (!customer.telephone && !customer.phone) {
+      warnings.push('customer.telephone ausente');
+    }
+    if (!Array.isArray(orderData?.bundles)) {
+      warnings.push('bundles ausente, substituído por "Produto não especificado"');
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Verifica se os dados do pedido estão completos.
+   */
+  hasFullOrderDetails(order) {
+    return order && Array.isArray(order.bundles) && order.customer;
+  }
+
+  /**
+   * Adiciona prefixo ao email para evitar emails transacionais da Shopify
+   */
+  formatEmailForShopify(email) {
+    if (!email) return null;
+    return email.includes('email_') ? email : `email_${email}`;
+  }
+
+  /**
+   * Remove o prefixo do email para armazenamento local
+   */
+  getOriginalEmail(email) {
+    if (!email) return null;
+    return email.replace(/^email_/, '');
+  }
+
+  /**
+   * Normaliza o formato do telefone para o padrão aceito pela Shopify
+   * Remove caracteres especiais e mantém apenas números
+   * Adiciona código do país se necessário
+   */
+  normalizePhoneForShopify(phone) {
+    if (!phone) return null;
+
+    // Remove todos os caracteres não numéricos
+    let normalized = phone.replace(/\D/g, '');
+
+    // Se o número já começar com 55, não adiciona novamente
+    if (!normalized.startsWith('55')) {
+      normalized = `55${normalized}`;
+    }
+
+    // Garante que o número tem pelo menos 8 dígitos (sem contar código do país)
+    if (normalized.length < 10) {
+      logger.warn('Número de telefone muito curto:', { original: phone, normalized });
+      return null;
+    }
+
+    // Formata como +55XXXXXXXXXX
+    return `+${normalized}`;
+  }
+
+  /**
+   * Prepara os dados do pedido para a Shopify: email com prefixo, telefone normalizado
+   * (também nos endereços) e razão da negativa, quando houver
+   */
+  buildShopifyOrderData(orderData, { declineReason = null } = {}) {
+    const normalizedPhone = this.normalizePhoneForShopify(orderData.customer.telephone);
+    const shopifyOrderData = {
+      ...orderData,
+      customer: {
+        ...orderData.customer,
+        email: this.formatEmailForShopify(orderData.customer.email),
+        telephone: normalizedPhone,
+        phone: normalizedPhone
+      }
+    };
+
+    // Razão da negativa, enviada à Shopify como motivo do cancelamento e nota interna
+    if (declineReason) {
+      shopifyOrderData.decline_reason = declineReason;
+    }
+
+    if (shopifyOrderData.shipping_address) {
+      shopifyOrderData.shipping_address.phone = normalizedPhone;
+    }
+    if (shopifyOrderData.billing_address) {
+      shopifyOrderData.billing_address.phone = normalizedPhone;
+    }
+
+    return shopifyOrderData;
+  }
+
+  /**
+   * Normaliza um webhook da Appmax, salva o pedido no banco local e o envia para a Shopify.
+   * Pedidos criados/atualizados são colocados na fila da Shopify sem aguardar o processamento.
+   * @param {Object} payload Corpo do webhook
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] Não altera o banco nem a Shopify; retorna em `changes` o que seria feito
+   * @param {string} [options.source] Origem registrada na linha do tempo do pedido
+   * @param {string} [options.storeId] Loja informada na URL do webhook; sem ela, a loja vem do site_id
+   * @returns {Promise<Object>} Resultado do processamento, salvo na inbox
+   */
+  async processWebhook({ event: rawEvent, data, session_id }, { dryRun = false, source = 'appmax_webhook', storeId = null } = {}) {
+    if (!rawEvent || !data) {
+      throw new AppError('Dados do webhook inválidos', 400);
+    }
+
+    // Separa o nome do evento da razão (ex.: "PaymentNotAuthorized | Reason: Autorizacao negada")
+    const parsedEvent = appmaxEvents.parse(rawEvent);
+    const event = parsedEvent.name;
+
+    // Payloads TwoLevel (campos achatados) são convertidos para o modelo DefaultResponse
+    const { template, data: orderPayload } = webhookTemplate.normalize(data);
+
+    // Caso os dados do pedido estejam aninhados em "order", utiliza-os; caso contrário, usa o objeto data
+    let orderData = orderPayload.order || orderPayload;
+
+    // Valida o pedido contra o schema do evento; no modo strict pedidos inválidos vão para a quarentena
+    const validation = webhookValidator.validate(parsedEvent.baseName, orderData);
+    if (!validation.valid) {
+      if (webhookValidator.isStrict()) {
+        return this.quarantine({
+          rawEvent,
+          event,
+          payload: { event: rawEvent, data: orderPayload, ...(session_id && { session_id }) },
+          appmaxId: orderData.id,
+          errors: validation.errors,
+          template,
+          source,
+          storeId,
+          dryRun
+        });
+      }
+      logger.warn(`Pedido Appmax #${orderData.id} com dados inválidos, campos ausentes preenchidos com valores padrão:`, validation.errors);
+    }
+
+    // Valida e normaliza os dados do pedido
+    orderData = this.validateOrderData(orderData);
+
+    // Extrai os nomes do cliente já normalizados
+    const customerName = `${orderData.customer.firstname} ${orderData.customer.lastname}`.trim();
+    const originalEmail = this.getOriginalEmail(orderData.customer.email);
+
+    // Log detalhado do pedido
+    logger.info('Processando webhook:', {
+      event,
+      orderId: orderData.id,
+      status: orderData.status,
+      customer: {
+        name: customerName,
+        email: originalEmail,
+        phone: orderData.customer.telephone
+      },
+      session_id,
+      platform: orderData.platform || 'unknown',
+      woocommerce_id: orderData.woocommerce_order_id,
+      template,
+      timestamp: new Date().toISOString(),
+      validatedData: true
+    });
+
+    // Prepara os metadados do pedido
+    const metadata = {
+      customer: {
+        name: customerName,
+        email: originalEmail,
+        phone: orderData.customer.telephone,
+        document: orderData.customer.document_number,
+        address: {
+          street: orderData.customer.address_street,
+          number: orderData.customer.address_street_number,
+          complement: orderData.customer.address_street_complement,
+          city: orderData.customer.address_city,
+          state: orderData.customer.address_state,
+          postcode: orderData.customer.postcode
+        }
+      },
+      payment: {
+        method: orderData.payment?.method || 'N/A',
+        installments: orderData.payment?.installments || 1
+      },
+      products: orderData.bundles,
+      decline_reason: parsedEvent.reason,
+      template,
+      raw_data: {
+        ...orderData,
+        customer: {
+          ...orderData.customer,
+          email: originalEmail
+        }
+      }
+    };
+
+    if (!parsedEvent.known) {
+      logger.warn(`Evento desconhecido ${parsedEvent.name}, pedido mantido como pendente`, {
+        orderId: orderData.id
+      });
+    }
+
+    // Valida a transição contra o status atual para não regredir pedidos com eventos atrasados
+    const existingOrder = await db.findOrderById(orderData.id, 'appmax');
+    const currentStatus = existingOrder?.status || null;
+
+    // Define o status baseado no evento
+    const { status, financialStatus } = this.getEventStatus(parsedEvent, currentStatus);
+
+    // Loja Shopify do pedido: a já vinculada, a da URL do webhook, a do site ou a padrão
+    const store = storeRegistry.resolve({
+      storeId,
+      siteId: storeRegistry.getSiteId(data),
+      orderStoreId: existingOrder?.store_id
+    });
+    const shopifyService = storeRegistry.getShopify(store.id);
+    const transition = orderStateMachine.evaluate({
+      from: currentStatus,
+      to: status,
+      current: existingOrder?.metadata?.raw_data,
+      incoming: orderData
+    });
+
+    // Na simulação as alterações são apenas descritas
+    const changes = dryRun ? { database: [], shopify: [] } : null;
+
+    const statusTransition = {
+      appmaxId: orderData.id,
+      event,
+      fromStatus: currentStatus,
+      toStatus: status,
+      applied: transition.allowed,
+      reason: transition.reason
+    };
+    await this.applyChange(changes, {
+      table: 'order_status_transitions',
+      operation: 'insert',
+      values: {
+        appmax_id: orderData.id,
+        event,
+        from_status: currentStatus,
+        to_status: status,
+        applied: transition.allowed,
+        reason: transition.reason
+      }
+    }, () => db.saveStatusTransition(statusTransition));
+
+    // Evento acrescentado à linha do tempo do pedido, com a ação executada
+    const timelineEvent = {
+      appmaxId: orderData.id,
+      source,
+      event,
+      payload: { event: rawEvent, data },
+      status,
+      financialStatus
+    };
+
+    if (!transition.allowed) {
+      const rejectedEvent = {
+        ...timelineEvent,
+        applied: false,
+        reason: transition.reason,
+        action: 'ignored',
+        actionStatus: 'skipped'
+      };
+      await this.applyChange(changes, this.describeTimelineEvent(rejectedEvent),
+        () => orderTimelineService.record(rejectedEvent));
+      logger.warn(`Transição de status ignorada para o pedido Appmax #${orderData.id}:`, {
+        event,
+        from: currentStatus,
+        to: status,
+        reason: transition.reason
+      });
+      return {
+        orderId: orderData.id,
+        status: currentStatus,
+        rejectedStatus: status,
+        action: 'ignored',
+        reason: transition.reason,
+        ...(changes && { dryRun: true, changes })
+      };
+    }
+
+    // Salva ou atualiza o pedido no banco local
+    const orderMetadata = {
+      ...metadata,
+      event,
+      financial_status: financialStatus,
+      normalized: true
+    };
+    await this.applyChange(changes, {
+      table: 'orders',
+      operation: existingOrder ? 'update' : 'insert',
+      id: existingOrder?.id,
+      values: { appmax_id: orderData.id, store_id: store.id, status, financial_status: financialStatus, event }
+    }, () => db.saveAppmaxOrder(orderData.id, status, orderMetadata, { storeId: store.id }));
+
+    // Upsell feito pelo Televendas gera um novo pedido; vincula ao pedido original
+    if (orderData.upsell_order_id && String(orderData.upsell_order_id) !== String(orderData.id)) {
+      await this.applyChange(changes, {
+        table: 'orders',
+        operation: 'update',
+        values: { appmax_id: orderData.id, parent_appmax_id: orderData.upsell_order_id }
+      }, () => db.linkParentOrder(orderData.id, orderData.upsell_order_id));
+    }
+
+    // Modifica o email e normaliza o telefone antes de enviar para Shopify
+    const shopifyOrderData = this.buildShopifyOrderData(orderData, { declineReason: parsedEvent.reason });
+    const normalizedPhone = shopifyOrderData.customer.phone;
+
+    // Processa o pedido no Shopify
+    const result = {
+      orderId: orderData.id,
+      storeId: store.id,
+      status,
+      financialStatus
+    };
+
+    if (status === 'cancelled') {
+      result.action = 'cancel';
+    } else if (status === 'refunded') {
+      result.action = 'refund';
+    } else {
+      result.action = 'queue';
+    }
+
+    if (changes) {
+      if (result.action === 'queue') {
+        changes.database.push({
+          table: 'request_queue',
+          operation: 'insert',
+          values: { appmax_id: orderData.id, store_id: store.id, event_type: event, status, financial_status: financialStatus }
+        });
+      } else if (result.action === 'refund') {
+        changes.database.push({ table: 'order_refunds', operation: 'insert', values: { appmax_id: orderData.id } });
+      }
+      changes.database.push(this.describeTimelineEvent({
+        ...timelineEvent,
+        action: result.action,
+        actionStatus: result.action === 'queue' ? 'pending' : 'done'
+      }));
+      changes.shopify = await shopifyService.describeSync(result.action, {
+        appmaxOrder: shopifyOrderData,
+        status,
+        financialStatus,
+        event
+      });
+      return { ...result, dryRun: true, changes };
+    }
+
+    // Log antes de enviar para Shopify
+    logger.info('Enviando dados para Shopify:', {
+      orderId: orderData.id,
+      email: shopifyOrderData.customer.email,
+      originalPhone: orderData.customer.telephone,
+      normalizedPhone,
+      status,
+      financialStatus
+    });
+
+    try {
+      if (result.action === 'cancel') {
+        await shopifyService.cancelOrder(shopifyOrderData);
+      } else if (result.action === 'refund') {
+        result.refund = await shopifyService.refundOrder(shopifyOrderData);
+      } else {
+        result.queueRequestId = await shopifyService.queueOrder({
+          appmaxOrder: shopifyOrderData,
+          status,
+          financialStatus,
+          event
+        });
+      }
+    } catch (error) {
+      await orderTimelineService.record({
+        ...timelineEvent,
+        action: result.action,
+        actionStatus: 'failed',
+        error: error.message
+      });
+      throw error;
+    }
+
+    // Ações enfileiradas têm o resultado registrado pela fila ao final do processamento
+    await orderTimelineService.record({
+      ...timelineEvent,
+      action: result.action,
+      actionStatus: result.action === 'queue' ? 'pending' : 'done',
+      requestId: result.queueRequestId || null,
+      result: result.refund || null
+    });
+
+    // Log de sucesso no final
+    logger.info('Webhook processado com sucesso:', {
+      event,
+      orderId: orderData.id,
+      status,
+      financialStatus,
+      customer: {
+        name: customerName,
+        hasEmail: !!originalEmail,
+        hasPhone: !!orderData.customer.telephone
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    return result;
+  }
+
+  /**
+   * Monta, sem gravar nada nem chamar a Shopify, o pedido normalizado, os status derivados
+   * e a requisição de criação do pedido que seria enviada à Shopify.
+   * Produtos sem mapeamento cadastrado aparecem como itens personalizados, pois a busca da
+   * variante por external_id/SKU consulta a Shopify.
+   */
+  async previewWebhook({ event: rawEvent, data }, { storeId = null } = {}) {
+    if (!rawEvent || !data) {
+      throw new AppError('Dados do webhook inválidos', 400);
+    }
+
+    const parsedEvent = appmaxEvents.parse(rawEvent);
+    const warnings = [];
+    if (appmaxEvents.isIgnored(parsedEvent)) {
+      warnings.push(`Evento ${parsedEvent.name} é ignorado pela integração`);
+    } else if (!parsedEvent.known) {
+      warnings.push(`Evento desconhecido ${parsedEvent.name}, pedido mantido como pendente`);
+    }
+
+    const { template, data: orderPayload } = webhookTemplate.normalize(data);
+    const rawOrder = orderPayload.order || orderPayload;
+    const validation = webhookValidator.validate(parsedEvent.baseName, rawOrder);
+    if (!validation.valid && webhookValidator.isStrict()) {
+      warnings.push('Pedido inválido, seria retido na quarentena (modo strict)');
+    }
+    warnings.push(...this.getValidationWarnings(rawOrder));
+    const orderData = this.validateOrderData(structuredClone(rawOrder));
+    const existingOrder = await db.findOrderById(orderData.id, 'appmax');
+    const { status, financialStatus } = this.getEventStatus(parsedEvent, existingOrder?.status || null);
+    const transition = orderStateMachine.evaluate({
+      from: existingOrder?.status || null,
+      to: status,
+      current: existingOrder?.metadata?.raw_data,
+      incoming: orderData
+    });
+    if (!transition.allowed) {
+      warnings.push(`Transição de status rejeitada: ${transition.reason}`);
+    }
+
+    const store = storeRegistry.resolve({
+      storeId,
+      siteId: storeRegistry.getSiteId(data),
+      orderStoreId: existingOrder?.store_id
+    });
+    const shopifyService = storeRegistry.getShopify(store.id);
+
+    const shopifyOrderData = this.buildShopifyOrderData(orderData, { declineReason: parsedEvent.reason });
+    if (orderData.customer.telephone && !shopifyOrderData.customer.phone) {
+      warnings.push(`Telefone ${orderData.customer.telephone} inválido, enviado sem telefone`);
+    }
+    if (existingOrder?.shopify_id) {
+      warnings.push(`Pedido já vinculado ao pedido Shopify #${existingOrder.shopify_id}; a fila atualizaria o pedido existente`);
+    }
+
+    const resolution = await shopifyService.productResolver.resolveLineItems(shopifyOrderData, { lookup: false });
+    resolution.unmatched.forEach(product => {
+      warnings.push(`Produto "${product.name}" (SKU ${product.sku || '-'}) sem mapeamento, a variante seria buscada na Shopify`);
+    });
+
+    let request = null;
+    try {
+      request = shopifyService.buildCreateOrderRequest(shopifyOrderData, status, financialStatus, resolution);
+    } catch (error) {
+      warnings.push(error.message);
+    }
+
+    return {
+      event: parsedEvent.name,
+      decline_reason: parsedEvent.reason,
+      template,
+      store: store.id,
+      status,
+      financial_status: financialStatus,
+      current_status: existingOrder?.status || null,
+      transition_allowed: transition.allowed,
+      validation: {
+        mode: webhookValidator.mode,
+        valid: validation.valid,
+        errors: validation.errors
+      },
+      normalized_order: orderData,
+      shopify: request,
+      warnings
+    };
+  }
+
+  /**
+   * Retém um webhook com pedido inválido na quarentena, sem enviá-lo à Shopify
+   */
+  async quarantine({ rawEvent, event, payload, appmaxId, errors, template, source, storeId = null, dryRun = false }) {
+    const result = {
+      orderId: appmaxId || null,
+      action: 'quarantine',
+      errors
+    };
+
+    if (dryRun) {
+      return {
+        ...result,
+        dryRun: true,
+        changes: {
+          database: [{ table: 'webhook_quarantine', operation: 'insert', values: { event, appmax_id: appmaxId || null, errors } }],
+          shopify: []
+        }
+      };
+    }
+
+    result.quarantineId = await db.saveQuarantine({
+      event,
+      appmaxId: appmaxId || null,
+      payload,
+      errors,
+      template,
+      source,
+      storeId
+    });
+
+    if (appmaxId) {
+      await orderTimelineService.record({
+        appmaxId,
+        source,
+        event,
+        payload: { event: rawEvent, data: payload.data },
+        applied: false,
+        reason: `Dados inválidos: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`,
+        action: 'quarantine',
+        actionStatus: 'skipped'
+      });
+    }
+
+    logger.warn(`Webhook ${event} do pedido Appmax #${appmaxId || 'N/A'} retido na quarentena (#${result.quarantineId}):`, errors);
+    return result;
+  }
+
+  /**
+   * Executa uma alteração no banco ou, na simulação, apenas a registra em `changes.database`
+   */
+  async applyChange(changes, description, apply) {
+    if (changes) {
+      changes.database.push(description);
+      return null;
+    }
+    return apply();
+  }
+
+  describeTimelineEvent(timelineEvent) {
+    return {
+      table: 'order_events',
+      operation: 'insert',
+      values: {
+        appmax_id: timelineEvent.appmaxId,
+        source: timelineEvent.source,
+        event: timelineEvent.event,
+        applied: timelineEvent.applied ?? true,
+        action: timelineEvent.action,
+        action_status: timelineEvent.actionStatus
+      }
+    };
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,125 @@
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+const appmaxEvents = require('../utils/appmaxEvents');
+const webhookService = require('./webhook.service');
+const db = require('../database/db');
+
+/**
+ * Reprocessamento das requisições brutas guardadas em webhook_archive.
+ *
+ * As entregas são executadas novamente pelo pipeline atual (normalização, máquina de status,
+ * banco local e Shopify), sem passar pelo ledger de duplicatas. Com `dryRun`, nada é gravado:
+ * o resultado descreve as alterações no banco e as chamadas à Shopify que seriam feitas.
+ */
+class WebhookArchiveService {
+  maxReplayBatch = 500;
+  // Dias em que as requisições ficam no arquivo (0 mantém todas)
+  retentionDays = parseInt(process.env.WEBHOOK_ARCHIVE_RETENTION_DAYS || '30', 10);
+  pruneInterval = 60 * 60 * 1000;
+
+  /**
+   * Remove periodicamente as requisições mais antigas que retentionDays
+   */
+  async startPruning() {
+    if (this.retentionDays <= 0) return;
+    try {
+      await db.waitForInit();
+      const removed = await db.pruneWebhookArchive(this.retentionDays);
+      if (removed > 0) {
+        logger.info(`${removed} webhooks arquivados há mais de ${this.retentionDays} dias foram removidos`);
+      }
+    } catch (error) {
+      logger.error('Erro ao remover webhooks arquivados antigos:', error);
+    } finally {
+      setTimeout(() => this.startPruning(), this.pruneInterval);
+    }
+  }
+
+  /**
+   * Loja informada no caminho da URL arquivada (/webhook/appmax/:store)
+   */
+  getStoreSlug(entry) {
+    const match = String(entry.url || '').split('?')[0].match(/\/appmax\/([^/]+)$/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  /**
+   * Reprocessa uma entrega arquivada. Entregas rejeitadas na autenticação (401/403) não vieram
+   * de uma origem confirmada e nunca são reprocessadas.
+   * @returns {Promise<Object>} `result`: `replayed`, `dry_run`, `ignored`, `invalid`, `rejected` ou `failed`
+   */
+  async replayEntry(entry, { dryRun = false, actor = null } = {}) {
+    const body = entry.body;
+    let outcome;
+
+    if (entry.outcome === 'rejected') {
+      return { id: entry.id, result: 'rejected', error: 'Entrega rejeitada na autenticação não pode ser reprocessada' };
+    }
+
+    if (entry.body_truncated) {
+      outcome = { id: entry.id, result: 'invalid', error: 'Corpo arquivado foi truncado' };
+    } else if (!body || typeof body !== 'object' || !body.event || !body.data) {
+      outcome = { id: entry.id, result: 'invalid', error: 'Corpo arquivado não é um webhook válido' };
+    } else if (appmaxEvents.isIgnored(appmaxEvents.parse(body.event))) {
+      outcome = { id: entry.id, result: 'ignored', event: body.event };
+    } else {
+      try {
+        const processed = await webhookService.processWebhook(body, {
+          dryRun,
+          source: 'webhook_replay',
+          storeId: this.getStoreSlug(entry)
+        });
+        outcome = { id: entry.id, result: dryRun ? 'dry_run' : 'replayed', event: body.event, outcome: processed };
+      } catch (error) {
+        outcome = { id: entry.id, result: 'failed', event: body.event, error: error.message };
+      }
+    }
+
+    if (dryRun) return outcome;
+
+    await db.markWebhookArchiveReplayed(entry.id, outcome);
+    await db.saveAuditLog({
+      action: 'webhook.replay',
+      entityType: 'webhook_archive',
+      entityId: entry.id,
+      actor,
+      details: { result: outcome.result, error: outcome.error }
+    });
+    logger.info(`Webhook arquivado #${entry.id} reprocessado por ${actor || 'desconhecido'}: ${outcome.result}`);
+    return outcome;
+  }
+
+  /**
+   * Reprocessa, em ordem de recebimento, as entregas informadas por ID ou selecionadas por filtro
+   * @param {Object} selection
+   * @param {number[]} [selection.ids]
+   * @param {Object} [selection.filters] Mesmos filtros da listagem do arquivo; as entregas rejeitadas
+   * ficam fora da seleção
+   */
+  async replay({ ids = null, filters = null }, { dryRun = false, actor = null, limit = 100 } = {}) {
+    if (!ids && (!filters || Object.values(filters).every(value => !value))) {
+      throw new AppError('Informe os IDs em ids ou ao menos um filtro', 400);
+    }
+
+    const entries = await db.listWebhookArchive({
+      ...(ids ? { ids } : filters),
+      excludeOutcome: ids ? null : 'rejected',
+      order: 'asc',
+      limit: ids ? ids.length : Math.min(limit, this.maxReplayBatch)
+    });
+
+    const results = [];
+    for (const entry of entries) {
+      results.push(await this.replayEntry(entry, { dryRun, actor }));
+    }
+
+    if (ids) {
+      const found = new Set(entries.map(entry => entry.id));
+      ids.filter(id => !found.has(id)).forEach(id => results.push({ id, result: 'not_found' }));
+    }
+
+    return results;
+  }
+}
+
+module.exports = new WebhookArchiveService();
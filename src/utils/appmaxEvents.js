@@ -0,0 +1,117 @@
+/**
+ * Catálogo e parser dos eventos de webhook da Appmax.
+ *
+ * Alguns eventos chegam com a razão anexada ao nome, por exemplo
+ * "PaymentNotAuthorized | Reason: Autorizacao negada", e os eventos com sufixo
+ * WithDelay repetem o evento original 60 minutos depois.
+ */
+class AppmaxEvents {
+  // Eventos documentados (Docs/Appmax-Docs-_-Webhooks.txt) e eventos legados já tratados pela integração
+  catalog = {
+    // Cliente
+    CustomerCreated: { ignored: true, description: 'Cliente cadastrado' },
+    CustomerInterested: { ignored: true, description: 'Carrinho abandonado (60m)' },
+    CustomerUpdated: { ignored: true, description: 'Cliente atualizado' },
+    CustomerDeleted: { ignored: true, description: 'Cliente removido' },
+
+    // Pedido
+    OrderApproved: { status: 'paid', financialStatus: 'paid', description: 'Pedido aprovado' },
+    OrderAuthorized: { status: 'authorized', financialStatus: 'pending', description: 'Pedido autorizado' },
+    OrderBilletCreated: { status: 'pending', financialStatus: 'pending', description: 'Boleto gerado' },
+    OrderBilletOverdue: { status: 'cancelled', financialStatus: 'cancelled', description: 'Boleto vencido' },
+    OrderIntegrated: { status: 'integrated', financialStatus: 'paid', description: 'Pedido integrado' },
+    OrderPaid: { status: 'paid', financialStatus: 'paid', description: 'Pedido pago' },
+    OrderPendingIntegration: { status: 'paid', financialStatus: 'paid', description: 'Pedido pago com pendência de integração' },
+    OrderRefund: { status: 'refunded', financialStatus: 'refunded', description: 'Pedido estornado' },
+    OrderUpSold: { status: 'paid', financialStatus: 'paid', description: 'Upsell de um clique aceito' },
+    PaymentNotAuthorized: { status: 'cancelled', financialStatus: 'cancelled', description: 'Pagamento não autorizado' },
+
+    // Legados (PIX e chargeback)
+    OrderPaidByPix: { status: 'paid', financialStatus: 'paid', description: 'Pedido pago via PIX' },
+    OrderPixCreated: { status: 'pending', financialStatus: 'pending', description: 'PIX criado' },
+    PixGenerated: { status: 'pending', financialStatus: 'pending', description: 'PIX gerado' },
+    PixExpired: { status: 'cancelled', financialStatus: 'cancelled', description: 'PIX expirado' },
+    BoletoExpired: { status: 'cancelled', financialStatus: 'cancelled', description: 'Boleto expirado' },
+    ChargebackDispute: { status: 'under_review', financialStatus: 'pending', description: 'Disputa de chargeback' },
+    ChargebackWon: { status: 'paid', financialStatus: 'paid', description: 'Chargeback ganho' }
+  };
+
+  // Status do pedido na Appmax (campo `status` do pedido, usado em exportações e importações)
+  orderStatuses = {
+    pendente: { status: 'pending', financialStatus: 'pending' },
+    autorizado: { status: 'authorized', financialStatus: 'pending' },
+    aprovado: { status: 'paid', financialStatus: 'paid' },
+    pendente_integracao: { status: 'paid', financialStatus: 'paid' },
+    integrado: { status: 'integrated', financialStatus: 'paid' },
+    chargeback_em_tratativa: { status: 'under_review', financialStatus: 'pending' },
+    estornado: { status: 'refunded', financialStatus: 'refunded' },
+    cancelado: { status: 'cancelled', financialStatus: 'cancelled' }
+  };
+
+  /**
+   * Separa o nome do evento, a razão e o sufixo WithDelay
+   * @param {string} rawEvent Evento como enviado pela Appmax
+   * @returns {{raw: string, name: string, baseName: string, delayed: boolean, reason: string|null, known: boolean}}
+   */
+  parse(rawEvent) {
+    const raw = String(rawEvent || '').trim();
+    const [namePart, ...details] = raw.split('|').map(part => part.trim());
+    const name = namePart || '';
+    const baseName = name.replace(/WithDelay$/, '');
+
+    let reason = null;
+    const detail = details.join(' | ');
+    if (detail) {
+      const match = detail.match(/^Reason\s*:\s*(.*)$/i);
+      reason = (match ? match[1] : detail).trim() || null;
+    }
+
+    return {
+      raw,
+      name,
+      baseName,
+      delayed: baseName !== name,
+      reason,
+      known: !!this.catalog[baseName]
+    };
+  }
+
+  /**
+   * Verifica se o evento deve ser ignorado (eventos de cliente)
+   */
+  isIgnored(parsedEvent) {
+    return !!this.catalog[parsedEvent.baseName]?.ignored;
+  }
+
+  /**
+   * Retorna o status local e o status financeiro correspondentes ao evento.
+   * Eventos desconhecidos mantêm o pedido como pendente.
+   */
+  getStatus(parsedEvent) {
+    const definition = this.catalog[parsedEvent.baseName];
+    if (!definition || definition.ignored) {
+      return { status: 'pending', financialStatus: 'pending' };
+    }
+    return {
+      status: definition.status,
+      financialStatus: definition.financialStatus
+    };
+  }
+
+  /**
+   * Retorna o status local e o status financeiro correspondentes ao status do pedido na Appmax.
+   * Aceita variações de acentuação, maiúsculas e espaços (ex.: "Pendente Integração").
+   */
+  getStatusFromOrderStatus(appmaxStatus) {
+    const key = String(appmaxStatus || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, '_');
+
+    return this.orderStatuses[key] || { status: 'pending', financialStatus: 'pending' };
+  }
+}
+
+module.exports = new AppmaxEvents();
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+/**
+ * Sessão do dashboard em cookie assinado (HMAC-SHA256).
+ *
+ * O cookie guarda o usuário e a expiração; a assinatura usa DASHBOARD_SESSION_SECRET ou,
+ * na falta dele, o ADMIN_API_TOKEN.
+ */
+class DashboardSession {
+  cookieName = 'dashboard_session';
+
+  getSecret() {
+    return process.env.DASHBOARD_SESSION_SECRET || process.env.ADMIN_API_TOKEN || null;
+  }
+
+  getTtl() {
+    return parseInt(process.env.DASHBOARD_SESSION_TTL_HOURS || '12', 10) * 60 * 60 * 1000;
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.getSecret()).update(payload).digest('base64url');
+  }
+
+  /**
+   * Gera o valor do cookie para o usuário
+   */
+  create(user) {
+    const payload = Buffer.from(JSON.stringify({ user, exp: Date.now() + this.getTtl() })).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Valida o cookie e retorna a sessão, ou null se for inválido ou estiver expirado
+   * @returns {{user: string, exp: number}|null}
+   */
+  verify(token) {
+    if (!token || !this.getSecret()) return null;
+
+    const [payload, signature] = String(token).split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    try {
+      const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return session.exp > Date.now() ? session : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Lê o cookie da sessão no header Cookie da requisição
+   */
+  read(req) {
+    const cookies = String(req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+      const [name, ...value] = cookie.trim().split('=');
+      if (name === this.cookieName) {
+        return this.verify(decodeURIComponent(value.join('=')));
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = new DashboardSession();
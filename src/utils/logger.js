@@ -3,9 +3,13 @@ class Logger {
     console.log(new Date().toISOString(), 'INFO:', message, ...args);
   }
 
+  warn(message, ...args) {
+    console.warn(new Date().toISOString(), 'WARN:', message, ...args);
+  }
+
   error(message, ...args) {
     console.error(new Date().toISOString(), 'ERROR:', message, ...args);
   }
 }
 
-module.exports = new Logger(); 
\ No newline at end of file
+module.exports = new Logger();
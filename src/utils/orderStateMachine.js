@@ -0,0 +1,111 @@
+/**
+ * Máquina de estados dos pedidos.
+ *
+ * Os webhooks da Appmax podem chegar fora de ordem (reentregas, eventos *WithDelay),
+ * então cada novo status é validado contra a tabela de transições antes de ser aplicado.
+ */
+class OrderStateMachine {
+  statuses = [
+    'pending',
+    'authorized',
+    'paid',
+    'integrated',
+    'under_review',
+    'cancelled',
+    'refunded'
+  ];
+
+  // Transições permitidas a partir de cada status
+  transitions = {
+    pending: ['authorized', 'paid', 'integrated', 'under_review', 'cancelled', 'refunded'],
+    authorized: ['paid', 'integrated', 'under_review', 'cancelled', 'refunded'],
+    paid: ['integrated', 'under_review', 'refunded'],
+    integrated: ['under_review', 'refunded'],
+    under_review: ['paid', 'integrated', 'refunded'],
+    cancelled: ['authorized', 'paid', 'integrated'],
+    refunded: []
+  };
+
+  // Etapa de cada status no ciclo do pedido: um status de etapa menor nunca substitui um de etapa maior
+  ranks = {
+    pending: 0,
+    authorized: 1,
+    cancelled: 1,
+    paid: 2,
+    integrated: 2,
+    under_review: 2,
+    refunded: 3
+  };
+
+  /**
+   * Retorna a data (em ms) que a Appmax associa ao status, usada para desempatar eventos fora de ordem
+   */
+  getStatusTimestamp(status, orderData) {
+    if (!orderData) return null;
+
+    const fieldsByStatus = {
+      paid: ['paid_at'],
+      integrated: ['integrated_at', 'paid_at'],
+      refunded: ['refunded_at']
+    };
+
+    for (const field of fieldsByStatus[status] || []) {
+      if (orderData[field]) {
+        const time = new Date(String(orderData[field]).replace(' ', 'T')).getTime();
+        if (!isNaN(time)) return time;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Avalia se o pedido pode passar do status atual para o novo status.
+   * Um status de etapa anterior é sempre recusado e um de etapa posterior só é aceito pela tabela.
+   * Na mesma etapa, as datas da Appmax desempatam: uma transição da tabela é recusada quando o
+   * evento é mais antigo e uma transição fora da tabela só é aceita quando o evento é mais recente.
+   * @param {Object} params
+   * @param {string|null} params.from Status atual do pedido no banco local
+   * @param {string} params.to Status derivado do evento recebido
+   * @param {Object} [params.current] Dados Appmax salvos do pedido (raw_data)
+   * @param {Object} [params.incoming] Dados Appmax do evento recebido
+   * @returns {{allowed: boolean, reason: string}}
+   */
+  evaluate({ from, to, current = null, incoming = null }) {
+    if (!from || !this.statuses.includes(from)) {
+      return { allowed: true, reason: 'Sem status anterior conhecido' };
+    }
+
+    if (from === to) {
+      return { allowed: true, reason: 'Status mantido' };
+    }
+
+    const inTable = (this.transitions[from] || []).includes(to);
+    if (this.ranks[to] < this.ranks[from]) {
+      return { allowed: false, reason: `Transição ${from} -> ${to} volta a uma etapa anterior` };
+    }
+    if (this.ranks[to] > this.ranks[from]) {
+      return inTable
+        ? { allowed: true, reason: `Transição ${from} -> ${to} permitida` }
+        : { allowed: false, reason: `Transição ${from} -> ${to} não permitida` };
+    }
+
+    const currentTime = this.getStatusTimestamp(from, current);
+    const incomingTime = this.getStatusTimestamp(to, incoming);
+    const hasTimes = currentTime !== null && incomingTime !== null;
+
+    if (inTable) {
+      if (hasTimes && incomingTime < currentTime) {
+        return { allowed: false, reason: `Evento anterior ao status atual (${from})` };
+      }
+      return { allowed: true, reason: `Transição ${from} -> ${to} permitida` };
+    }
+
+    if (hasTimes && incomingTime > currentTime) {
+      return { allowed: true, reason: `Transição ${from} -> ${to} aceita por timestamp mais recente` };
+    }
+
+    return { allowed: false, reason: `Transição ${from} -> ${to} não permitida` };
+  }
+}
+
+module.exports = new OrderStateMachine();
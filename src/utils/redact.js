@@ -0,0 +1,22 @@
+/**
+ * Mascara credenciais antes de gravá-las no log ou no arquivo de webhooks
+ */
+class Redact {
+  // Headers com credenciais
+  sensitiveHeaders = ['authorization', 'cookie', 'x-webhook-token', 'x-admin-token'];
+
+  headers(headers = {}) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) =>
+      [name, this.sensitiveHeaders.includes(name.toLowerCase()) ? '[redacted]' : value]
+    ));
+  }
+
+  /**
+   * Mascara o segredo enviado na URL (?token=)
+   */
+  url(url) {
+    return String(url).replace(/([?&]token=)[^&]*/i, '$1[redacted]');
+  }
+}
+
+module.exports = new Redact();
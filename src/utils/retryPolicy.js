@@ -0,0 +1,97 @@
+/**
+ * Política de retentativa da request_queue.
+ *
+ * Erros temporários (429, 408, 5xx, timeouts e falhas de rede) são reagendados com backoff
+ * exponencial e jitter, respeitando o Retry-After informado pela API; erros permanentes
+ * (ex.: 422 de validação) encerram a requisição sem novas tentativas.
+ */
+class RetryPolicy {
+  retryableStatusCodes = [408, 429];
+  retryableErrorCodes = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+  constructor() {
+    this.maxAttempts = parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10);
+    this.baseDelay = parseInt(process.env.QUEUE_RETRY_BASE_DELAY_MS || '30000', 10);
+    this.maxDelay = parseInt(process.env.QUEUE_RETRY_MAX_DELAY_MS || '3600000', 10);
+  }
+
+  getStatusCode(error) {
+    return error?.response?.status || error?.statusCode || null;
+  }
+
+  /**
+   * Retorna o Retry-After do erro em ms (segundos ou data HTTP), ou null
+   */
+  getRetryAfter(error) {
+    const value = error?.retryAfter ?? error?.response?.headers?.['retry-after'];
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = parseFloat(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Erros sem status HTTP nem código de rede (ex.: falhas inesperadas) são tratados como temporários.
+   * Erros marcados com `retryable = false` (ex.: chamadas não idempotentes com resultado
+   * desconhecido) nunca são retentados.
+   */
+  isRetryable(error) {
+    if (error?.retryable === false) return false;
+    const status = this.getStatusCode(error);
+    if (status) {
+      return status >= 500 || this.retryableStatusCodes.includes(status);
+    }
+    if (error?.code) {
+      return this.retryableErrorCodes.includes(error.code);
+    }
+    return true;
+  }
+
+  /**
+   * Classe do erro, usada nos filtros da dead-letter queue:
+   * `rate_limit`, `timeout`, `network`, `server`, `validation`, `client` ou `unknown`
+   */
+  classify(error) {
+    const status = this.getStatusCode(error);
+    if (status === 429) return 'rate_limit';
+    if (status === 408 || ['ECONNABORTED', 'ETIMEDOUT'].includes(error?.code)) return 'timeout';
+    if (status >= 500) return 'server';
+    if (status === 400 || status === 422) return 'validation';
+    if (status >= 400) return 'client';
+    if (error?.code && this.retryableErrorCodes.includes(error.code)) return 'network';
+    return 'unknown';
+  }
+
+  /**
+   * Atraso até a próxima tentativa: Retry-After, se houver, ou backoff exponencial com jitter
+   * @param {number} attempts Tentativas já realizadas (a partir de 1)
+   */
+  getDelay(error, attempts) {
+    const retryAfter = this.getRetryAfter(error);
+    if (retryAfter !== null) return retryAfter;
+
+    const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempts - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * Decide se uma requisição que falhou deve ser retentada
+   * @param {Error} error
+   * @param {number} attempts Tentativas já realizadas, incluindo a que falhou
+   * @returns {{retry: boolean, delay?: number, reason?: string}} reason: `permanent` ou `max_attempts`
+   */
+  evaluate(error, attempts) {
+    if (!this.isRetryable(error)) {
+      return { retry: false, reason: 'permanent' };
+    }
+    if (attempts >= this.maxAttempts) {
+      return { retry: false, reason: 'max_attempts' };
+    }
+    return { retry: true, delay: this.getDelay(error, attempts) };
+  }
+}
+
+module.exports = new RetryPolicy();
@@ -0,0 +1,143 @@
+/**
+ * Templates de corpo dos webhooks da Appmax (Docs/Appmax-Docs-_-Webhooks.txt).
+ *
+ * Cada site escolhe entre DefaultResponse (multinível, com `customer`, `bundles` e `visit`
+ * aninhados) e TwoLevel (apenas `data` e campos simples). No TwoLevel os objetos são achatados
+ * em chaves com prefixo (`customer_firstname`, `bundles_0_products_0_sku`), caminhos com ponto
+ * ou colchetes (`customer.firstname`, `bundles[0][products][0][sku]`) ou enviados como JSON em texto.
+ * O formato é detectado automaticamente e convertido para o modelo DefaultResponse.
+ */
+class WebhookTemplate {
+  DEFAULT = 'DefaultResponse';
+  TWO_LEVEL = 'TwoLevel';
+
+  // Objetos aninhados no DefaultResponse (`customer_id` é campo do próprio pedido)
+  nestedObjects = ['customer', 'visit'];
+  // Listas aninhadas no DefaultResponse e as listas dentro de cada item
+  nestedLists = {
+    bundles: ['products'],
+    interested_bundle: ['products'],
+    co_production_commission: [],
+    affiliate_commission: []
+  };
+  ownFields = ['customer_id'];
+
+  isNested(value) {
+    return value !== null && typeof value === 'object';
+  }
+
+  /**
+   * Valor enviado como JSON em texto em uma chave que é aninhada no DefaultResponse
+   */
+  isEncodedNested(key, value) {
+    const nestedKeys = [...this.nestedObjects, ...Object.keys(this.nestedLists)];
+    return nestedKeys.includes(key) && typeof value === 'string' && /^\s*[[{]/.test(value);
+  }
+
+  /**
+   * Converte uma chave achatada no caminho correspondente do DefaultResponse
+   * @returns {string[]} Ex.: "bundles_0_products_1_sku" -> ["bundles", "0", "products", "1", "sku"]
+   */
+  toPath(key) {
+    if (/[.[]/.test(key)) {
+      return key.replace(/\]/g, '').split(/[.[]/).filter(Boolean);
+    }
+    if (this.ownFields.includes(key)) {
+      return [key];
+    }
+
+    const object = this.nestedObjects.find(name => key.startsWith(`${name}_`));
+    if (object) {
+      return [object, key.slice(object.length + 1)];
+    }
+
+    for (const [list, itemLists] of Object.entries(this.nestedLists)) {
+      const match = key.match(new RegExp(`^${list}_(\\d+)_(.+)$`));
+      if (!match) continue;
+
+      const [, index, field] = match;
+      const itemList = itemLists.find(name => new RegExp(`^${name}_\\d+_.+$`).test(field));
+      if (itemList) {
+        const [, itemIndex, itemField] = field.match(new RegExp(`^${itemList}_(\\d+)_(.+)$`));
+        return [list, index, itemList, itemIndex, itemField];
+      }
+      return [list, index, field];
+    }
+
+    return [key];
+  }
+
+  /**
+   * Identifica o template do `data` recebido
+   * @returns {string} `DefaultResponse` ou `TwoLevel`
+   */
+  detect(data) {
+    if (!this.isNested(data) || Array.isArray(data)) return this.DEFAULT;
+    if (Object.values(data).some(value => this.isNested(value))) return this.DEFAULT;
+
+    const flattened = Object.entries(data).some(([key, value]) =>
+      this.toPath(key).length > 1 || this.isEncodedNested(key, value)
+    );
+    return flattened ? this.TWO_LEVEL : this.DEFAULT;
+  }
+
+  setPath(target, path, value) {
+    let node = target;
+    path.forEach((segment, index) => {
+      if (index === path.length - 1) {
+        node[segment] = value;
+        return;
+      }
+      if (!this.isNested(node[segment])) {
+        node[segment] = /^\d+$/.test(path[index + 1]) ? [] : {};
+      }
+      node = node[segment];
+    });
+  }
+
+  /**
+   * Remove posições vazias de listas montadas a partir de índices não sequenciais
+   */
+  compact(value) {
+    if (Array.isArray(value)) {
+      return value.filter(item => item !== undefined).map(item => this.compact(item));
+    }
+    if (this.isNested(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.compact(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Converte um `data` TwoLevel para o modelo DefaultResponse
+   */
+  toDefault(data) {
+    const converted = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (this.isEncodedNested(key, value)) {
+        try {
+          converted[key] = JSON.parse(value);
+          continue;
+        } catch (error) {
+          // mantém o texto original
+        }
+      }
+      this.setPath(converted, this.toPath(key), value);
+    }
+    return this.compact(converted);
+  }
+
+  /**
+   * Detecta o template e retorna o `data` no modelo DefaultResponse
+   * @returns {{template: string, data: Object}}
+   */
+  normalize(data) {
+    const template = this.detect(data);
+    return {
+      template,
+      data: template === this.TWO_LEVEL ? this.toDefault(data) : data
+    };
+  }
+}
+
+module.exports = new WebhookTemplate();
@@ -0,0 +1,182 @@
+/**
+ * Validação dos pedidos recebidos nos webhooks da Appmax com JSON Schema por evento.
+ *
+ * Os schemas usam um subconjunto do JSON Schema (type, required, properties, items, enum,
+ * pattern, minLength, minItems e minimum). No modo `strict` (WEBHOOK_VALIDATION_MODE=strict)
+ * pedidos inválidos vão para a quarentena e não são enviados à Shopify; no modo `lenient`
+ * (padrão) os erros são apenas registrados e os campos ausentes continuam sendo preenchidos
+ * com valores padrão pelo validateOrderData.
+ */
+
+const numeric = { type: ['number', 'string'], pattern: '^\\d+(\\.\\d+)?$' };
+const orderId = { type: ['integer', 'string'], pattern: '^\\d+$' };
+
+const customer = {
+  type: 'object',
+  required: ['firstname', 'email', 'address_street', 'address_street_number', 'address_city', 'address_state', 'postcode'],
+  properties: {
+    firstname: { type: 'string', minLength: 1 },
+    email: { type: 'string', pattern: '^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$' },
+    telephone: { type: ['string', 'null'], pattern: '^\\+?[\\d\\s()-]{10,}$' },
+    address_street: { type: 'string', minLength: 1 },
+    address_street_number: { type: ['string', 'integer'], minLength: 1 },
+    address_city: { type: 'string', minLength: 1 },
+    address_state: { type: 'string', pattern: '^[A-Za-z]{2}$' },
+    postcode: { type: 'string', pattern: '^\\d{5}-?\\d{3}$' }
+  }
+};
+
+const bundles = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['products'],
+    properties: {
+      products: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['name', 'quantity', 'price'],
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            quantity: { type: ['integer', 'string'], pattern: '^\\d+$', minimum: 1 },
+            price: numeric
+          }
+        }
+      }
+    }
+  }
+};
+
+// Pedidos que serão criados ou atualizados na Shopify
+const orderSchema = {
+  type: 'object',
+  required: ['id', 'status', 'customer', 'bundles'],
+  properties: {
+    id: orderId,
+    status: { type: 'string', minLength: 1 },
+    total: numeric,
+    customer,
+    bundles
+  }
+};
+
+// Cancelamentos e estornos atuam sobre o pedido já existente e só exigem o ID
+const existingOrderSchema = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: orderId
+  }
+};
+
+const billetSchema = {
+  ...orderSchema,
+  required: [...orderSchema.required, 'billet_url'],
+  properties: {
+    ...orderSchema.properties,
+    billet_url: { type: 'string', pattern: '^https?://' }
+  }
+};
+
+class WebhookValidator {
+  modes = ['strict', 'lenient'];
+
+  // Schema por evento (nome base, sem o sufixo WithDelay); eventos ausentes usam orderSchema
+  schemas = {
+    OrderBilletCreated: billetSchema,
+    OrderBilletOverdue: existingOrderSchema,
+    OrderRefund: existingOrderSchema,
+    PaymentNotAuthorized: existingOrderSchema,
+    PixExpired: existingOrderSchema,
+    BoletoExpired: existingOrderSchema
+  };
+
+  get mode() {
+    const mode = (process.env.WEBHOOK_VALIDATION_MODE || 'lenient').toLowerCase();
+    return this.modes.includes(mode) ? mode : 'lenient';
+  }
+
+  isStrict() {
+    return this.mode === 'strict';
+  }
+
+  getSchema(event) {
+    return this.schemas[event] || orderSchema;
+  }
+
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  matchesType(value, types) {
+    const actual = this.typeOf(value);
+    return [].concat(types).some(type => type === actual || (type === 'number' && actual === 'integer'));
+  }
+
+  /**
+   * Valida um valor contra o schema, acumulando os erros por campo
+   */
+  check(value, schema, field, errors) {
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      errors.push({ field, message: `deve ser do tipo ${[].concat(schema.type).join(' ou ')}` });
+      return errors;
+    }
+    if (value === null) return errors;
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ field, message: `deve ser um de: ${schema.enum.join(', ')}` });
+    }
+    if (schema.minLength !== undefined && String(value).trim().length < schema.minLength) {
+      errors.push({ field, message: 'não pode ser vazio' });
+    } else if (schema.pattern && ['string', 'number', 'integer'].includes(this.typeOf(value)) &&
+      !new RegExp(schema.pattern).test(String(value))) {
+      errors.push({ field, message: 'formato inválido' });
+    }
+    if (schema.minimum !== undefined && Number(value) < schema.minimum) {
+      errors.push({ field, message: `deve ser no mínimo ${schema.minimum}` });
+    }
+
+    if (this.typeOf(value) === 'object') {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null || value[key] === '') {
+          errors.push({ field: field ? `${field}.${key}` : key, message: 'obrigatório' });
+        }
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[key] === undefined || value[key] === '') continue;
+        if (value[key] === null && (schema.required || []).includes(key)) continue;
+        this.check(value[key], propertySchema, field ? `${field}.${key}` : key, errors);
+      }
+    }
+
+    if (this.typeOf(value) === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ field, message: `deve ter ao menos ${schema.minItems} item(ns)` });
+      }
+      if (schema.items) {
+        value.forEach((item, index) => this.check(item, schema.items, `${field}[${index}]`, errors));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Valida os dados do pedido (antes da normalização) contra o schema do evento
+   * @param {string} event Nome base do evento (ex.: OrderPaid)
+   * @param {Object} orderData
+   * @returns {{valid: boolean, errors: {field: string, message: string}[]}}
+   */
+  validate(event, orderData) {
+    const errors = this.check(orderData, this.getSchema(event), '', []);
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+module.exports = new WebhookValidator();
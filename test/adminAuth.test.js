@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const adminAuth = require('../src/middleware/adminAuth');
+const dashboardSession = require('../src/utils/dashboardSession');
+
+process.env.ADMIN_API_TOKEN = 'token-admin';
+delete process.env.DASHBOARD_SESSION_SECRET;
+delete process.env.DASHBOARD_SESSION_TTL_HOURS;
+
+function authorize({ method = 'GET', headers = {} } = {}) {
+  const req = { method, headers, ip: '10.0.0.1', originalUrl: '/admin/dead-letters' };
+  let result;
+  adminAuth(req, {}, error => { result = error || null; });
+  return { error: result, req };
+}
+
+function sessionCookie(token) {
+  return `outro=1; ${dashboardSession.cookieName}=${encodeURIComponent(token)}`;
+}
+
+test('aceita o token em Authorization: Bearer ou no header x-admin-token', () => {
+  assert.strictEqual(authorize({ headers: { authorization: 'Bearer token-admin' } }).error, null);
+  assert.strictEqual(authorize({ headers: { 'x-admin-token': 'token-admin' } }).error, null);
+});
+
+test('rejeita token ausente ou inválido com 401', () => {
+  assert.strictEqual(authorize().error.statusCode, 401);
+  assert.strictEqual(authorize({ headers: { authorization: 'Bearer errado' } }).error.statusCode, 401);
+});
+
+test('rejeita todas as requisições quando ADMIN_API_TOKEN não está configurado', () => {
+  delete process.env.ADMIN_API_TOKEN;
+  try {
+    assert.strictEqual(authorize({ headers: { 'x-admin-token': '' } }).error.statusCode, 401);
+  } finally {
+    process.env.ADMIN_API_TOKEN = 'token-admin';
+  }
+});
+
+test('a sessão do dashboard identifica o usuário da requisição', () => {
+  const { error, req } = authorize({ headers: { cookie: sessionCookie(dashboardSession.create('maria')) } });
+
+  assert.strictEqual(error, null);
+  assert.strictEqual(req.adminUser, 'maria');
+});
+
+test('a sessão do dashboard exige X-Requested-With em requisições que alteram dados', () => {
+  const cookie = sessionCookie(dashboardSession.create('maria'));
+
+  assert.strictEqual(authorize({ method: 'POST', headers: { cookie } }).error.statusCode, 403);
+  assert.strictEqual(authorize({ method: 'POST', headers: { cookie, 'x-requested-with': 'fetch' } }).error, null);
+});
+
+test('verify recusa cookies adulterados, expirados ou assinados com outro segredo', () => {
+  const token = dashboardSession.create('maria');
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ user: 'admin', exp: Date.now() + 60000 })).toString('base64url');
+
+  assert.strictEqual(dashboardSession.verify(token).user, 'maria');
+  assert.strictEqual(dashboardSession.verify(`${forged}.${signature}`), null);
+  assert.strictEqual(dashboardSession.verify('sem-assinatura'), null);
+
+  process.env.DASHBOARD_SESSION_TTL_HOURS = '0';
+  try {
+    assert.strictEqual(dashboardSession.verify(dashboardSession.create('maria')), null);
+  } finally {
+    delete process.env.DASHBOARD_SESSION_TTL_HOURS;
+  }
+
+  process.env.DASHBOARD_SESSION_SECRET = 'outro-segredo';
+  try {
+    assert.strictEqual(dashboardSession.verify(token), null);
+  } finally {
+    delete process.env.DASHBOARD_SESSION_SECRET;
+  }
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const appmaxEvents = require('../src/utils/appmaxEvents');
+
+test('separa a razão anexada ao nome do evento', () => {
+  assert.deepStrictEqual(appmaxEvents.parse('PaymentNotAuthorized | Reason: Autorizacao negada'), {
+    raw: 'PaymentNotAuthorized | Reason: Autorizacao negada',
+    name: 'PaymentNotAuthorized',
+    baseName: 'PaymentNotAuthorized',
+    delayed: false,
+    reason: 'Autorizacao negada',
+    known: true
+  });
+});
+
+test('mantém o detalhe sem o prefixo Reason como razão', () => {
+  assert.strictEqual(appmaxEvents.parse('PaymentNotAuthorized | Saldo insuficiente').reason, 'Saldo insuficiente');
+  assert.strictEqual(appmaxEvents.parse('OrderPaid').reason, null);
+});
+
+test('identifica os eventos WithDelay pelo evento original', () => {
+  const parsed = appmaxEvents.parse('OrderAuthorizedWithDelay');
+  assert.strictEqual(parsed.name, 'OrderAuthorizedWithDelay');
+  assert.strictEqual(parsed.baseName, 'OrderAuthorized');
+  assert.strictEqual(parsed.delayed, true);
+  assert.strictEqual(parsed.known, true);
+  assert.deepStrictEqual(appmaxEvents.getStatus(parsed), { status: 'authorized', financialStatus: 'pending' });
+});
+
+test('trata eventos vazios e desconhecidos como pendentes', () => {
+  const empty = appmaxEvents.parse(undefined);
+  assert.strictEqual(empty.name, '');
+  assert.strictEqual(empty.known, false);
+
+  const unknown = appmaxEvents.parse('OrderSomethingNew');
+  assert.strictEqual(unknown.known, false);
+  assert.deepStrictEqual(appmaxEvents.getStatus(unknown), { status: 'pending', financialStatus: 'pending' });
+});
+
+test('ignora os eventos de cliente', () => {
+  assert.strictEqual(appmaxEvents.isIgnored(appmaxEvents.parse('CustomerCreated')), true);
+  assert.strictEqual(appmaxEvents.isIgnored(appmaxEvents.parse('CustomerInterestedWithDelay')), true);
+  assert.strictEqual(appmaxEvents.isIgnored(appmaxEvents.parse('OrderApproved')), false);
+});
+
+test('converte o status do pedido na Appmax com acentos e espaços', () => {
+  assert.deepStrictEqual(appmaxEvents.getStatusFromOrderStatus('Pendente Integração'), { status: 'paid', financialStatus: 'paid' });
+  assert.deepStrictEqual(appmaxEvents.getStatusFromOrderStatus('ESTORNADO'), { status: 'refunded', financialStatus: 'refunded' });
+  assert.deepStrictEqual(appmaxEvents.getStatusFromOrderStatus(null), { status: 'pending', financialStatus: 'pending' });
+});
@@ -0,0 +1,70 @@
+// Banco em memória para a dead-letter queue
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/database/db');
+const deadLetterService = require('../src/services/deadLetter.service');
+const deadLettersController = require('../src/controllers/deadLetters.controller');
+
+test.before(() => db.waitForInit());
+
+function saveDeadLetter(appmaxId) {
+  return db.saveDeadLetter({
+    request: {
+      id: appmaxId,
+      appmax_id: appmaxId,
+      event_type: 'OrderPaid',
+      status: 'paid',
+      financial_status: 'paid',
+      request_data: { appmaxOrder: { id: appmaxId } },
+      attempts: 5
+    },
+    error: 'Falha',
+    errorClass: 'server',
+    reason: 'max_attempts'
+  });
+}
+
+test('reprocessamentos simultâneos recolocam o item na fila uma única vez', async () => {
+  const id = await saveDeadLetter(900);
+
+  const results = (await Promise.all([
+    deadLetterService.replay([id], { actor: 'api-token' }),
+    deadLetterService.replay([id], { actor: 'api-token' })
+  ])).flat();
+
+  const replayed = results.filter(item => item.result === 'replayed');
+  assert.strictEqual(replayed.length, 1);
+  assert.strictEqual(results.filter(item => item.result === 'already_replayed').length, 1);
+
+  const deadLetter = await db.getDeadLetter(id);
+  assert.strictEqual(deadLetter.state, 'replayed');
+  assert.strictEqual(deadLetter.replay_request_id, replayed[0].request_id);
+
+  const audit = await db.listAuditLog({ entityType: 'dead_letter', entityId: id, action: 'dead_letter.replay' });
+  assert.strictEqual(audit.length, 1);
+});
+
+test('o item volta para pendente quando não pode ser recolocado na fila', async () => {
+  const id = await saveDeadLetter(901);
+  const saveQueueRequest = db.saveQueueRequest;
+  db.saveQueueRequest = async () => { throw new Error('SQLITE_BUSY'); };
+
+  try {
+    await assert.rejects(deadLetterService.replay([id]), /SQLITE_BUSY/);
+  } finally {
+    db.saveQueueRequest = saveQueueRequest;
+  }
+
+  const deadLetter = await db.getDeadLetter(id);
+  assert.strictEqual(deadLetter.state, 'pending');
+  assert.strictEqual(deadLetter.replayed_at, null);
+});
+
+test('o autor registrado na auditoria não vem de headers do cliente', () => {
+  const headers = { 'x-admin-user': 'outra-pessoa' };
+
+  assert.strictEqual(deadLettersController.getActor({ headers, ip: '10.0.0.1' }), 'api-token');
+  assert.strictEqual(deadLettersController.getActor({ headers, adminUser: 'maria' }), 'maria');
+});
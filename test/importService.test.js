@@ -0,0 +1,68 @@
+// Banco em memória e loja única para as importações
+process.env.DATABASE_PATH = ':memory:';
+process.env.SHOPIFY_STORE_DOMAIN = process.env.SHOPIFY_STORE_DOMAIN || 'loja-teste.myshopify.com';
+process.env.SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN || 'token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/database/db');
+const importService = require('../src/services/import.service');
+
+test.before(() => db.waitForInit());
+
+test('parseCsv detecta o separador e lê campos entre aspas', () => {
+  const csv = '﻿id;customer.firstname;obs\r\n1;"Silva; Maria";"diz ""oi""\nna entrega"\r\n\r\n2;João;\n';
+
+  assert.deepStrictEqual(importService.parseCsv(csv), [
+    { id: '1', 'customer.firstname': 'Silva; Maria', obs: 'diz "oi"\nna entrega' },
+    { id: '2', 'customer.firstname': 'João', obs: '' }
+  ]);
+  assert.deepStrictEqual(importService.parseCsv('id,status\n7,aprovado'), [{ id: '7', status: 'aprovado' }]);
+  assert.deepStrictEqual(importService.parseCsv(''), []);
+});
+
+test('parse converte colunas com ponto em objetos e células JSON', () => {
+  const csv = 'id,customer.firstname,customer.email,bundles\n' +
+    '10,Maria,maria@example.com,"[{""products"":[{""name"":""Produto"",""quantity"":1,""price"":""5.00""}]}]"';
+
+  assert.deepStrictEqual(importService.parse(csv, 'csv'), [{
+    id: '10',
+    customer: { firstname: 'Maria', email: 'maria@example.com' },
+    bundles: [{ products: [{ name: 'Produto', quantity: 1, price: '5.00' }] }]
+  }]);
+});
+
+test('parse aceita as variações de exportação em JSON', () => {
+  const order = { id: 1 };
+
+  assert.deepStrictEqual(importService.parse(JSON.stringify([order])), [order]);
+  assert.deepStrictEqual(importService.parse({ orders: [order] }), [order]);
+  assert.deepStrictEqual(importService.parse({ data: [{ event: 'OrderPaid', data: order }] }), [order]);
+  assert.throws(() => importService.parse('{', 'json'), { statusCode: 400 });
+  assert.throws(() => importService.parse('', 'xml'), { statusCode: 400 });
+});
+
+test('importOrder ignora o pedido quando o status da exportação é uma regressão', async () => {
+  await db.saveAppmaxOrder(500, 'paid', { raw_data: { id: 500, status: 'aprovado' } });
+
+  const outcome = await importService.importOrder({ id: 500, status: 'pendente' });
+
+  assert.strictEqual(outcome.result, 'skipped');
+  assert.match(outcome.reason, /^Transição de status rejeitada/);
+  assert.strictEqual((await db.findOrderById(500, 'appmax')).status, 'paid');
+});
+
+test('failInterruptedImportJobs encerra apenas as importações em andamento', async () => {
+  const running = await db.createImportJob({ source: 'api', format: 'json', total: 2 });
+  await db.updateImportJob(running, { status: 'running', processed: 1, queued: 1, skipped: 0, failed: 0, errors: [] });
+  const done = await db.createImportJob({ source: 'api', format: 'json', total: 1 });
+  await db.updateImportJob(done, { status: 'done', processed: 1, queued: 1, skipped: 0, failed: 0, errors: [] });
+
+  assert.strictEqual(await db.failInterruptedImportJobs(), 1);
+
+  const job = await db.getImportJob(running);
+  assert.strictEqual(job.status, 'failed');
+  assert.deepStrictEqual(job.errors, [{ appmax_id: null, error: 'Importação interrompida pela reinicialização do servidor' }]);
+  assert.ok(job.finished_at);
+  assert.strictEqual((await db.getImportJob(done)).status, 'done');
+});
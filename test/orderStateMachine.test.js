@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const orderStateMachine = require('../src/utils/orderStateMachine');
+
+test('aceita qualquer status quando o pedido não tem status anterior', () => {
+  assert.strictEqual(orderStateMachine.evaluate({ from: null, to: 'refunded' }).allowed, true);
+  assert.strictEqual(orderStateMachine.evaluate({ from: 'desconhecido', to: 'paid' }).allowed, true);
+});
+
+test('aceita a repetição do status atual', () => {
+  assert.strictEqual(orderStateMachine.evaluate({ from: 'integrated', to: 'integrated' }).allowed, true);
+});
+
+test('segue a tabela de transições quando os eventos não têm data', () => {
+  assert.strictEqual(orderStateMachine.evaluate({ from: 'pending', to: 'paid' }).allowed, true);
+  assert.strictEqual(orderStateMachine.evaluate({ from: 'cancelled', to: 'paid' }).allowed, true);
+  assert.strictEqual(orderStateMachine.evaluate({ from: 'paid', to: 'pending' }).allowed, false);
+  assert.strictEqual(orderStateMachine.evaluate({ from: 'paid', to: 'cancelled' }).allowed, false);
+  assert.strictEqual(orderStateMachine.evaluate({ from: 'refunded', to: 'paid' }).allowed, false);
+});
+
+test('recusa a volta para uma etapa anterior mesmo com data mais recente', () => {
+  const result = orderStateMachine.evaluate({
+    from: 'paid',
+    to: 'authorized',
+    current: { paid_at: '2020-01-06 10:00:00' },
+    incoming: { paid_at: '2020-01-06 12:00:00' }
+  });
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(orderStateMachine.evaluate({ from: 'integrated', to: 'pending' }).allowed, false);
+  assert.strictEqual(orderStateMachine.evaluate({ from: 'refunded', to: 'under_review' }).allowed, false);
+});
+
+test('aceita uma etapa posterior apenas pela tabela, sem considerar as datas', () => {
+  const result = orderStateMachine.evaluate({
+    from: 'paid',
+    to: 'refunded',
+    current: { paid_at: '2020-01-06 15:46:48' },
+    incoming: { refunded_at: '2020-01-05 10:00:00' }
+  });
+  assert.strictEqual(result.allowed, true);
+  assert.strictEqual(orderStateMachine.evaluate({ from: 'cancelled', to: 'refunded' }).allowed, false);
+});
+
+test('desempata pela data uma transição da tabela na mesma etapa', () => {
+  const current = { paid_at: '2020-01-06 15:46:48' };
+  assert.strictEqual(
+    orderStateMachine.evaluate({ from: 'paid', to: 'integrated', current, incoming: { integrated_at: '2020-01-06 16:00:00' } }).allowed,
+    true
+  );
+  assert.strictEqual(
+    orderStateMachine.evaluate({ from: 'paid', to: 'integrated', current, incoming: { integrated_at: '2020-01-06 15:00:00' } }).allowed,
+    false
+  );
+});
+
+test('aceita uma transição fora da tabela na mesma etapa apenas quando o evento é mais recente', () => {
+  const current = { paid_at: '2020-01-06 15:46:48', integrated_at: '2020-01-06 16:00:00' };
+  assert.strictEqual(
+    orderStateMachine.evaluate({ from: 'integrated', to: 'paid', current, incoming: { paid_at: '2020-01-06 15:46:48' } }).allowed,
+    false
+  );
+  assert.strictEqual(
+    orderStateMachine.evaluate({ from: 'integrated', to: 'paid', current, incoming: { paid_at: '2020-01-07 09:00:00' } }).allowed,
+    true
+  );
+  assert.strictEqual(orderStateMachine.evaluate({ from: 'integrated', to: 'paid' }).allowed, false);
+});
+
+test('usa integrated_at e, sem ele, paid_at como data do status integrado', () => {
+  assert.strictEqual(
+    orderStateMachine.getStatusTimestamp('integrated', { integrated_at: '2020-01-07 08:00:00', paid_at: '2020-01-06 15:46:48' }),
+    new Date('2020-01-07T08:00:00').getTime()
+  );
+  assert.strictEqual(
+    orderStateMachine.getStatusTimestamp('integrated', { integrated_at: null, paid_at: '2020-01-06 15:46:48' }),
+    new Date('2020-01-06T15:46:48').getTime()
+  );
+  assert.strictEqual(orderStateMachine.getStatusTimestamp('pending', { paid_at: '2020-01-06 15:46:48' }), null);
+  assert.strictEqual(orderStateMachine.getStatusTimestamp('authorized', { paid_at: '2020-01-06 15:46:48' }), null);
+});
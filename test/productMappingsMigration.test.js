@@ -0,0 +1,65 @@
+// Banco em arquivo temporário criado com a tabela product_mappings anterior às lojas
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const sqlite3 = require('sqlite3');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mapeamentos-'));
+process.env.DATABASE_PATH = path.join(directory, 'orders.db');
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+function createLegacyDatabase() {
+  return new Promise((resolve, reject) => {
+    const legacy = new sqlite3.Database(process.env.DATABASE_PATH);
+    legacy.serialize(() => {
+      legacy.run(`
+        CREATE TABLE product_mappings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source_type TEXT NOT NULL,
+          appmax_id TEXT NOT NULL,
+          name TEXT,
+          variants TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (source_type, appmax_id)
+        )
+      `);
+      legacy.run(
+        'INSERT INTO product_mappings (source_type, appmax_id, name, variants) VALUES (?, ?, ?, ?)',
+        ['product', '300', 'Kit', JSON.stringify([{ variant_id: '555', multiplier: 2 }])]
+      );
+      legacy.close(err => (err ? reject(err) : resolve()));
+    });
+  });
+}
+
+let db;
+test.before(async () => {
+  await createLegacyDatabase();
+  db = require('../src/database/db');
+  await db.waitForInit();
+});
+test.after(() => new Promise(resolve => db.db.close(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+  resolve();
+})));
+
+test('mapeamentos anteriores às lojas são mantidos e vinculados à loja padrão', async () => {
+  assert.strictEqual(await db.assignDefaultStore('loja-a'), 1);
+
+  const mapping = await db.findProductMapping('loja-a', 'product', 300);
+  assert.strictEqual(mapping.name, 'Kit');
+  assert.deepStrictEqual(mapping.variants, [{ variant_id: '555', multiplier: 2 }]);
+});
+
+test('o mesmo produto pode ser mapeado em cada loja', async () => {
+  await db.saveProductMapping({ storeId: 'loja-b', sourceType: 'product', appmaxId: 300, variants: [{ variant_id: '999', multiplier: 1 }] });
+
+  assert.strictEqual((await db.findProductMapping('loja-b', 'product', 300)).variants[0].variant_id, '999');
+  await assert.rejects(
+    db.saveProductMapping({ storeId: 'loja-b', sourceType: 'product', appmaxId: 300, variants: [] }),
+    /UNIQUE/
+  );
+});
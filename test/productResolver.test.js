@@ -0,0 +1,116 @@
+// Banco em memória: os mapeamentos de produtos ficam no banco local
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/database/db');
+const AppError = require('../src/utils/AppError');
+const ProductResolver = require('../src/services/productResolver.service');
+
+/**
+ * Resolver com uma Shopify simulada que responde pelas funções informadas
+ */
+function createResolver({ storeId = 'loja-a', variantById = {}, variantsBySku = {}, fail = null } = {}) {
+  const calls = [];
+  const shopifyService = {
+    store: { id: storeId },
+    async graphql(query, variables) {
+      calls.push(variables);
+      if (fail) throw fail;
+      if (variables.variantId) {
+        const id = variables.variantId.split('/').pop();
+        return { productVariant: variantById[id] || null, product: null };
+      }
+      const sku = variables.query.match(/^sku:"(.*)"$/)[1];
+      return { productVariants: { nodes: variantsBySku[sku] || [] } };
+    }
+  };
+  return { resolver: new ProductResolver(shopifyService), calls };
+}
+
+const order = products => ({ id: 1, bundles: [{ id: null, products }] });
+
+test.before(() => db.waitForInit());
+
+test('resolve pelo external_id e, sem ele, pelo SKU', async () => {
+  const { resolver } = createResolver({
+    variantById: { 111: { id: 'gid://shopify/ProductVariant/111', sku: 'A' } },
+    variantsBySku: { B: [{ id: 'gid://shopify/ProductVariant/222', sku: 'B' }] }
+  });
+
+  const { lineItems, unmatched } = await resolver.resolveLineItems(order([
+    { name: 'Produto A', sku: 'A', external_id: 111, quantity: 1, price: '10.00' },
+    { name: 'Produto B', sku: 'B', external_id: 999, quantity: 2, price: '5.00' }
+  ]));
+
+  assert.deepStrictEqual(lineItems, [
+    { variant_id: '111', quantity: 1, price: '10.00' },
+    { variant_id: '222', quantity: 2, price: '5.00' }
+  ]);
+  assert.deepStrictEqual(unmatched, []);
+});
+
+test('cria item personalizado quando a variante não existe e guarda a busca em cache', async () => {
+  const { resolver, calls } = createResolver();
+  const product = { name: 'Sem variante', sku: 'X', quantity: 1, price: '3.00' };
+
+  const first = await resolver.resolveLineItems(order([product]));
+  await resolver.resolveLineItems(order([product]));
+
+  assert.strictEqual(first.lineItems[0].title, 'Sem variante');
+  assert.deepStrictEqual(first.unmatched, [{ name: 'Sem variante', sku: 'X', external_id: null }]);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('lança as falhas temporárias da Shopify para que a fila retente o pedido', async () => {
+  for (const fail of [new AppError('Erro na chamada GraphQL: Throttled', 429), new AppError('Erro ao executar query GraphQL', 502)]) {
+    const { resolver } = createResolver({ fail });
+    await assert.rejects(
+      resolver.resolveLineItems(order([{ name: 'Produto', sku: 'A', quantity: 1, price: '1.00' }])),
+      error => error === fail
+    );
+    // A falha não é guardada em cache como busca sem resultado
+    assert.strictEqual(resolver.cache.size, 0);
+  }
+});
+
+test('cria item personalizado quando a consulta falha com erro permanente', async () => {
+  const { resolver } = createResolver({ fail: new AppError('Erro na chamada GraphQL: consulta inválida', 400) });
+  const { lineItems, unmatched } = await resolver.resolveLineItems(order([{ name: 'Produto', sku: 'A', quantity: 1, price: '1.00' }]));
+
+  assert.strictEqual(lineItems[0].title, 'Produto');
+  assert.strictEqual(unmatched.length, 1);
+});
+
+test('usa o mapeamento cadastrado sem consultar a Shopify', async () => {
+  const { resolver, calls } = createResolver();
+  await db.saveProductMapping({ storeId: 'loja-a', sourceType: 'product', appmaxId: 300, variants: [{ variant_id: '555', multiplier: 2 }] });
+
+  const { lineItems } = await resolver.resolveLineItems(order([
+    { id: 300, name: 'Kit', sku: '001523', quantity: 1, price: '40.00' }
+  ]));
+
+  assert.deepStrictEqual(lineItems, [{ variant_id: '555', quantity: 2, price: '20.00' }]);
+  assert.strictEqual(calls.length, 0);
+});
+
+test('usa apenas os mapeamentos e o cache da própria loja', async () => {
+  await db.saveProductMapping({ storeId: 'loja-a', sourceType: 'bundle', appmaxId: 400, variants: [{ variant_id: '777', multiplier: 1 }] });
+  await db.saveProductMapping({ storeId: 'loja-b', sourceType: 'bundle', appmaxId: 400, variants: [{ variant_id: '888', multiplier: 1 }] });
+  const bundleOrder = { id: 2, bundles: [{ id: 400, products: [{ id: 1, name: 'Kit', quantity: 1, price: '30.00' }] }] };
+
+  const { resolver: resolverA } = createResolver({ storeId: 'loja-a' });
+  const { resolver: resolverB } = createResolver({ storeId: 'loja-b' });
+  const { resolver: resolverC, calls } = createResolver({ storeId: 'loja-c' });
+
+  assert.strictEqual((await resolverA.resolveLineItems(bundleOrder)).lineItems[0].variant_id, '777');
+  assert.strictEqual((await resolverB.resolveLineItems(bundleOrder)).lineItems[0].variant_id, '888');
+
+  // Sem mapeamento na própria loja, os mapeamentos das outras lojas não são usados
+  const { unmatched } = await resolverC.resolveLineItems(bundleOrder);
+  assert.strictEqual(unmatched.length, 1);
+  assert.strictEqual(calls.length, 0);
+
+  await resolverC.resolveLineItems(order([{ name: 'Produto', sku: 'Z', quantity: 1, price: '1.00' }]));
+  assert.deepStrictEqual([...resolverC.cache.keys()], ['loja-c:sku:Z']);
+});
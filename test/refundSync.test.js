@@ -0,0 +1,132 @@
+// Banco em memória para os pedidos e estornos
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/database/db');
+const AppError = require('../src/utils/AppError');
+const retryPolicy = require('../src/utils/retryPolicy');
+const appmaxService = require('../src/services/appmax.service');
+const refundSyncService = require('../src/services/refundSync.service');
+
+/**
+ * Pedido Appmax vinculado a um pedido Shopify, com o total informado
+ */
+async function createOrder(appmaxId, shopifyId, total) {
+  await db.saveAppmaxOrder(appmaxId, 'paid', { raw_data: { id: appmaxId, total } }, { storeId: 'default' });
+  await db.saveOrderMapping(appmaxId, shopifyId, 'default');
+  return db.findOrderById(String(shopifyId), 'shopify');
+}
+
+function shopifyRefund(id, orderId, amount) {
+  return {
+    id,
+    order_id: orderId,
+    note: 'Reembolso pelo admin',
+    transactions: [{ kind: 'refund', status: 'success', amount }]
+  };
+}
+
+test.before(() => db.waitForInit());
+
+test('estorna como total o reembolso que cobre todo o pedido', async () => {
+  await createOrder(2001, 9001, '100.00');
+  const result = await refundSyncService.handleShopifyRefund(shopifyRefund(1, 9001, '100.00'));
+
+  assert.strictEqual(result.queued, true);
+  assert.strictEqual(result.type, 'total');
+  assert.strictEqual(result.amount, 100);
+});
+
+test('estorna reembolsos parciais limitados ao valor restante', async () => {
+  await createOrder(2002, 9002, '100.00');
+
+  const first = await refundSyncService.handleShopifyRefund(shopifyRefund(2, 9002, '30.00'));
+  const second = await refundSyncService.handleShopifyRefund(shopifyRefund(3, 9002, '90.00'));
+  const third = await refundSyncService.handleShopifyRefund(shopifyRefund(4, 9002, '10.00'));
+
+  assert.deepStrictEqual([first.type, first.amount], ['partial', 30]);
+  assert.deepStrictEqual([second.type, second.amount], ['partial', 70]);
+  assert.strictEqual(third.queued, false);
+});
+
+test('não gera um segundo estorno para a reentrega do mesmo reembolso', async () => {
+  await createOrder(2003, 9003, '100.00');
+
+  const first = await refundSyncService.handleShopifyRefund(shopifyRefund(5, 9003, '20.00'));
+  const repeated = await refundSyncService.handleShopifyRefund(shopifyRefund(5, 9003, '20.00'));
+
+  assert.strictEqual(first.queued, true);
+  assert.strictEqual(repeated.queued, false);
+  assert.strictEqual((await db.getAppmaxRefunds(2003)).length, 1);
+});
+
+test('o índice único impede dois estornos para o mesmo reembolso da Shopify', async () => {
+  const refund = { appmaxId: 2004, shopifyId: '9004', shopifyRefundId: '6', source: 'refunds/create', type: 'partial', amount: 10 };
+
+  assert.ok(await db.saveAppmaxRefund(refund));
+  assert.strictEqual(await db.saveAppmaxRefund(refund), null);
+});
+
+test('ignora os reembolsos criados pela integração', async () => {
+  await createOrder(2005, 9005, '100.00');
+  const result = await refundSyncService.handleShopifyRefund({
+    ...shopifyRefund(7, 9005, '100.00'),
+    note: 'Reembolso automático via Appmax #2005'
+  });
+
+  assert.strictEqual(result.queued, false);
+});
+
+test('claimShopifyWebhook aceita cada X-Shopify-Webhook-Id uma única vez até ser liberado', async () => {
+  assert.strictEqual(await db.claimShopifyWebhook('webhook-1', 'refunds/create'), true);
+  assert.strictEqual(await db.claimShopifyWebhook('webhook-1', 'refunds/create'), false);
+
+  await db.releaseShopifyWebhook('webhook-1');
+  assert.strictEqual(await db.claimShopifyWebhook('webhook-1', 'refunds/create'), true);
+});
+
+/**
+ * Solicita o estorno com a Appmax respondendo com o erro informado
+ */
+async function requestRefundFailingWith(error, appmaxId, shopifyRefundId) {
+  const refundId = await db.saveAppmaxRefund({
+    appmaxId, shopifyId: '1', shopifyRefundId, source: 'refunds/create', type: 'partial', amount: 10
+  });
+  const original = appmaxService.refundOrder;
+  appmaxService.refundOrder = async () => { throw error; };
+  try {
+    const thrown = await refundSyncService.requestAppmaxRefund({ refund_id: refundId, appmax_id: appmaxId, type: 'partial', value: 10 })
+      .then(() => null, caught => caught);
+    const [refund] = await db.getAppmaxRefunds(appmaxId);
+    return { thrown, refund };
+  } finally {
+    appmaxService.refundOrder = original;
+  }
+}
+
+test('não retenta o estorno após timeout ou erro 5xx da Appmax', async () => {
+  for (const [index, status] of [504, 502, 500].entries()) {
+    const { thrown, refund } = await requestRefundFailingWith(new AppError('Tempo limite excedido na API da Appmax', status), 3000 + index, `r-${status}`);
+
+    assert.strictEqual(refund.status, 'review');
+    assert.deepStrictEqual(retryPolicy.evaluate(thrown, 1), { retry: false, reason: 'permanent' });
+  }
+});
+
+test('retenta o estorno recusado com 429', async () => {
+  const { thrown, refund } = await requestRefundFailingWith(new AppError('Too Many Requests', 429), 3010, 'r-429');
+
+  assert.strictEqual(refund.status, 'pending');
+  assert.strictEqual(retryPolicy.evaluate(thrown, 1).retry, true);
+});
+
+test('estornos recusados pela Appmax não impedem um novo reembolso', async () => {
+  const order = await createOrder(3020, 9020, '100.00');
+  const { refund } = await requestRefundFailingWith(new AppError('Erro na API da Appmax: pedido inválido', 422), 3020, 'r-422');
+  assert.strictEqual(refund.status, 'failed');
+
+  const result = await refundSyncService.queueRefund(order, { shopifyId: '9020', source: 'orders/cancelled' });
+  assert.strictEqual(result.queued, true);
+  assert.deepStrictEqual([result.type, result.amount], ['total', 100]);
+});
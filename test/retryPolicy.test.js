@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const retryPolicy = require('../src/utils/retryPolicy');
+
+function httpError(status, headers = {}) {
+  const error = new Error(`HTTP ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+test('classifica erros pelo status HTTP ou código de rede', () => {
+  assert.strictEqual(retryPolicy.classify(httpError(429)), 'rate_limit');
+  assert.strictEqual(retryPolicy.classify(httpError(408)), 'timeout');
+  assert.strictEqual(retryPolicy.classify(networkError('ECONNABORTED')), 'timeout');
+  assert.strictEqual(retryPolicy.classify(httpError(503)), 'server');
+  assert.strictEqual(retryPolicy.classify(httpError(422)), 'validation');
+  assert.strictEqual(retryPolicy.classify(httpError(400)), 'validation');
+  assert.strictEqual(retryPolicy.classify(httpError(404)), 'client');
+  assert.strictEqual(retryPolicy.classify(networkError('ECONNRESET')), 'network');
+  assert.strictEqual(retryPolicy.classify(new Error('falha')), 'unknown');
+});
+
+test('retenta erros temporários e encerra erros permanentes', () => {
+  assert.strictEqual(retryPolicy.evaluate(httpError(500), 1).retry, true);
+  assert.strictEqual(retryPolicy.evaluate(httpError(429), 1).retry, true);
+  assert.strictEqual(retryPolicy.evaluate(networkError('ETIMEDOUT'), 1).retry, true);
+  assert.strictEqual(retryPolicy.evaluate(new Error('falha'), 1).retry, true);
+
+  assert.deepStrictEqual(retryPolicy.evaluate(httpError(422), 1), { retry: false, reason: 'permanent' });
+  assert.deepStrictEqual(retryPolicy.evaluate(networkError('EPROTO'), 1), { retry: false, reason: 'permanent' });
+});
+
+test('nunca retenta erros marcados como não retentáveis', () => {
+  const error = httpError(504);
+  error.retryable = false;
+
+  assert.deepStrictEqual(retryPolicy.evaluate(error, 1), { retry: false, reason: 'permanent' });
+});
+
+test('encerra a requisição ao atingir o limite de tentativas', () => {
+  assert.deepStrictEqual(retryPolicy.evaluate(httpError(500), retryPolicy.maxAttempts), {
+    retry: false,
+    reason: 'max_attempts'
+  });
+});
+
+test('respeita o Retry-After em segundos ou data HTTP', () => {
+  assert.strictEqual(retryPolicy.getRetryAfter(httpError(429, { 'retry-after': '2' })), 2000);
+  assert.strictEqual(retryPolicy.evaluate(httpError(429, { 'retry-after': '2' }), 1).delay, 2000);
+
+  const date = new Date(Date.now() + 60000).toUTCString();
+  const delay = retryPolicy.getRetryAfter(httpError(503, { 'retry-after': date }));
+  assert.ok(delay > 50000 && delay <= 60000);
+
+  assert.strictEqual(retryPolicy.getRetryAfter(httpError(503)), null);
+  assert.strictEqual(retryPolicy.getRetryAfter(httpError(503, { 'retry-after': 'inválido' })), null);
+});
+
+test('aplica backoff exponencial limitado ao atraso máximo', () => {
+  const first = retryPolicy.getDelay(httpError(500), 1);
+  assert.ok(first >= retryPolicy.baseDelay / 2 && first <= retryPolicy.baseDelay);
+
+  const third = retryPolicy.getDelay(httpError(500), 3);
+  assert.ok(third >= retryPolicy.baseDelay * 2 && third <= retryPolicy.baseDelay * 4);
+
+  assert.ok(retryPolicy.getDelay(httpError(500), 50) <= retryPolicy.maxDelay);
+});
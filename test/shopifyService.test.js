@@ -0,0 +1,110 @@
+// Banco em memória: o ShopifyService carrega o módulo do banco local
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ShopifyService = require('../src/services/shopify.service');
+
+const shopify = new ShopifyService({
+  id: 'default',
+  shopDomain: 'loja-teste.myshopify.com',
+  accessToken: 'token',
+  apiVersion: '2025-01',
+  options: { minRequestInterval: 0, maxRateLimitRetries: 0 }
+});
+
+test('getMissingLineItems compara pela variante resolvida, independente do SKU', () => {
+  const shopifyOrder = {
+    line_items: [{ variant_id: 111, sku: 'SKU-SHOPIFY', title: 'Kit', quantity: 5 }]
+  };
+  const expected = [{ variant_id: '111', sku: '001523', title: 'Produto Teste', quantity: 5, price: '40.00' }];
+
+  assert.deepStrictEqual(shopify.getMissingLineItems(expected, shopifyOrder), []);
+});
+
+test('getMissingLineItems retorna apenas a quantidade que falta no pedido', () => {
+  const shopifyOrder = {
+    line_items: [{ variant_id: 111, title: 'Kit', quantity: 5 }]
+  };
+  const expected = [
+    { variant_id: '111', title: 'Kit', quantity: 5, price: '40.00' },
+    { variant_id: '222', title: 'Upsell', sku: 'UP-1', quantity: 1, price: '10.00' },
+    { variant_id: '222', title: 'Upsell', sku: 'UP-1', quantity: 2, price: '10.00' }
+  ];
+
+  assert.deepStrictEqual(shopify.getMissingLineItems(expected, shopifyOrder), [
+    { variantId: '222', title: 'Upsell', sku: 'UP-1', price: '10.00', quantity: 3 }
+  ]);
+});
+
+test('getMissingLineItems usa a quantidade atual dos itens já editados', () => {
+  const shopifyOrder = {
+    line_items: [{ variant_id: 111, title: 'Kit', quantity: 5, current_quantity: 3 }]
+  };
+  const expected = [{ variant_id: 111, quantity: 5, price: '40.00' }];
+
+  assert.deepStrictEqual(shopify.getMissingLineItems(expected, shopifyOrder), [
+    { variantId: '111', title: 'Variante 111', sku: null, price: '40.00', quantity: 2 }
+  ]);
+});
+
+test('getMissingLineItems compara itens sem variante pelo SKU ou título', () => {
+  const shopifyOrder = {
+    line_items: [
+      { variant_id: null, sku: 'CUSTOM-1', title: 'Personalizado', quantity: 1 },
+      { variant_id: null, sku: '', title: 'Brinde', quantity: 1 }
+    ]
+  };
+  const expected = [
+    { sku: 'CUSTOM-1', title: 'Personalizado', quantity: 1, price: '5.00' },
+    { sku: null, title: 'Brinde', quantity: 1, price: '0.00' },
+    { sku: null, title: 'Novo item', quantity: 1, price: '3.00' }
+  ];
+
+  assert.deepStrictEqual(shopify.getMissingLineItems(expected, shopifyOrder), [
+    { variantId: null, title: 'Novo item', sku: null, price: '3.00', quantity: 1 }
+  ]);
+});
+
+/**
+ * Item do pedido como retornado pela consulta GraphQL usada no reembolso
+ */
+function refundableItem(id, unitPrice, refundableQuantity, unfulfilledQuantity = refundableQuantity) {
+  return {
+    id,
+    refundableQuantity,
+    unfulfilledQuantity,
+    discountedUnitPriceAfterAllDiscountsSet: { shopMoney: { amount: unitPrice } }
+  };
+}
+
+test('allocateRefundLineItems atribui o valor a unidades inteiras dos itens', () => {
+  const lineItems = [refundableItem('A', '50.00', 2), refundableItem('B', '20.00', 1)];
+
+  assert.deepStrictEqual(shopify.allocateRefundLineItems(lineItems, 70), [
+    { lineItemId: 'A', quantity: 1, restockType: 'NO_RESTOCK' },
+    { lineItemId: 'B', quantity: 1, restockType: 'NO_RESTOCK' }
+  ]);
+});
+
+test('allocateRefundLineItems reembolsa apenas por valor quando as unidades não somam o valor exato', () => {
+  const lineItems = [refundableItem('A', '50.00', 2), refundableItem('B', '20.00', 1)];
+
+  assert.deepStrictEqual(shopify.allocateRefundLineItems(lineItems, 35), []);
+  assert.deepStrictEqual(shopify.allocateRefundLineItems(lineItems, 130), []);
+});
+
+test('allocateRefundLineItems reembolsa todos os itens no estorno total e repõe o estoque quando pedido', () => {
+  const lineItems = [refundableItem('A', '50.00', 2, 0), refundableItem('B', '20.00', 1), refundableItem('C', '10.00', 0)];
+
+  assert.deepStrictEqual(shopify.allocateRefundLineItems(lineItems, 0, { fullRefund: true, restock: true }), [
+    { lineItemId: 'A', quantity: 2, restockType: 'RETURN' },
+    { lineItemId: 'B', quantity: 1, restockType: 'CANCEL' }
+  ]);
+});
+
+test('getRefundedAmount lê o valor estornado do payload da Appmax', () => {
+  assert.strictEqual(shopify.getRefundedAmount({ refunded_amount: '25.505' }), 25.51);
+  assert.strictEqual(shopify.getRefundedAmount({ refund_value: 10 }), 10);
+  assert.strictEqual(shopify.getRefundedAmount({ total: '100.00' }), null);
+});
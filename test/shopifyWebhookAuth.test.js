@@ -0,0 +1,43 @@
+// Loja única configurada pelas variáveis de ambiente
+process.env.DATABASE_PATH = ':memory:';
+process.env.SHOPIFY_STORE_DOMAIN = 'loja-teste.myshopify.com';
+process.env.SHOPIFY_ACCESS_TOKEN = 'token';
+process.env.SHOPIFY_WEBHOOK_SECRET = 'segredo-shopify';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const shopifyWebhookAuth = require('../src/middleware/shopifyWebhookAuth');
+
+const body = Buffer.from(JSON.stringify({ id: 1, order_id: 2 }));
+
+function sign(payload, secret = 'segredo-shopify') {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64');
+}
+
+function authenticate(headers, rawBody = body) {
+  const req = {
+    headers: { 'x-shopify-topic': 'refunds/create', 'x-shopify-shop-domain': 'loja-teste.myshopify.com', ...headers },
+    rawBody,
+    originalUrl: '/webhook/shopify',
+    ip: '10.0.0.1'
+  };
+  let result;
+  shopifyWebhookAuth(req, {}, error => { result = error || null; });
+  return result;
+}
+
+test('aceita o corpo assinado com o segredo da loja', () => {
+  assert.strictEqual(authenticate({ 'x-shopify-hmac-sha256': sign(body) }), null);
+});
+
+test('rejeita assinatura ausente, inválida ou de outro corpo com 401', () => {
+  assert.strictEqual(authenticate({}).statusCode, 401);
+  assert.strictEqual(authenticate({ 'x-shopify-hmac-sha256': sign(body, 'outro-segredo') }).statusCode, 401);
+  assert.strictEqual(authenticate({ 'x-shopify-hmac-sha256': sign(Buffer.from('{}')) }).statusCode, 401);
+  assert.strictEqual(authenticate({ 'x-shopify-hmac-sha256': 'curta' }).statusCode, 401);
+});
+
+test('rejeita a requisição sem o corpo original', () => {
+  assert.strictEqual(authenticate({ 'x-shopify-hmac-sha256': sign(body) }, null).statusCode, 401);
+});
@@ -0,0 +1,64 @@
+// Banco em memória para o arquivo de webhooks
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const db = require('../src/database/db');
+const webhookArchive = require('../src/middleware/webhookArchive');
+
+test.before(() => db.waitForInit());
+
+/**
+ * Executa o middleware e envia a resposta com o código informado
+ */
+async function archive(statusCode, responseBody) {
+  const body = { event: 'OrderPaid', data: { id: 321, customer: { email: 'maria@example.com' } } };
+  const req = {
+    method: 'POST',
+    originalUrl: '/webhook/appmax?token=segredo&site_id=1',
+    headers: { 'content-type': 'application/json', 'x-webhook-token': 'segredo' },
+    body,
+    rawBody: Buffer.from(JSON.stringify(body)),
+    ip: '10.0.0.1'
+  };
+  const res = new EventEmitter();
+  res.json = () => res;
+
+  webhookArchive(req, res, () => {});
+  res.statusCode = statusCode;
+  res.json(responseBody);
+  res.emit('finish');
+
+  // Aguarda a gravação assíncrona do arquivo
+  for (let i = 0; i < 50; i++) {
+    const [entry] = await db.listWebhookArchive({ limit: 1 });
+    if (entry?.responded_at && entry.response_status === statusCode) return db.getWebhookArchive(entry.id);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Webhook não foi arquivado');
+}
+
+test('arquiva requisições autenticadas com headers e corpo, com os segredos mascarados', async () => {
+  const entry = await archive(200, { success: true, inbox_id: null });
+
+  assert.strictEqual(entry.outcome, 'accepted');
+  assert.strictEqual(entry.url, '/webhook/appmax?token=[redacted]&site_id=1');
+  assert.strictEqual(entry.headers['x-webhook-token'], '[redacted]');
+  assert.strictEqual(entry.body.data.id, 321);
+  assert.strictEqual(entry.event, 'OrderPaid');
+  assert.strictEqual(entry.appmax_id, 321);
+});
+
+test('guarda apenas um registro mínimo das requisições rejeitadas na autenticação', async () => {
+  const entry = await archive(401, { success: false, error: 'Não autorizado' });
+
+  assert.strictEqual(entry.outcome, 'rejected');
+  assert.strictEqual(entry.url, '/webhook/appmax?token=[redacted]&site_id=1');
+  assert.strictEqual(entry.ip, '10.0.0.1');
+  assert.strictEqual(entry.headers, null);
+  assert.strictEqual(entry.body, null);
+  assert.strictEqual(entry.event, null);
+  assert.strictEqual(entry.appmax_id, null);
+  assert.ok(entry.body_size > 0);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const webhookAuth = require('../src/middleware/webhookAuth');
+
+function authenticate({ query = {}, headers = {}, body = {}, ip = '10.0.0.1' } = {}) {
+  const req = { query, headers, body, ip, originalUrl: '/webhook/appmax' };
+  let result;
+  webhookAuth(req, {}, error => { result = error || null; });
+  return result;
+}
+
+function withEnv(values, fn) {
+  const previous = {};
+  for (const [name, value] of Object.entries(values)) {
+    previous[name] = process.env[name];
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  try {
+    return fn();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+const baseEnv = {
+  APPMAX_WEBHOOK_SECRET: 'segredo-padrao',
+  APPMAX_WEBHOOK_SECRETS: JSON.stringify({ 1000: 'segredo-site-1000' }),
+  APPMAX_WEBHOOK_ALLOWED_IPS: undefined,
+  APPMAX_WEBHOOK_MAX_AGE: undefined,
+  APPMAX_TIMEZONE_OFFSET: undefined
+};
+
+test('aceita o segredo em ?token= ou no header x-webhook-token', () => withEnv(baseEnv, () => {
+  assert.strictEqual(authenticate({ query: { token: 'segredo-padrao' } }), null);
+  assert.strictEqual(authenticate({ headers: { 'x-webhook-token': 'segredo-padrao' } }), null);
+}));
+
+test('rejeita segredo ausente ou inválido com 401', () => withEnv(baseEnv, () => {
+  assert.strictEqual(authenticate().statusCode, 401);
+  assert.strictEqual(authenticate({ query: { token: 'errado' } }).statusCode, 401);
+}));
+
+test('rejeita todas as requisições quando nenhum segredo está configurado', () => withEnv(
+  { ...baseEnv, APPMAX_WEBHOOK_SECRET: undefined, APPMAX_WEBHOOK_SECRETS: undefined },
+  () => assert.strictEqual(authenticate({ query: { token: '' } }).statusCode, 401)
+));
+
+test('escolhe o segredo do site apenas pelo ?site_id= da URL', () => withEnv(baseEnv, () => {
+  assert.strictEqual(authenticate({ query: { site_id: '1000', token: 'segredo-site-1000' } }), null);
+  assert.strictEqual(authenticate({ query: { site_id: '1000', token: 'segredo-padrao' } }).statusCode, 401);
+  // O site_id do corpo não seleciona o segredo
+  assert.strictEqual(
+    authenticate({ query: { token: 'segredo-site-1000' }, body: { data: { site_id: '1000' } } }).statusCode,
+    401
+  );
+}));
+
+test('aplica a lista de IPs e faixas CIDR com 403', () => withEnv(
+  { ...baseEnv, APPMAX_WEBHOOK_ALLOWED_IPS: '192.168.0.10, 10.0.0.0/24' },
+  () => {
+    const query = { token: 'segredo-padrao' };
+    assert.strictEqual(authenticate({ query, ip: '::ffff:10.0.0.42' }), null);
+    assert.strictEqual(authenticate({ query, ip: '192.168.0.10' }), null);
+    assert.strictEqual(authenticate({ query, ip: '10.0.1.1' }).statusCode, 403);
+  }
+));
+
+test('rejeita requisições fora da janela de replay pela data do pedido', () => withEnv(
+  { ...baseEnv, APPMAX_WEBHOOK_MAX_AGE: '3600', APPMAX_TIMEZONE_OFFSET: '+00:00' },
+  () => {
+    const query = { token: 'segredo-padrao' };
+    const format = date => date.toISOString().replace('T', ' ').slice(0, 19);
+    const recent = format(new Date(Date.now() - 10 * 60 * 1000));
+    const old = format(new Date(Date.now() - 3 * 60 * 60 * 1000));
+
+    assert.strictEqual(authenticate({ query, body: { data: { created_at: old, paid_at: recent } } }), null);
+    assert.strictEqual(authenticate({ query, body: { data: { created_at: old, paid_at: old } } }).statusCode, 401);
+    assert.strictEqual(authenticate({ query, body: { data: {} } }).statusCode, 401);
+  }
+));
+
+test('usa o timestamp explícito da requisição quando informado', () => withEnv(
+  { ...baseEnv, APPMAX_WEBHOOK_MAX_AGE: '300' },
+  () => {
+    const now = Math.floor(Date.now() / 1000);
+    assert.strictEqual(authenticate({ query: { token: 'segredo-padrao', timestamp: String(now) } }), null);
+    assert.strictEqual(
+      authenticate({ headers: { 'x-webhook-token': 'segredo-padrao', 'x-webhook-timestamp': String(now - 600) } }).statusCode,
+      401
+    );
+  }
+));
@@ -0,0 +1,73 @@
+// Banco em memória e loja única para o registro de entregas
+process.env.DATABASE_PATH = ':memory:';
+process.env.SHOPIFY_STORE_DOMAIN = process.env.SHOPIFY_STORE_DOMAIN || 'loja-teste.myshopify.com';
+process.env.SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN || 'token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/database/db');
+const webhookService = require('../src/services/webhook.service');
+
+test.before(() => db.waitForInit());
+
+test('claimWebhookEvent registra a impressão digital uma única vez', async () => {
+  const event = { fingerprint: 'fp-1', event: 'OrderPaid', baseEvent: 'OrderPaid', appmaxId: 1, payloadHash: 'h1' };
+
+  const eventId = await db.claimWebhookEvent(event);
+  assert.ok(eventId);
+  assert.strictEqual(await db.claimWebhookEvent(event), null);
+});
+
+test('registerDelivery descarta a mesma entrega mesmo com as chaves em outra ordem', async () => {
+  const first = await webhookService.registerDelivery({
+    event: 'OrderApproved',
+    appmaxId: 10,
+    payload: { event: 'OrderApproved', data: { id: 10, total: '10.00' } }
+  });
+  const repeated = await webhookService.registerDelivery({
+    event: 'OrderApproved',
+    appmaxId: 10,
+    payload: { data: { total: '10.00', id: 10 }, event: 'OrderApproved' }
+  });
+
+  assert.strictEqual(first.duplicate, false);
+  assert.strictEqual(repeated.duplicate, true);
+});
+
+test('registerDelivery aceita o mesmo evento com payload diferente', async () => {
+  const first = await webhookService.registerDelivery({
+    event: 'OrderRefund',
+    appmaxId: 11,
+    payload: { event: 'OrderRefund', data: { id: 11, refunded_amount: '5.00' } }
+  });
+  const second = await webhookService.registerDelivery({
+    event: 'OrderRefund',
+    appmaxId: 11,
+    payload: { event: 'OrderRefund', data: { id: 11, refunded_amount: '8.00' } }
+  });
+
+  assert.strictEqual(first.duplicate, false);
+  assert.strictEqual(second.duplicate, false);
+});
+
+test('registerDelivery trata o *WithDelay como duplicata apenas quando o original foi recebido', async () => {
+  await webhookService.registerDelivery({
+    event: 'OrderAuthorized',
+    appmaxId: 12,
+    payload: { event: 'OrderAuthorized', data: { id: 12 } }
+  });
+
+  const delayed = await webhookService.registerDelivery({
+    event: 'OrderAuthorizedWithDelay',
+    appmaxId: 12,
+    payload: { event: 'OrderAuthorizedWithDelay', data: { id: 12, status: 'autorizado' } }
+  });
+  const withoutOriginal = await webhookService.registerDelivery({
+    event: 'OrderAuthorizedWithDelay',
+    appmaxId: 13,
+    payload: { event: 'OrderAuthorizedWithDelay', data: { id: 13 } }
+  });
+
+  assert.strictEqual(delayed.duplicate, true);
+  assert.strictEqual(withoutOriginal.duplicate, false);
+});
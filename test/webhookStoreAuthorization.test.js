@@ -0,0 +1,81 @@
+// Banco em memória e duas lojas: loja-a atende o site 1000 e loja-b o site 2000
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const storesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lojas-')), 'stores.json');
+fs.writeFileSync(storesFile, JSON.stringify([
+  { id: 'loja-a', shop_domain: 'loja-a.myshopify.com', access_token: 'token-a', site_ids: [1000], default: true },
+  { id: 'loja-b', shop_domain: 'loja-b.myshopify.com', access_token: 'token-b', site_ids: [2000] }
+]));
+process.env.DATABASE_PATH = ':memory:';
+process.env.SHOPIFY_STORES_FILE = storesFile;
+process.env.APPMAX_WEBHOOK_SECRET = 'segredo-padrao';
+process.env.APPMAX_WEBHOOK_SECRETS = JSON.stringify({ 1000: 'segredo-site-1000' });
+delete process.env.APPMAX_WEBHOOK_ALLOWED_IPS;
+delete process.env.APPMAX_WEBHOOK_MAX_AGE;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/database/db');
+const webhookAuth = require('../src/middleware/webhookAuth');
+const webhookService = require('../src/services/webhook.service');
+const webhookController = require('../src/controllers/webhook.controller');
+
+// A inbox é processada em segundo plano; aqui só interessa a aceitação da entrega
+webhookService.processInbox = async () => {};
+
+test.before(() => db.waitForInit());
+test.after(() => fs.rmSync(path.dirname(storesFile), { recursive: true, force: true }));
+
+/**
+ * Envia o webhook pela autenticação e pelo controller
+ * @returns {Promise<number>} Código HTTP da resposta
+ */
+function deliver({ store = null, query, data }) {
+  const req = {
+    params: store ? { store } : {},
+    query,
+    headers: {},
+    body: { event: 'OrderPaid', data },
+    ip: '10.0.0.1',
+    originalUrl: `/webhook/appmax${store ? `/${store}` : ''}`
+  };
+
+  return new Promise(resolve => {
+    const res = {
+      status(code) {
+        return { json: () => resolve(code) };
+      }
+    };
+    webhookAuth(req, res, error => {
+      if (error) return resolve(error.statusCode);
+      webhookController.handleWebhook(req, res, controllerError => resolve(controllerError.statusCode));
+    });
+  });
+}
+
+const site1000 = { token: 'segredo-site-1000', site_id: '1000' };
+
+test('aceita a entrega do site para a própria loja', async () => {
+  assert.strictEqual(await deliver({ store: 'loja-a', query: site1000, data: { id: 1 } }), 200);
+  assert.strictEqual(await deliver({ query: site1000, data: { id: 2, site_id: 1000 } }), 200);
+});
+
+test('rejeita a entrega do site para a loja de outro site', async () => {
+  assert.strictEqual(await deliver({ store: 'loja-b', query: site1000, data: { id: 3 } }), 403);
+  assert.strictEqual(await deliver({ query: site1000, data: { id: 4, site_id: 2000 } }), 403);
+});
+
+test('rejeita a entrega do site para um pedido salvo em outra loja', async () => {
+  await db.saveAppmaxOrder(5, 'pending', {}, { storeId: 'loja-b' });
+
+  assert.strictEqual(await deliver({ store: 'loja-a', query: site1000, data: { id: 5 } }), 403);
+});
+
+test('o segredo padrão vale para todas as lojas', async () => {
+  const query = { token: 'segredo-padrao', site_id: '3000' };
+
+  assert.strictEqual(await deliver({ store: 'loja-b', query, data: { id: 6 } }), 200);
+  assert.strictEqual(await deliver({ query: { token: 'segredo-padrao' }, data: { id: 7, site_id: 2000 } }), 200);
+});
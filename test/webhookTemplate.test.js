@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const webhookTemplate = require('../src/utils/webhookTemplate');
+
+const orderDefault = require('../Docs/fixtures/order-approved.default.json').data;
+const orderTwoLevel = require('../Docs/fixtures/order-approved.two-level.json').data;
+const customerDefault = require('../Docs/fixtures/customer-created.default.json').data;
+const customerTwoLevel = require('../Docs/fixtures/customer-created.two-level.json').data;
+
+test('detecta o template dos exemplos da documentação', () => {
+  assert.strictEqual(webhookTemplate.detect(orderDefault), webhookTemplate.DEFAULT);
+  assert.strictEqual(webhookTemplate.detect(orderTwoLevel), webhookTemplate.TWO_LEVEL);
+  assert.strictEqual(webhookTemplate.detect(customerDefault), webhookTemplate.DEFAULT);
+  assert.strictEqual(webhookTemplate.detect(customerTwoLevel), webhookTemplate.TWO_LEVEL);
+});
+
+test('mantém o DefaultResponse sem alterações', () => {
+  const { template, data } = webhookTemplate.normalize(orderDefault);
+  assert.strictEqual(template, webhookTemplate.DEFAULT);
+  assert.strictEqual(data, orderDefault);
+});
+
+test('converte o pedido TwoLevel para o DefaultResponse', () => {
+  const { template, data } = webhookTemplate.normalize(orderTwoLevel);
+  assert.strictEqual(template, webhookTemplate.TWO_LEVEL);
+
+  // No exemplo TwoLevel o ID do cliente vem apenas em `customer_id`
+  const { id, ...customer } = orderDefault.customer;
+  assert.deepStrictEqual(data.customer, customer);
+  assert.deepStrictEqual(data.bundles, orderDefault.bundles);
+  assert.deepStrictEqual(data.visit, orderDefault.visit);
+  assert.deepStrictEqual(data.affiliate_commission, orderDefault.affiliate_commission);
+  assert.strictEqual(data.bundles[0].products[0].sku, '001523');
+  assert.strictEqual(data.bundles[0].products[0].quantity, 5);
+  assert.strictEqual(data.paid_at, orderDefault.paid_at);
+});
+
+test('converte o cliente TwoLevel para o DefaultResponse', () => {
+  assert.deepStrictEqual(webhookTemplate.normalize(customerTwoLevel).data, customerDefault);
+});
+
+test('aceita chaves com colchetes e objetos enviados como JSON em texto', () => {
+  const data = webhookTemplate.toDefault({
+    id: 1,
+    'bundles[0][products][1][sku]': 'B',
+    'bundles[0][products][0][sku]': 'A',
+    customer: '{"firstname": "teste"}'
+  });
+  assert.deepStrictEqual(data, {
+    id: 1,
+    bundles: [{ products: [{ sku: 'A' }, { sku: 'B' }] }],
+    customer: { firstname: 'teste' }
+  });
+});
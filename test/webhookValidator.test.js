@@ -0,0 +1,95 @@
+// Banco em memória e loja única para a quarentena
+process.env.DATABASE_PATH = ':memory:';
+process.env.SHOPIFY_STORE_DOMAIN = process.env.SHOPIFY_STORE_DOMAIN || 'loja-teste.myshopify.com';
+process.env.SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN || 'token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/database/db');
+const webhookValidator = require('../src/utils/webhookValidator');
+const webhookService = require('../src/services/webhook.service');
+
+test.before(() => db.waitForInit());
+
+function validOrder(overrides = {}) {
+  return {
+    id: 123,
+    status: 'aprovado',
+    total: '50.00',
+    customer: {
+      firstname: 'Maria',
+      email: 'maria@example.com',
+      telephone: '(11) 98765-4321',
+      address_street: 'Rua A',
+      address_street_number: '10',
+      address_city: 'São Paulo',
+      address_state: 'SP',
+      postcode: '01001-000'
+    },
+    bundles: [{ products: [{ name: 'Produto', quantity: 1, price: '50.00' }] }],
+    ...overrides
+  };
+}
+
+function withMode(mode, fn) {
+  const previous = process.env.WEBHOOK_VALIDATION_MODE;
+  process.env.WEBHOOK_VALIDATION_MODE = mode;
+  return Promise.resolve()
+    .then(fn)
+    .finally(() => {
+      if (previous === undefined) delete process.env.WEBHOOK_VALIDATION_MODE;
+      else process.env.WEBHOOK_VALIDATION_MODE = previous;
+    });
+}
+
+test('aceita um pedido completo', () => {
+  assert.deepStrictEqual(webhookValidator.validate('OrderPaid', validOrder()), { valid: true, errors: [] });
+});
+
+test('aponta os campos ausentes ou com formato inválido', () => {
+  const order = validOrder({ bundles: [] });
+  delete order.customer.email;
+  order.customer.postcode = '123';
+
+  const { valid, errors } = webhookValidator.validate('OrderPaid', order);
+
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors, [
+    { field: 'customer.email', message: 'obrigatório' },
+    { field: 'customer.postcode', message: 'formato inválido' },
+    { field: 'bundles', message: 'deve ter ao menos 1 item(ns)' }
+  ]);
+});
+
+test('cancelamentos e estornos exigem apenas o ID do pedido', () => {
+  assert.strictEqual(webhookValidator.validate('OrderRefund', { id: '123' }).valid, true);
+  assert.strictEqual(webhookValidator.validate('OrderRefund', { id: 'abc' }).valid, false);
+});
+
+test('usa o modo lenient quando WEBHOOK_VALIDATION_MODE é ausente ou desconhecido', () => withMode('qualquer', () => {
+  assert.strictEqual(webhookValidator.mode, 'lenient');
+  assert.strictEqual(webhookValidator.isStrict(), false);
+}));
+
+test('no modo strict o pedido inválido vai para a quarentena sem ser salvo', () => withMode('STRICT', async () => {
+  const order = validOrder({ id: 456 });
+  delete order.customer.email;
+
+  const result = await webhookService.processWebhook({ event: 'OrderPaid', data: order });
+
+  assert.strictEqual(result.action, 'quarantine');
+  assert.deepStrictEqual(result.errors, [{ field: 'customer.email', message: 'obrigatório' }]);
+
+  const entry = await db.getQuarantine(result.quarantineId);
+  assert.strictEqual(entry.event, 'OrderPaid');
+  assert.strictEqual(String(entry.appmax_id), '456');
+  assert.ok(!(await db.findOrderById(456, 'appmax')));
+}));
+
+test('no modo strict a simulação apenas descreve a quarentena', () => withMode('strict', async () => {
+  const result = await webhookService.processWebhook({ event: 'OrderPaid', data: { id: 789 } }, { dryRun: true });
+
+  assert.strictEqual(result.dryRun, true);
+  assert.strictEqual(result.action, 'quarantine');
+  assert.deepStrictEqual(await db.listQuarantine({ appmaxId: 789 }), []);
+}));